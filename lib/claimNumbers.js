@@ -0,0 +1,99 @@
+/**
+ * Decodificação dos números de processo (Claim Number).
+ *
+ * O número traz o centro que emitiu o processo e, em alguns formatos, o ano:
+ * - "L4PP1591" / "K00CL327": sequência (letra e números), código do centro com duas
+ *   letras e número de série. O ano não aparece, só a sequência;
+ * - "8PA03414": formato antigo, com o último dígito do ano, o centro e a série;
+ * - "SW24F00315": processos de família, com o centro, o ano (2024), a letra do
+ *   tipo de processo e a série;
+ * - "000MC001": processos abertos no Online Civil Money Claims, sem centro nem ano.
+ *
+ * Alguns centros indicam o tipo do processo: PP é o Possession Claim Online (PCOL),
+ * QZ é o County Court Business Centre (Money Claim Online) e YJ é o County Court
+ * Money Claims Centre (CCMCC). Os demais são tribunais locais (County Court).
+ */
+
+// Formatos, do mais específico para o mais genérico
+const FORMATS = [
+  { name: 'family', pattern: /^([A-Z]{2})(\d{2})([A-Z])(\d{5})$/, centre: 1, year: 2 },
+  { name: 'online', pattern: /^(\d{3})MC(\d{3})$/ },
+  { name: 'current', pattern: /^(?:[A-Z]\d{2}|[A-Z0-9]\d)([A-Z]{2})([A-Z0-9]{3,4})$/, centre: 1 },
+  { name: 'legacy', pattern: /^(\d)([A-Z]{1,2})(\d{5,6})$/, centre: 2, yearDigit: 1 },
+];
+
+// Centros que indicam o tipo do processo
+const CENTRE_TYPES = {
+  PP: 'pcol',
+  QZ: 'mcol',
+  YJ: 'ccmcc',
+};
+
+// Nome de cada tipo nas colunas exportadas
+const TYPE_LABELS = {
+  county: 'County Court',
+  pcol: 'PCOL',
+  mcol: 'Money Claim Online',
+  ccmcc: 'CCMCC',
+  family: 'Family',
+};
+
+/**
+ * Função para decodificar um número de processo.
+ *
+ * @param {string} claimNumber - Número do processo.
+ * @param {number} [referenceYear] - Ano da lista, para completar o ano do formato antigo
+ *   (o ano mais recente, até o de referência, que termina com o dígito).
+ * @returns {{type: string|null, centre: string, year: number|null}} Tipo ('county', 'pcol',
+ *   'mcol', 'ccmcc', 'family' ou null se o formato não for reconhecido), código do
+ *   centro emissor ('' se não houver) e ano (null se o formato não trouxer o ano).
+ */
+function decodeClaimNumber(claimNumber, referenceYear = new Date().getFullYear()) {
+  const value = String(claimNumber || '').trim().toUpperCase();
+
+  for (const format of FORMATS) {
+    const match = value.match(format.pattern);
+    if (!match) continue;
+
+    const centre = format.centre ? match[format.centre] : '';
+    let year = null;
+    if (format.year) {
+      year = 2000 + Number(match[format.year]);
+    } else if (format.yearDigit) {
+      const digit = Number(match[format.yearDigit]);
+      year = referenceYear - ((referenceYear - digit + 10) % 10);
+    }
+
+    let type = CENTRE_TYPES[centre] || 'county';
+    if (format.name === 'family') type = 'family';
+    if (format.name === 'online') type = 'mcol';
+
+    return { type, centre, year };
+  }
+
+  return { type: null, centre: '', year: null };
+}
+
+/**
+ * Função para montar as colunas do número de processo decodificado.
+ *
+ * @param {string} claimNumber - Número do processo.
+ * @param {string} [courtDate] - Data da lista (DD/MM/YYYY), para o ano do formato antigo.
+ * @returns {object} Colunas 'Claim Type', 'Issuing Centre' e 'Claim Year'.
+ */
+function claimNumberColumns(claimNumber, courtDate = '') {
+  const listYear = String(courtDate || '').match(/\/(\d{4})$/);
+  const { type, centre, year } = decodeClaimNumber(claimNumber, listYear ? Number(listYear[1]) : undefined);
+
+  return {
+    'Claim Type': type ? TYPE_LABELS[type] : 'Unknown',
+    'Issuing Centre': centre,
+    'Claim Year': year ? String(year) : '',
+  };
+}
+
+module.exports = {
+  TYPE_LABELS,
+  decodeClaimNumber,
+  claimNumberColumns,
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { parseParties } = require('./parties');
+
+/**
+ * Normalização dos requerentes (Claimant).
+ *
+ * O mesmo requerente aparece escrito de várias formas nas listas ("London Borough
+ * of Waltham Forest", "LB Waltham Forest", "Waltham Forest Council"). Cada nome é
+ * comparado com o dicionário de organizações (config/claimants.json), que traz o
+ * nome canônico, o tipo e os apelidos de cada organização:
+ *
+ *   { "name": "Peabody Trust", "type": "housing-association", "aliases": ["Peabody"] }
+ *
+ * Tipos: 'local-authority', 'housing-association', 'private-landlord' e 'lender'.
+ *
+ * A comparação é feita, em ordem: pelo nome normalizado (sem pontuação, sufixos
+ * societários e "t/a ..."), pelo nome do lugar no caso de prefeituras ("Waltham
+ * Forest Council" = "London Borough of Waltham Forest") e por semelhança de texto,
+ * para erros de digitação. Nomes sem correspondência recebem apenas um tipo
+ * estimado e aparecem no relatório da execução, para completar o dicionário.
+ */
+
+const DEFAULT_DICTIONARY = path.join(__dirname, '..', 'config', 'claimants.json');
+
+const TYPES = ['local-authority', 'housing-association', 'private-landlord', 'lender'];
+
+// Abreviações expandidas antes da comparação
+const ABBREVIATIONS = {
+  lb: ['london', 'borough'],
+  rb: ['royal', 'borough'],
+  mbc: ['metropolitan', 'borough', 'council'],
+  bc: ['borough', 'council'],
+  dc: ['district', 'council'],
+  cc: ['city', 'council'],
+  ha: ['housing', 'association'],
+  assn: ['association'],
+  hsg: ['housing'],
+};
+
+// Palavras ignoradas na comparação (sufixos societários e palavras de ligação)
+const IGNORED_WORDS = new Set(['the', 'of', 'and', 'limited', 'ltd', 'plc', 'llp', 'cyf', 'cyfyngedig', 'uk']);
+
+// Palavras genéricas de prefeituras: o que sobra é o nome do lugar
+const AUTHORITY_WORDS = new Set(['london', 'royal', 'borough', 'council', 'city', 'county', 'district', 'metropolitan']);
+
+// Palavras comuns a muitas organizações: sozinhas não tornam dois nomes parecidos
+const GENERIC_WORDS = new Set([
+  ...AUTHORITY_WORDS, 'housing', 'association', 'trust', 'group', 'homes', 'partnership', 'society',
+  'bank', 'building', 'mortgage', 'mortgages', 'finance', 'company', 'communities',
+]);
+
+// Semelhança mínima (0 a 1) do nome inteiro e das palavras que não são genéricas
+const FUZZY_THRESHOLD = 0.85;
+const FUZZY_DISTINCTIVE_THRESHOLD = 0.7;
+
+let dictionary = null;
+const cache = new Map();
+
+/**
+ * Função para separar um nome em palavras normalizadas para a comparação.
+ *
+ * @param {string} name - Nome do requerente.
+ * @returns {Array<string>} Palavras normalizadas.
+ */
+function nameTokens(name) {
+  const text = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\s\(?(t\/a|ta|trading as)\b.*$/, '')
+    .replace(/\([^)]*division\)/g, '')
+    .replace(/\bpublic limited company\b/g, '')
+    .replace(/\bl\.?\s?b\.?(?=\s)/g, 'lb')
+    .replace(/[^a-z0-9]+/g, ' ');
+
+  return text
+    .split(' ')
+    .flatMap((word) => ABBREVIATIONS[word] || [word])
+    .filter((word) => word && !IGNORED_WORDS.has(word));
+}
+
+/**
+ * Função para montar a chave de comparação de um nome.
+ *
+ * @param {string} name - Nome do requerente.
+ * @returns {string} Chave normalizada.
+ */
+function normalizeClaimant(name) {
+  return nameTokens(name).join(' ');
+}
+
+/**
+ * Função para montar a chave de lugar de uma prefeitura.
+ * Retorna null quando o nome não parece ser de uma prefeitura.
+ *
+ * @param {Array<string>} tokens - Palavras normalizadas.
+ * @returns {string|null} Nome do lugar ou null.
+ */
+function authorityKey(tokens) {
+  if (!tokens.some((word) => word === 'council' || word === 'borough')) {
+    return null;
+  }
+
+  const place = tokens.filter((word) => !AUTHORITY_WORDS.has(word));
+  return place.length > 0 ? place.join(' ') : null;
+}
+
+/**
+ * Função para calcular a semelhança entre dois textos (1 = iguais),
+ * a partir da distância de Levenshtein.
+ *
+ * @param {string} a - Primeiro texto.
+ * @param {string} b - Segundo texto.
+ * @returns {number} Semelhança entre 0 e 1.
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Função para carregar o dicionário de organizações e montar os índices de busca.
+ *
+ * @param {string} [file] - Arquivo JSON do dicionário (padrão: config/claimants.json).
+ * @returns {object} Dicionário carregado.
+ */
+function loadClaimantDictionary(file = DEFAULT_DICTIONARY) {
+  const { organisations } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(organisations)) {
+    throw new Error(`Invalid claimant dictionary: ${file}`);
+  }
+
+  const loaded = { file, organisations, byKey: new Map(), byAuthority: new Map() };
+
+  organisations.forEach((organisation) => {
+    if (!organisation.name || !TYPES.includes(organisation.type)) {
+      throw new Error(`Invalid organisation in ${file}: ${JSON.stringify(organisation)}`);
+    }
+
+    [organisation.name, ...(organisation.aliases || [])].forEach((alias) => {
+      const tokens = nameTokens(alias);
+      loaded.byKey.set(tokens.join(' '), organisation);
+
+      const place = organisation.type === 'local-authority' && authorityKey(tokens);
+      if (place) {
+        loaded.byAuthority.set(place, organisation);
+      }
+    });
+  });
+
+  return loaded;
+}
+
+/**
+ * Função para trocar o dicionário usado pelo `matchClaimant`.
+ *
+ * @param {string} [file] - Arquivo JSON do dicionário (padrão: config/claimants.json).
+ */
+function configureClaimants(file) {
+  dictionary = loadClaimantDictionary(file);
+  cache.clear();
+}
+
+/**
+ * Função para estimar o tipo de um requerente que não está no dicionário.
+ *
+ * @param {string} name - Nome do requerente.
+ * @param {boolean} isCompany - Se o requerente é uma organização.
+ * @returns {string} Tipo estimado.
+ */
+function guessType(name, isCompany) {
+  if (!isCompany) return 'private-landlord';
+
+  const tokens = nameTokens(name);
+  if (authorityKey(tokens)) return 'local-authority';
+  if (/\b(bank|building society|mortgages?|finance|lending|loans|equity release)\b/i.test(name)) return 'lender';
+  if (/\b(housing|homes|communities|community housing)\b/i.test(name)) return 'housing-association';
+  return 'private-landlord';
+}
+
+/**
+ * Função para encontrar a organização de um nome no dicionário.
+ *
+ * @param {string} name - Nome do requerente.
+ * @returns {{organisation: object, method: string}|null} Organização e forma da correspondência.
+ */
+function findOrganisation(name) {
+  const tokens = nameTokens(name);
+  const key = tokens.join(' ');
+  if (!key) return null;
+
+  if (dictionary.byKey.has(key)) {
+    return { organisation: dictionary.byKey.get(key), method: 'alias' };
+  }
+
+  const place = authorityKey(tokens);
+  if (place && dictionary.byAuthority.has(place)) {
+    return { organisation: dictionary.byAuthority.get(place), method: 'authority' };
+  }
+
+  // "Estuary Housing Association" não é "Sanctuary Housing Association"
+  const distinctive = (words) => words.filter((word) => !GENERIC_WORDS.has(word)).join(' ');
+  const keyDistinctive = distinctive(tokens);
+
+  let best = null;
+  dictionary.byKey.forEach((organisation, alias) => {
+    const score = similarity(key, alias);
+    if (
+      alias.length >= 6 &&
+      score >= FUZZY_THRESHOLD &&
+      similarity(keyDistinctive, distinctive(alias.split(' '))) >= FUZZY_DISTINCTIVE_THRESHOLD &&
+      (!best || score > best.score)
+    ) {
+      best = { organisation, method: 'fuzzy', score };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Função para normalizar o requerente de uma linha.
+ * Com várias partes ("Bank of Scotland plc & Mr X"), usa a primeira organização.
+ *
+ * @param {string} claimant - Texto do requerente.
+ * @returns {{canonical: string, type: string, method: string|null}} Nome canônico
+ *   (vazio sem correspondência), tipo e forma da correspondência.
+ */
+function matchClaimant(claimant) {
+  if (!dictionary) {
+    dictionary = loadClaimantDictionary();
+  }
+
+  if (cache.has(claimant)) {
+    return cache.get(claimant);
+  }
+
+  const parties = parseParties(claimant);
+  const company = parties.find((party) => party.isCompany);
+  let result = { canonical: '', type: '', method: null };
+
+  if (parties.length > 0) {
+    const name = company ? company.name : parties[0].name;
+    const found = findOrganisation(name) || (company && parties.length === 1 ? null : findOrganisation(claimant));
+
+    result = found
+      ? { canonical: found.organisation.name, type: found.organisation.type, method: found.method }
+      : { canonical: '', type: guessType(name, Boolean(company)), method: null };
+  }
+
+  cache.set(claimant, result);
+  return result;
+}
+
+/**
+ * Função para montar as colunas do requerente normalizado.
+ *
+ * @param {string} claimant - Texto do requerente.
+ * @returns {object} Colunas 'Claimant Canonical' e 'Claimant Type'.
+ */
+function claimantColumns(claimant) {
+  const { canonical, type } = matchClaimant(claimant);
+  return {
+    'Claimant Canonical': canonical,
+    'Claimant Type': type,
+  };
+}
+
+module.exports = {
+  TYPES,
+  normalizeClaimant,
+  similarity,
+  loadClaimantDictionary,
+  configureClaimants,
+  matchClaimant,
+  claimantColumns,
+};
@@ -0,0 +1,614 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runBatch, defaultOutputFileName } = require('../scraper');
+const { downloadCauseLists } = require('./download');
+const { getTemplates } = require('./templates');
+const { getExporter, getExporters, exporterForFile } = require('./exporters');
+const { inputExtensions } = require('./inputs');
+const { DEFAULT_MIN_CONFIDENCE } = require('./validation');
+const { uniquePath } = require('./files');
+const { logger, configureLogger, LEVELS } = require('./logger');
+const { writeReport } = require('./report');
+const { configureClaimants } = require('./claimants');
+const { configureCourts } = require('./courts');
+const { configureFilters } = require('./filters');
+const { createWatcher } = require('./watch');
+const { startApiServer } = require('./server');
+const { readRows, rowsFromHistory, diffRows, writeDiffReport } = require('./diff');
+const { loadHistory } = require('./history');
+
+const USAGE = `Usage: node scraper.js [download|watch|serve] [options]
+       node scraper.js diff <before> <after> [options]
+       node scraper.js diff --dates <before>,<after> [options]
+
+Commands:
+  (none)                       parse the cause lists and write the output
+  download                     download the lists from CourtServe, then parse them
+  watch                        keep running and parse each list as it lands in the input
+                               directory, appending the rows to the day's output
+  serve                        start the HTTP API to submit lists and query the history
+                               (needs API_TOKEN; see lib/server.js for the endpoints)
+  diff                         compare two outputs (.csv, .json or .ndjson) or two dates
+                               of the claim history and write a CSV/HTML change report
+
+Options:
+  -i, --input <path>           directory, file or glob with the lists (default: ./html_files)
+                               accepted files: ${inputExtensions().join(', ')}
+      --download-dir <dir>     download: where to save the lists (default: the --input
+                               directory); without --input, the lists parsed afterwards
+  -o, --output <path>          output file or directory (default: ./output_YYYY-MM-DD.<format>)
+  -f, --format <list>          comma-separated output formats: ${getExporters().map((exporter) => exporter.name).join(', ')}
+                               (default: csv, or the one matching the --output extension)
+      --files <action>         what to do with the lists: move, copy or leave (default: move)
+      --checked-dir <dir>      destination for lists with rows (default: ./checked_files)
+      --unprocessed-dir <dir>  destination for lists without rows (default: ./unprocessed_files)
+      --history <file>         claim history used to mark rows as new, relisted or seen
+                               (default: ./case_history.json)
+      --no-history             do not read or update the claim history
+      --new-only               export only the claims that are new since the last run
+      --claimants <file>       claimant dictionary used to normalise claimants
+                               (default: config/claimants.json)
+      --courts <file>          court directory used to name and locate each court
+                               (default: config/courts.json)
+      --filters <file>         include/exclude rules applied to the extracted rows
+                               (default: config/filters.json)
+      --no-filters             keep every extracted row
+      --quarantine <file>      write rows below --min-confidence to this review file
+                               instead of the output
+      --min-confidence <n>     confidence (0 to 1) a row needs to stay out of quarantine
+                               (default: ${DEFAULT_MIN_CONFIDENCE})
+      --report-dir <dir>       where to write the run report (default: next to the output)
+  -j, --jobs <n>               lists parsed in parallel by worker threads
+                               (default: the number of CPUs)
+      --state <file>           watch mode: files already processed (default: ./watch_state.json)
+      --port <port>            serve: port of the HTTP API (default: 3000, or API_PORT)
+      --host <host>            serve: address of the HTTP API (default: 127.0.0.1, or API_HOST)
+      --dates <before,after>   diff: compare two dates (YYYY-MM-DD) of the claim history
+  -t, --template <name>        force the template for every file
+  -n, --dry-run                only show what would happen, without moving files or writing output
+      --log-level <level>      debug, info, warn, error or silent (default: info, or LOG_LEVEL)
+      --log-file <file>        also write every log entry as JSON lines to this file
+  -v, --verbose                same as --log-level debug
+  -q, --quiet                  same as --log-level warn
+  -h, --help                   show this help
+
+Exit codes: 0 success, 1 a file produced no rows or an error occurred, 2 invalid usage.`;
+
+const OPTIONS = {
+  '-i': 'input',
+  '--input': 'input',
+  '-o': 'output',
+  '--output': 'output',
+  '-f': 'format',
+  '--format': 'format',
+  '--files': 'fileAction',
+  '--checked-dir': 'checkedDir',
+  '--unprocessed-dir': 'unprocessedDir',
+  '--report-dir': 'reportDir',
+  '--download-dir': 'downloadDir',
+  '-j': 'jobs',
+  '--jobs': 'jobs',
+  '--state': 'stateFile',
+  '--port': 'port',
+  '--host': 'host',
+  '--dates': 'dates',
+  '--history': 'history',
+  '--claimants': 'claimants',
+  '--courts': 'courts',
+  '--filters': 'filters',
+  '--quarantine': 'quarantine',
+  '--min-confidence': 'minConfidence',
+  '-t': 'template',
+  '--template': 'template',
+  '--log-level': 'logLevel',
+  '--log-file': 'logFile',
+};
+
+const FLAGS = {
+  '-n': 'dryRun',
+  '--dry-run': 'dryRun',
+  '-h': 'help',
+  '--help': 'help',
+  '-v': 'verbose',
+  '--verbose': 'verbose',
+  '-q': 'quiet',
+  '--quiet': 'quiet',
+  '--no-history': 'noHistory',
+  '--new-only': 'newOnly',
+  '--no-filters': 'noFilters',
+};
+
+/**
+ * Erro de uso da linha de comando (argumentos inválidos).
+ */
+class UsageError extends Error {}
+
+/**
+ * Função para interpretar os argumentos da linha de comando.
+ *
+ * @param {Array<string>} argv - Argumentos (sem "node" e o nome do script).
+ * @returns {object} Comando e opções interpretadas.
+ */
+function parseArgs(argv) {
+  const args = { command: 'process', dryRun: false, help: false, files: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+    }
+
+    if (FLAGS[arg]) {
+      args[FLAGS[arg]] = true;
+    } else if (OPTIONS[arg]) {
+      if (value === null) {
+        value = argv[++i];
+      }
+      if (value === undefined || value === '') {
+        throw new UsageError(`Option ${arg} requires a value`);
+      }
+      args[OPTIONS[arg]] = value;
+    } else if (['download', 'watch', 'serve', 'diff'].includes(arg) && i === 0) {
+      args.command = arg;
+    } else if (args.command === 'diff' && !arg.startsWith('-')) {
+      args.files.push(arg);
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (args.fileAction && !['move', 'copy', 'leave'].includes(args.fileAction)) {
+    throw new UsageError(`Invalid value for --files: ${args.fileAction} (use move, copy or leave)`);
+  }
+
+  if (args.newOnly && args.noHistory) {
+    throw new UsageError('--new-only needs the claim history and cannot be used with --no-history');
+  }
+
+  if (args.filters && args.noFilters) {
+    throw new UsageError('--filters cannot be used with --no-filters');
+  }
+
+  if ((args.quarantine || args.minConfidence) && ['serve', 'diff'].includes(args.command)) {
+    throw new UsageError(`--quarantine and --min-confidence cannot be used with the ${args.command} command`);
+  }
+
+  if (args.minConfidence !== undefined) {
+    if (!args.quarantine) {
+      throw new UsageError('--min-confidence needs --quarantine');
+    }
+    if (!/^(0(\.\d+)?|1(\.0+)?)$/.test(args.minConfidence)) {
+      throw new UsageError(`Invalid value for --min-confidence: ${args.minConfidence} (use a number from 0 to 1)`);
+    }
+    args.minConfidence = Number(args.minConfidence);
+  }
+
+  if (args.jobs !== undefined) {
+    if (['watch', 'serve', 'diff'].includes(args.command)) {
+      throw new UsageError(`--jobs cannot be used with the ${args.command} command`);
+    }
+    if (!/^[1-9]\d*$/.test(args.jobs)) {
+      throw new UsageError(`Invalid value for --jobs: ${args.jobs} (use a whole number from 1)`);
+    }
+    args.jobs = Number(args.jobs);
+  }
+
+  if (args.downloadDir && args.command !== 'download') {
+    throw new UsageError('--download-dir can only be used with the download command');
+  }
+
+  if (args.stateFile && args.command !== 'watch') {
+    throw new UsageError('--state can only be used with the watch command');
+  }
+
+  if ((args.port || args.host) && args.command !== 'serve') {
+    throw new UsageError('--port and --host can only be used with the serve command');
+  }
+
+  if (args.port && !/^\d+$/.test(args.port)) {
+    throw new UsageError(`Invalid value for --port: ${args.port}`);
+  }
+
+  if (args.dates && args.command !== 'diff') {
+    throw new UsageError('--dates can only be used with the diff command');
+  }
+
+  if (args.command === 'diff') {
+    if (args.dates) {
+      args.diffDates = args.dates.split(',').map((date) => date.trim());
+      if (args.diffDates.length !== 2 || args.diffDates.some((date) => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        throw new UsageError(`Invalid value for --dates: ${args.dates} (use YYYY-MM-DD,YYYY-MM-DD)`);
+      }
+    }
+    if (args.dates ? args.files.length > 0 : args.files.length !== 2) {
+      throw new UsageError('The diff command needs two output files or --dates');
+    }
+    if (args.dates && args.noHistory) {
+      throw new UsageError('--dates needs the claim history and cannot be used with --no-history');
+    }
+  }
+
+  if (args.command === 'watch' && args.dryRun) {
+    throw new UsageError('--dry-run cannot be used with the watch command');
+  }
+
+  if (args.logLevel && !LEVELS[args.logLevel]) {
+    throw new UsageError(`Invalid value for --log-level: ${args.logLevel} (use ${Object.keys(LEVELS).join(', ')})`);
+  }
+
+  if (args.format) {
+    args.formats = args.format.split(',').map((format) => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = args.formats.filter((format) => !getExporter(format));
+    if (unknown.length > 0 || args.formats.length === 0) {
+      const available = getExporters().map((exporter) => exporter.name).join(', ');
+      throw new UsageError(`Invalid value for --format: ${args.format} (available: ${available})`);
+    }
+  }
+
+  if (args.command === 'watch') {
+    const inferred = args.output && exporterForFile(args.output);
+    const formats = args.formats || [inferred ? inferred.name : 'csv'];
+    const notAppendable = formats.filter((format) => typeof getExporter(format).append !== 'function');
+    const quarantine = args.quarantine && exporterForFile(args.quarantine);
+    if (quarantine && typeof quarantine.append !== 'function') {
+      notAppendable.push(quarantine.name);
+    }
+    if (notAppendable.length > 0) {
+      throw new UsageError(`The watch command cannot append to: ${notAppendable.join(', ')}`);
+    }
+  }
+
+  const templateNames = getTemplates().map((template) => template.name);
+  if (args.template && !templateNames.includes(args.template)) {
+    throw new UsageError(`Unknown template: ${args.template} (available: ${templateNames.join(', ')})`);
+  }
+
+  return args;
+}
+
+/**
+ * Função para decidir o arquivo de saída de um formato.
+ * Sem `--output`, ou com uma pasta, usa o nome padrão com a data e nunca
+ * sobrescreve uma execução anterior do mesmo dia ("_1", "_2", etc.).
+ * Formatos acumulados (como o SQLite) usam sempre o mesmo arquivo na pasta.
+ *
+ * @param {string} [output] - Valor de `--output`.
+ * @param {object} [exporter] - Exportador do formato (padrão: CSV).
+ * @returns {string} Caminho do arquivo de saída.
+ */
+function resolveOutputFile(output, exporter = getExporter('csv')) {
+  const isDirectory = output && (/[\\/]$/.test(output) || (fs.existsSync(output) && fs.statSync(output).isDirectory()));
+  if (output && !isDirectory) {
+    return output;
+  }
+
+  const directory = output || '.';
+  if (exporter.fileName) {
+    return path.join(directory, exporter.fileName);
+  }
+
+  return uniquePath(path.join(directory, defaultOutputFileName(exporter.extension)));
+}
+
+/**
+ * Função para decidir os formatos e arquivos de saída da execução.
+ * Com vários formatos e um arquivo em `--output`, cada formato usa o mesmo
+ * nome com a sua extensão (saida.csv, saida.xlsx...).
+ *
+ * @param {string} [output] - Valor de `--output`.
+ * @param {Array<string>} [formats] - Formatos pedidos em `--format`.
+ * @returns {Array<{format: string, file: string}>} Formatos e arquivos de saída.
+ */
+function resolveOutputs(output, formats) {
+  const inferred = output && exporterForFile(output);
+  const names = formats || [inferred ? inferred.name : 'csv'];
+
+  return names.map((name) => {
+    const exporter = getExporter(name);
+    let file = resolveOutputFile(output, exporter);
+
+    if (names.length > 1 && path.extname(file).toLowerCase() !== exporter.extension) {
+      file = file.slice(0, file.length - path.extname(file).length) + exporter.extension;
+    }
+
+    return { format: name, file };
+  });
+}
+
+/**
+ * Função para decidir a pasta onde o comando download salva as listas.
+ * Sem `--download-dir`, usa a pasta de `--input`; um arquivo ou glob em `--input`
+ * não serve de destino.
+ *
+ * @param {object} args - Argumentos interpretados ({ input, downloadDir }).
+ * @returns {string} Pasta de destino.
+ */
+function resolveDownloadDir({ input, downloadDir }) {
+  if (downloadDir) {
+    return downloadDir;
+  }
+  if (!input) {
+    return './html_files';
+  }
+
+  const isDirectory = fs.existsSync(input)
+    ? fs.statSync(input).isDirectory()
+    : !/[*?{]/.test(input) && !inputExtensions().includes(path.extname(input).toLowerCase());
+  if (!isDirectory) {
+    throw new UsageError(`--input is not a directory: ${input} (use --download-dir to choose where to save the lists)`);
+  }
+
+  return input;
+}
+
+/**
+ * Função para obter a quantidade padrão de workers: o paralelismo disponível.
+ *
+ * @returns {number} Quantidade de workers (pelo menos 1).
+ */
+function defaultJobs() {
+  return Math.max(1, os.availableParallelism());
+}
+
+/**
+ * Função para decidir o caminho base (sem extensão) do relatório da execução.
+ * Por padrão fica ao lado da saída, com o mesmo nome: output_2024-12-06.report.json/.html.
+ * Arquivos acumulados (como o SQLite) não dão nome ao relatório.
+ *
+ * @param {Array<{format: string, file: string}>} outputs - Formatos e arquivos de saída.
+ * @param {string} [reportDir] - Valor de `--report-dir`.
+ * @returns {string} Caminho base do relatório.
+ */
+function reportBasePath(outputs, reportDir) {
+  const output = outputs.find(({ format }) => !getExporter(format).fileName);
+  const directory = reportDir || path.dirname((output || outputs[0]).file);
+
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  if (!output) {
+    const file = uniquePath(path.join(directory, defaultOutputFileName('.report.json')));
+    return file.slice(0, -'.json'.length);
+  }
+
+  return path.join(directory, `${path.basename(output.file, path.extname(output.file))}.report`);
+}
+
+/**
+ * Função para rodar o modo watch até o processo receber SIGINT ou SIGTERM.
+ *
+ * @param {object} args - Argumentos interpretados.
+ * @param {string} input - Pasta monitorada.
+ * @returns {Promise<number>} Código de saída.
+ */
+async function watchInput(args, input) {
+  if (!fs.existsSync(input)) {
+    fs.mkdirSync(input, { recursive: true });
+  }
+
+  const inferred = args.output && exporterForFile(args.output);
+  const watcher = createWatcher({
+    input,
+    checkedDir: args.checkedDir,
+    unprocessedDir: args.unprocessedDir,
+    fileAction: args.fileAction,
+    template: args.template,
+    output: args.output || null,
+    formats: args.formats || [inferred ? inferred.name : 'csv'],
+    history: args.noHistory ? null : args.history || './case_history.json',
+    newOnly: Boolean(args.newOnly),
+    quarantineFile: args.quarantine || null,
+    minConfidence: args.minConfidence,
+    stateFile: args.stateFile,
+  });
+
+  watcher.start();
+
+  const signal = await new Promise((resolve) => {
+    process.once('SIGINT', () => resolve('SIGINT'));
+    process.once('SIGTERM', () => resolve('SIGTERM'));
+  });
+
+  logger.info('Stopping watch mode', { signal });
+  await watcher.close();
+  return 0;
+}
+
+/**
+ * Função para rodar a API HTTP até o processo receber SIGINT ou SIGTERM.
+ *
+ * @param {object} args - Argumentos interpretados.
+ * @returns {Promise<number>} Código de saída.
+ */
+async function serveApi(args) {
+  const server = await startApiServer({
+    port: args.port,
+    host: args.host,
+    history: args.noHistory ? null : args.history || './case_history.json',
+  });
+
+  const signal = await new Promise((resolve) => {
+    process.once('SIGINT', () => resolve('SIGINT'));
+    process.once('SIGTERM', () => resolve('SIGTERM'));
+  });
+
+  logger.info('Stopping API', { signal });
+  await new Promise((resolve) => server.close(resolve));
+  return 0;
+}
+
+/**
+ * Função para comparar duas execuções (ou duas datas do histórico) e gravar o relatório de mudanças.
+ *
+ * @param {object} args - Argumentos interpretados.
+ * @returns {number} Código de saída.
+ */
+function compareRuns(args) {
+  let before;
+  let after;
+  let labels;
+
+  if (args.diffDates) {
+    const historyFile = args.history || './case_history.json';
+    if (!fs.existsSync(historyFile)) {
+      throw new Error(`History file not found: ${historyFile}`);
+    }
+
+    const history = loadHistory(historyFile);
+    before = rowsFromHistory(history, args.diffDates[0]);
+    after = rowsFromHistory(history, args.diffDates[1]);
+    labels = { before: args.diffDates[0], after: args.diffDates[1] };
+  } else {
+    before = readRows(args.files[0]);
+    after = readRows(args.files[1]);
+    labels = { before: path.basename(args.files[0]), after: path.basename(args.files[1]) };
+  }
+
+  const diff = diffRows(before, after);
+
+  // O relatório usa o nome de --output sem a extensão (diff.csv -> diff.csv e diff.html)
+  let basePath = args.output ? args.output.replace(/\.(csv|html)$/i, '') : null;
+  if (!basePath) {
+    const file = uniquePath(defaultOutputFileName('.csv').replace(/^output_/, 'diff_'));
+    basePath = file.slice(0, -'.csv'.length);
+  }
+  if (!fs.existsSync(path.dirname(basePath))) {
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  }
+
+  const files = writeDiffReport(diff, basePath, labels);
+  logger.info('Diff report saved', { ...files, ...diff.totals });
+  return 0;
+}
+
+/**
+ * Função principal da linha de comando.
+ *
+ * @param {Array<string>} argv - Argumentos (sem "node" e o nome do script).
+ * @returns {Promise<number>} Código de saída.
+ */
+async function runCli(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.command === 'download') {
+      args.downloadDir = resolveDownloadDir(args);
+    }
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const level = args.logLevel || (args.verbose && 'debug') || (args.quiet && 'warn');
+  configureLogger({
+    ...(level ? { level } : {}),
+    file: args.logFile || null,
+  });
+
+  try {
+    const input = args.input || args.downloadDir || './html_files';
+
+    if (args.claimants) {
+      configureClaimants(args.claimants);
+    }
+
+    if (args.courts) {
+      configureCourts(args.courts);
+    }
+
+    if (args.filters || args.noFilters) {
+      configureFilters(args.noFilters ? null : args.filters);
+    }
+
+    if (args.command === 'watch') {
+      return await watchInput(args, input);
+    }
+
+    if (args.command === 'serve') {
+      return await serveApi(args);
+    }
+
+    if (args.command === 'diff') {
+      return compareRuns(args);
+    }
+
+    if (args.command === 'download') {
+      await downloadCauseLists({ outputDir: args.downloadDir });
+    }
+
+    const outputs = resolveOutputs(args.output, args.formats);
+    if (!args.dryRun) {
+      outputs
+        .map(({ file }) => path.dirname(file))
+        .filter((directory) => !fs.existsSync(directory))
+        .forEach((directory) => fs.mkdirSync(directory, { recursive: true }));
+    }
+
+    // As linhas vão direto para as saídas (keepRows: false); os workers recebem a mesma configuração
+    const { files, failed, quarantined, report, throughput } = await runBatch({
+      input,
+      checkedDir: args.checkedDir,
+      unprocessedDir: args.unprocessedDir,
+      fileAction: args.fileAction,
+      dryRun: args.dryRun,
+      template: args.template,
+      outputs,
+      history: args.noHistory ? null : args.history || './case_history.json',
+      newOnly: Boolean(args.newOnly),
+      quarantineFile: args.quarantine || null,
+      minConfidence: args.minConfidence,
+      jobs: args.jobs || defaultJobs(),
+      setup: {
+        claimants: args.claimants,
+        courts: args.courts,
+        filters: args.noFilters ? null : args.filters,
+        logger: { ...(level ? { level } : {}), file: args.logFile || null },
+      },
+      keepRows: false,
+    });
+
+    const rows = report.totals.rows;
+    if (args.dryRun && rows > 0) {
+      outputs.forEach(({ format, file }) => logger.info('Dry run: rows would be exported', { format, file, rows }));
+    }
+
+    if (!args.dryRun) {
+      const reportFiles = writeReport(report, reportBasePath(outputs, args.reportDir));
+      logger.info('Report saved', reportFiles);
+    }
+
+    logger.info('Run finished', {
+      files: files.length,
+      withoutRows: failed,
+      rows,
+      filtered: report.totals.rowsFiltered,
+      ...(args.quarantine ? { quarantined } : {}),
+      seconds: throughput.seconds,
+      filesPerSecond: throughput.filesPerSecond,
+    });
+    return failed > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error('Run failed', { error: error.message });
+    return 1;
+  }
+}
+
+module.exports = {
+  parseArgs,
+  resolveOutputFile,
+  resolveOutputs,
+  resolveDownloadDir,
+  defaultJobs,
+  runCli,
+  UsageError,
+};
@@ -0,0 +1,59 @@
+/**
+ * Colunas das linhas extraídas, na ordem em que são exportadas.
+ * Todos os exportadores (CSV, JSON, XLSX, SQLite...) usam esta lista.
+ */
+const COLUMNS = [
+  'Court Name',
+  'Court Date',
+  'Claim Number',
+  'Claimant',
+  'Defendant',
+  'Duration',
+  'Hearing Type',
+  'Hearing Channel',
+  'Title',
+  'Status',
+  'Claimant Title',
+  'Claimant First Name',
+  'Claimant Last Name',
+  'Claimant Is Company',
+  'Defendant Title',
+  'Defendant First Name',
+  'Defendant Last Name',
+  'Defendant Is Company',
+  'Claimant Canonical',
+  'Claimant Type',
+  'Case Type',
+  'Start Time',
+  'Judge',
+  'Judge Rank',
+  'Courtroom',
+  'Session',
+  'Court Region',
+  'Court Postcode',
+  'Claim Type',
+  'Issuing Centre',
+  'Claim Year',
+  'Extraction',
+  'Confidence',
+  'Warnings',
+];
+
+/**
+ * Função para montar um registro com as colunas na ordem padrão.
+ *
+ * @param {object} row - Linha extraída.
+ * @returns {object} Registro com todas as colunas (texto, sem espaços nas pontas).
+ */
+function toRecord(row) {
+  const record = {};
+  COLUMNS.forEach((column) => {
+    record[column] = (row[column] ?? '').toString().trim();
+  });
+  return record;
+}
+
+module.exports = {
+  COLUMNS,
+  toRecord,
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Diretório de tribunais.
+ *
+ * O nome do tribunal de cada linha vem do diretório (config/courts.json), que traz
+ * o nome canônico, os apelidos, a região do HMCTS, o endereço e o CEP (postcode):
+ *
+ *   { "name": "Slough", "aliases": [], "region": "South East", "address": "...", "postcode": "SL1 2HE" }
+ *
+ * O tribunal é procurado, em ordem:
+ * - no local da audiência indicado na página ("In the County Court at Worcester
+ *   sitting at Kidderminster", "In the County Court at The Mayors and City of London Court");
+ * - na lista indicada no título ("Central London County Court, Daily Mayors & City",
+ *   "Clerkenwell & Shoreditch County Court, Stratford Housing Centre", "DJ Spencer (Gt Yarmouth)");
+ * - no tribunal do título ("CourtServe: Slough County Court, ...").
+ *
+ * Tribunais sem correspondência mantêm o nome do título, ficam sem região e
+ * aparecem no relatório da execução, para completar o diretório.
+ */
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'config', 'courts.json');
+
+// Tipos de tribunal no fim do nome ("Canterbury Magistrates Court", "Blackpool Family and Civil Courts")
+const COURT_SUFFIX = /\s+(county court|civil and family courts?|family and civil courts?|civil justice centre|cjc|magistrates court|magistrates|court)$/;
+
+// Local da audiência: o último "court at" ou "sitting at" do texto
+const VENUE_AT_PATTERN = /.*\b(?:sitting|courts?)\s+at\s+(.+)$/i;
+
+// Tribunal nomeado sem "at": "In the St Helens County Court", "In the Blackpool Family and Civil Courts"
+const VENUE_NAMED_PATTERN = /^(?:in\s+)?the\s+(.+?)\s+(?:county\s+court|family\s+and\s+civil\s+courts?|civil\s+and\s+family\s+courts?)$/i;
+
+let directory = null;
+
+/**
+ * Função para montar a chave de comparação do nome de um tribunal.
+ *
+ * @param {string} name - Nome do tribunal ou do local.
+ * @returns {string} Chave normalizada.
+ */
+function courtKey(name) {
+  let key = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && word !== 'the')
+    .join(' ');
+
+  while (COURT_SUFFIX.test(key)) {
+    key = key.replace(COURT_SUFFIX, '');
+  }
+
+  return key;
+}
+
+/**
+ * Função para ler o local da audiência de um parágrafo da página.
+ *
+ * @param {string} text - Texto do parágrafo ("In the County Court and the Family Court at Brighton").
+ * @returns {string} Local ('' se o texto não indicar um tribunal).
+ */
+function venueFromText(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  const match = value.match(VENUE_AT_PATTERN) || value.match(VENUE_NAMED_PATTERN);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Função para separar o título da página no tribunal e nas indicações da lista.
+ *
+ * @param {string} title - Título da página ("CourtServe: Norwich County Court, DJ Spencer (Gt Yarmouth) 14/11/24").
+ * @returns {{court: string, lists: Array<string>}} Tribunal do título e possíveis locais da lista.
+ */
+function parseTitle(title) {
+  const value = String(title || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^CourtServe:\s*/i, '')
+    .replace(/\s*\d{1,2}\/\d{1,2}\/\d{2,4}.*$/, '')
+    .trim();
+
+  const match = value.match(/^(.*?)\s*County Court\b,?\s*(.*)$/i);
+  if (!match) {
+    return { court: '', lists: [] };
+  }
+
+  const list = match[2].replace(/^daily\s+/i, '');
+  const lists = [list, ...[...list.matchAll(/\(([^)]+)\)/g)].map((found) => found[1])].filter(Boolean);
+  return { court: match[1], lists };
+}
+
+/**
+ * Função para carregar o diretório de tribunais e montar o índice de busca.
+ *
+ * @param {string} [file] - Arquivo JSON do diretório (padrão: config/courts.json).
+ * @returns {object} Diretório carregado.
+ */
+function loadCourtDirectory(file = DEFAULT_DIRECTORY) {
+  const { courts } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(courts)) {
+    throw new Error(`Invalid court directory: ${file}`);
+  }
+
+  const loaded = { file, courts, byKey: new Map() };
+
+  courts.forEach((court) => {
+    if (!court.name || !court.region) {
+      throw new Error(`Invalid court in ${file}: ${JSON.stringify(court)}`);
+    }
+
+    [court.name, ...(court.aliases || [])].forEach((alias) => {
+      const key = courtKey(alias);
+      const existing = loaded.byKey.get(key);
+      if (existing && existing !== court) {
+        throw new Error(`Duplicate court alias in ${file}: ${alias}`);
+      }
+      loaded.byKey.set(key, court);
+    });
+  });
+
+  return loaded;
+}
+
+/**
+ * Função para trocar o diretório usado pelo `resolveCourt`.
+ *
+ * @param {string} [file] - Arquivo JSON do diretório (padrão: config/courts.json).
+ */
+function configureCourts(file) {
+  directory = loadCourtDirectory(file);
+}
+
+/**
+ * Função para encontrar o tribunal de uma lista no diretório.
+ *
+ * @param {object} source - Origem do nome ({ title, venue }): título da página
+ *   e local da audiência lido da página (`venueFromText`).
+ * @returns {{name: string, region: string, address: string, postcode: string, known: boolean, method: string|null}}
+ *   Tribunal encontrado; sem correspondência, `known` é false e o nome vem do título ou do local.
+ */
+function resolveCourt({ title = '', venue = '' } = {}) {
+  if (!directory) {
+    directory = loadCourtDirectory();
+  }
+
+  const { court, lists } = parseTitle(title);
+  const candidates = [
+    { method: 'venue', name: venue },
+    ...lists.map((name) => ({ method: 'list', name })),
+    { method: 'title', name: court },
+  ];
+
+  for (const candidate of candidates) {
+    const found = directory.byKey.get(courtKey(candidate.name));
+    if (candidate.name && found) {
+      return {
+        name: found.name,
+        region: found.region,
+        address: found.address || '',
+        postcode: found.postcode || '',
+        known: true,
+        method: candidate.method,
+      };
+    }
+  }
+
+  return { name: court || venue, region: '', address: '', postcode: '', known: false, method: null };
+}
+
+/**
+ * Função para montar as colunas do tribunal de uma linha.
+ *
+ * @param {object} court - Tribunal retornado por `resolveCourt`.
+ * @returns {object} Colunas 'Court Name', 'Court Region' e 'Court Postcode'.
+ */
+function courtColumns(court) {
+  return {
+    'Court Name': court.name,
+    'Court Region': court.region,
+    'Court Postcode': court.postcode,
+  };
+}
+
+module.exports = {
+  courtKey,
+  venueFromText,
+  loadCourtDirectory,
+  configureCourts,
+  resolveCourt,
+  courtColumns,
+};
@@ -0,0 +1,218 @@
+/**
+ * Módulo de datas das listas do CourtServe.
+ *
+ * Entende datas em inglês ("Monday, 18th November 2024"), galês
+ * ("Dydd Llun, 18 Tachwedd 2024"), cabeçalhos bilíngues
+ * ("Dydd Llun, 18 Tachwedd 2024, Monday, 18 November 2024") e formatos
+ * numéricos com o dia primeiro ("18/11/2024", "18.11.24").
+ *
+ * O resultado é sempre um objeto:
+ * - sucesso: { ok: true, iso: '2024-11-18', display: '18/11/2024', input }
+ * - falha:   { ok: false, iso: null, display: '', reason, input }
+ *
+ * Motivos de falha (reason):
+ * - 'empty': nenhum texto recebido;
+ * - 'no-date': o texto não contém uma data reconhecível;
+ * - 'invalid-date': a data foi reconhecida mas não existe (ex.: 31/02/2024);
+ * - 'not-found': nenhum parágrafo da página contém uma data.
+ */
+
+const MONTHS = {
+  // Inglês
+  january: 1, jan: 1,
+  february: 2, feb: 2,
+  march: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5,
+  june: 6, jun: 6,
+  july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sept: 9, sep: 9,
+  october: 10, oct: 10,
+  november: 11, nov: 11,
+  december: 12, dec: 12,
+  // Galês (incluindo as formas com mutação mais comuns)
+  ionawr: 1,
+  chwefror: 2,
+  mawrth: 3, fawrth: 3,
+  ebrill: 4,
+  mai: 5, fai: 5,
+  mehefin: 6, fehefin: 6,
+  gorffennaf: 7, orffennaf: 7,
+  awst: 8,
+  medi: 9, fedi: 9,
+  hydref: 10,
+  tachwedd: 11, dachwedd: 11,
+  rhagfyr: 12, ragfyr: 12,
+};
+
+// Meses que podem aparecer antes do dia ("November 18, 2024"): apenas em inglês
+const ENGLISH_MONTHS = Object.keys(MONTHS).slice(0, Object.keys(MONTHS).indexOf('ionawr'));
+
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const ENGLISH_MONTH_NAMES = ENGLISH_MONTHS.sort((a, b) => b.length - a.length).join('|');
+
+// Sufixos ordinais em inglês (1st, 2nd) e em galês (1af, 2il, 3ydd, 5ed, 7fed, 11eg, 21ain)
+const ORDINAL = '(?:st|nd|rd|th|af|il|ydd|fed|ed|eg|ain)?';
+
+const WEEKDAYS = /\b(?:dydd\s+(?:llun|mawrth|mercher|iau|gwener|sadwrn|sul)|monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)\b/gi;
+
+const DATE_PATTERNS = [
+  // 18 November 2024, 18th Nov 2024, 18 Tachwedd 2024
+  {
+    regex: new RegExp(`\\b(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?(${MONTH_NAMES})\\.?,?\\s+(\\d{4})\\b`, 'i'),
+    parts: (m) => ({ day: m[1], month: MONTHS[m[2].toLowerCase()], year: m[3] }),
+  },
+  // November 18, 2024 / November 18th 2024
+  {
+    regex: new RegExp(`\\b(${ENGLISH_MONTH_NAMES})\\.?\\s+(\\d{1,2})${ORDINAL},?\\s+(\\d{4})\\b`, 'i'),
+    parts: (m) => ({ day: m[2], month: MONTHS[m[1].toLowerCase()], year: m[3] }),
+  },
+  // 18/11/2024, 18-11-24, 18.11.2024 (dia primeiro)
+  {
+    regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/,
+    parts: (m) => ({ day: m[1], month: m[2], year: m[3].length === 2 ? `20${m[3]}` : m[3] }),
+  },
+];
+
+/**
+ * Monta o resultado de sucesso a partir de dia, mês e ano,
+ * validando se a data realmente existe no calendário.
+ *
+ * @param {object} parts - Partes da data ({ day, month, year }).
+ * @param {string} input - Texto original.
+ * @returns {object} Resultado da interpretação.
+ */
+function buildResult({ day, month, year }, input) {
+  const d = Number(day);
+  const m = Number(month);
+  const y = Number(year);
+  const date = new Date(Date.UTC(y, m - 1, d));
+
+  if (
+    !m || !d ||
+    date.getUTCFullYear() !== y ||
+    date.getUTCMonth() !== m - 1 ||
+    date.getUTCDate() !== d
+  ) {
+    return failure('invalid-date', input);
+  }
+
+  const dd = String(d).padStart(2, '0');
+  const mm = String(m).padStart(2, '0');
+
+  return {
+    ok: true,
+    iso: `${y}-${mm}-${dd}`,
+    display: `${dd}/${mm}/${y}`,
+    input,
+  };
+}
+
+/**
+ * Monta o resultado de falha com o motivo estruturado.
+ *
+ * @param {string} reason - Motivo da falha.
+ * @param {string} input - Texto original.
+ * @returns {object} Resultado da interpretação.
+ */
+function failure(reason, input) {
+  return { ok: false, iso: null, display: '', reason, input };
+}
+
+/**
+ * Função para interpretar a data de uma lista.
+ *
+ * Com `strict: true` o texto precisa ser apenas uma data (dia da semana e
+ * cabeçalhos bilíngues são permitidos), o que evita capturar datas soltas
+ * no meio de frases ao percorrer os parágrafos da página.
+ *
+ * @param {string} text - Texto com a data.
+ * @param {object} [options] - Opções ({ strict }).
+ * @returns {object} Resultado da interpretação.
+ */
+function parseCourtDate(text, options = {}) {
+  const input = (text || '').replace(/\s+/g, ' ').trim();
+  if (!input) {
+    return failure('empty', input);
+  }
+
+  let remaining = input.replace(WEEKDAYS, ' ');
+  let first = null;
+  let invalid = null;
+
+  DATE_PATTERNS.forEach(({ regex, parts }) => {
+    let match = remaining.match(regex);
+    while (match) {
+      const result = buildResult(parts(match), input);
+      if (result.ok && !first) first = result;
+      if (!result.ok && !invalid) invalid = result;
+
+      remaining = remaining.replace(match[0], ' ');
+      match = remaining.match(regex);
+    }
+  });
+
+  if (options.strict && /[a-z0-9]/i.test(remaining)) {
+    return failure('no-date', input);
+  }
+
+  return first || invalid || failure('no-date', input);
+}
+
+/**
+ * Função para encontrar a data da lista nos parágrafos da página.
+ * Retorna a primeira data válida encontrada.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @returns {object} Resultado da interpretação (reason 'not-found' se não houver data).
+ */
+function findCourtDate($) {
+  let found = null;
+  let invalid = null;
+
+  $('p').each((i, elem) => {
+    const result = parseCourtDate($(elem).text(), { strict: true });
+    if (result.ok) {
+      found = result;
+      return false;
+    }
+    if (result.reason === 'invalid-date' && !invalid) {
+      invalid = result;
+    }
+  });
+
+  return found || invalid || failure('not-found', '');
+}
+
+/**
+ * Função para interpretar o horário de uma audiência ("10.30", "2:00 PM", "14:00").
+ *
+ * @param {string} text - Texto com o horário.
+ * @returns {string} Horário no formato HH:MM (24 horas) ou '' se não for um horário.
+ */
+function parseStartTime(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2})[.:](\d{2})\s*(am|pm)?\b/i);
+  if (!match) {
+    return '';
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = (match[3] || '').toLowerCase();
+
+  // Sem AM/PM, "2.00" é à tarde: as audiências acontecem entre 9h e 17h
+  if ((period === 'pm' || (!period && hours >= 1 && hours <= 6)) && hours < 12) hours += 12;
+  if (period === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) {
+    return '';
+  }
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+module.exports = {
+  parseCourtDate,
+  findCourtDate,
+  parseStartTime,
+};
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, formatCsv } = require('./exporters/csv');
+const { claimKey } = require('./history');
+const { escapeHtml } = require('./report');
+
+/**
+ * Relatório de mudanças entre duas execuções (ou duas datas do histórico).
+ *
+ * As linhas são comparadas pelo número do processo, com a mesma estrutura
+ * de colunas que o `saveToCsv` grava. Cada processo que mudou recebe um tipo:
+ * - 'new': só aparece na execução mais recente (processo novo);
+ * - 'removed': sumiu da execução mais recente (provavelmente acordo ou audiência cancelada);
+ * - 'moved': mudou de tribunal, data ou horário;
+ * - 'updated': mudou outro campo da audiência (tipo, duração, juiz, sala...).
+ */
+
+// Campos que, quando mudam, indicam que a audiência foi remarcada
+const MOVE_FIELDS = ['Court Name', 'Court Date', 'Start Time'];
+
+// Outros campos da audiência comparados
+const UPDATE_FIELDS = ['Hearing Type', 'Hearing Channel', 'Duration', 'Judge', 'Courtroom'];
+
+const CHANGE_ORDER = { removed: 0, moved: 1, updated: 2, new: 3 };
+
+// Colunas do relatório em CSV
+const DIFF_COLUMNS = [
+  'Change',
+  'Claim Number',
+  'Claimant',
+  'Defendant',
+  'Court Before',
+  'Court After',
+  'Date Before',
+  'Date After',
+  'Start Time Before',
+  'Start Time After',
+  'Hearing Type Before',
+  'Hearing Type After',
+  'Changed Fields',
+];
+
+/**
+ * Função para ler as linhas de uma saída do scraper (CSV, JSON ou NDJSON).
+ *
+ * @param {string} file - Arquivo de saída.
+ * @returns {Array<object>} Linhas com as colunas do `saveToCsv`.
+ */
+function readRows(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.json') {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error(`Invalid rows file: ${file} (expected a JSON array)`);
+    }
+    return rows;
+  }
+
+  if (extension === '.ndjson') {
+    return text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+
+  if (extension === '.csv') {
+    return parseCsv(text);
+  }
+
+  throw new Error(`Unsupported file for diff: ${file} (use .csv, .json or .ndjson)`);
+}
+
+/**
+ * Função para montar as linhas de uma data a partir do histórico de processos.
+ * O histórico só guarda o tribunal e o tipo da audiência; os outros campos ficam vazios.
+ *
+ * @param {object} history - Histórico carregado.
+ * @param {string} isoDate - Data no formato YYYY-MM-DD.
+ * @returns {Array<object>} Linhas da data, uma por processo.
+ */
+function rowsFromHistory(history, isoDate) {
+  const [year, month, day] = isoDate.split('-');
+
+  return Object.entries(history.claims).flatMap(([claimNumber, claim]) => {
+    const hearing = claim.hearings.find((item) => item.date === isoDate);
+    return hearing
+      ? [{ 'Claim Number': claimNumber, 'Court Name': hearing.court, 'Court Date': `${day}/${month}/${year}`, 'Hearing Type': hearing.hearingType }]
+      : [];
+  });
+}
+
+/**
+ * Função para indexar as linhas pelo número do processo (a primeira linha de cada processo vale).
+ *
+ * @param {Array<object>} rows - Linhas.
+ * @returns {Map<string, object>} Linhas por número de processo.
+ */
+function byClaim(rows) {
+  const index = new Map();
+  rows.forEach((row) => {
+    const key = claimKey(row['Claim Number']);
+    if (key && !index.has(key)) {
+      index.set(key, row);
+    }
+  });
+  return index;
+}
+
+/**
+ * Função para comparar as linhas de duas execuções.
+ *
+ * @param {Array<object>} before - Linhas da execução anterior.
+ * @param {Array<object>} after - Linhas da execução mais recente.
+ * @returns {{changes: Array<object>, totals: object}} Mudanças (com `change`, `claimNumber`,
+ *   `before`, `after` e `fields`) e a quantidade por tipo, inclusive 'unchanged'.
+ */
+function diffRows(before, after) {
+  const previous = byClaim(before);
+  const current = byClaim(after);
+  const value = (row, field) => String((row && row[field]) || '').trim();
+
+  const totals = { new: 0, removed: 0, moved: 0, updated: 0, unchanged: 0 };
+  const changes = [];
+
+  new Set([...previous.keys(), ...current.keys()]).forEach((key) => {
+    const old = previous.get(key) || null;
+    const row = current.get(key) || null;
+
+    // Campos vazios em um dos lados (ex.: linhas do histórico) não contam como mudança
+    const differs = (field) => value(old, field) && value(row, field) && value(old, field) !== value(row, field);
+    const fields = old && row ? [...MOVE_FIELDS, ...UPDATE_FIELDS].filter(differs) : [];
+
+    let change = 'unchanged';
+    if (!old) change = 'new';
+    else if (!row) change = 'removed';
+    else if (fields.some((field) => MOVE_FIELDS.includes(field))) change = 'moved';
+    else if (fields.length > 0) change = 'updated';
+
+    totals[change]++;
+    if (change !== 'unchanged') {
+      changes.push({ change, claimNumber: value(row || old, 'Claim Number'), before: old, after: row, fields });
+    }
+  });
+
+  changes.sort((a, b) => CHANGE_ORDER[a.change] - CHANGE_ORDER[b.change] || a.claimNumber.localeCompare(b.claimNumber));
+  return { changes, totals };
+}
+
+/**
+ * Função para montar as linhas do relatório em CSV.
+ *
+ * @param {{changes: Array<object>}} diff - Resultado de `diffRows`.
+ * @returns {string} Conteúdo CSV.
+ */
+function formatDiffCsv(diff) {
+  const value = (row, field) => (row && row[field]) || '';
+
+  return formatCsv(
+    diff.changes.map(({ change, claimNumber, before, after, fields }) => ({
+      'Change': change,
+      'Claim Number': claimNumber,
+      'Claimant': value(after, 'Claimant') || value(before, 'Claimant'),
+      'Defendant': value(after, 'Defendant') || value(before, 'Defendant'),
+      'Court Before': value(before, 'Court Name'),
+      'Court After': value(after, 'Court Name'),
+      'Date Before': value(before, 'Court Date'),
+      'Date After': value(after, 'Court Date'),
+      'Start Time Before': value(before, 'Start Time'),
+      'Start Time After': value(after, 'Start Time'),
+      'Hearing Type Before': value(before, 'Hearing Type'),
+      'Hearing Type After': value(after, 'Hearing Type'),
+      'Changed Fields': fields.join('; '),
+    })),
+    DIFF_COLUMNS
+  );
+}
+
+/**
+ * Função para gerar o relatório de mudanças em HTML, uma seção por tipo.
+ *
+ * @param {{changes: Array<object>, totals: object}} diff - Resultado de `diffRows`.
+ * @param {{before: string, after: string}} labels - Origem de cada lado (arquivo ou data).
+ * @returns {string} Página HTML.
+ */
+function formatDiffHtml(diff, labels) {
+  const value = (row, field) => escapeHtml((row && row[field]) || '');
+  const hearing = (row) => (row ? `${value(row, 'Court Name')} ${value(row, 'Court Date')} ${value(row, 'Start Time')}`.trim() : '');
+
+  const titles = {
+    removed: 'Hearings that disappeared',
+    moved: 'Hearings that moved court, date or time',
+    updated: 'Hearings with other changes',
+    new: 'New claims',
+  };
+
+  const sections = Object.keys(titles)
+    .map((change) => {
+      const items = diff.changes.filter((item) => item.change === change);
+      if (items.length === 0) return '';
+
+      const rows = items
+        .map(({ claimNumber, before, after, fields }) => `    <tr>
+      <td>${escapeHtml(claimNumber)}</td>
+      <td>${value(after || before, 'Claimant')}</td>
+      <td>${value(after || before, 'Defendant')}</td>
+      <td>${hearing(before)}</td>
+      <td>${hearing(after)}</td>
+      <td>${escapeHtml(fields.join(', '))}</td>
+    </tr>`)
+        .join('\n');
+
+      return `<h2>${titles[change]} (${items.length})</h2>
+<table>
+  <thead>
+    <tr><th>Claim Number</th><th>Claimant</th><th>Defendant</th><th>Before</th><th>After</th><th>Changed</th></tr>
+  </thead>
+  <tbody>
+${rows}
+  </tbody>
+</table>
+`;
+    })
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Changes between ${escapeHtml(labels.before)} and ${escapeHtml(labels.after)}</title>
+<style>
+  body { font-family: sans-serif; font-size: 13px; margin: 20px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+</style>
+</head>
+<body>
+<h1>Changes between ${escapeHtml(labels.before)} and ${escapeHtml(labels.after)}</h1>
+<p>${diff.totals.new} new, ${diff.totals.removed} removed, ${diff.totals.moved} moved,
+  ${diff.totals.updated} updated, ${diff.totals.unchanged} unchanged.</p>
+${sections || '<p>No changes.</p>\n'}</body>
+</html>
+`;
+}
+
+/**
+ * Função para gravar o relatório de mudanças em CSV e em HTML.
+ *
+ * @param {object} diff - Resultado de `diffRows`.
+ * @param {string} basePath - Caminho base, sem extensão (ex.: diff_2024-12-06).
+ * @param {{before: string, after: string}} labels - Origem de cada lado.
+ * @returns {{csv: string, html: string}} Arquivos gravados.
+ */
+function writeDiffReport(diff, basePath, labels) {
+  const files = { csv: `${basePath}.csv`, html: `${basePath}.html` };
+  fs.writeFileSync(files.csv, formatDiffCsv(diff));
+  fs.writeFileSync(files.html, formatDiffHtml(diff, labels));
+  return files;
+}
+
+module.exports = {
+  DIFF_COLUMNS,
+  readRows,
+  rowsFromHistory,
+  diffRows,
+  formatDiffCsv,
+  formatDiffHtml,
+  writeDiffReport,
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const puppeteer = require('puppeteer');
+const { uniquePath } = require('./files');
+const { logger } = require('./logger');
+
+const DEFAULT_INDEX_URL = 'https://www.courtserve.net/courtlists/current/county/indexv2county.php';
+
+/**
+ * Monta a configuração do download a partir das variáveis de ambiente,
+ * permitindo sobrescrever qualquer valor pelas opções recebidas.
+ *
+ * Variáveis suportadas:
+ * - COURTSERVE_USERNAME / COURTSERVE_PASSWORD: credenciais de acesso.
+ * - COURTSERVE_INDEX_URL: página índice das listas dos County Courts.
+ * - COURTSERVE_LOGIN_URL: página de login (por padrão, a própria página índice).
+ * - COURTSERVE_LINK_PATTERN: regex aplicada ao href para reconhecer links de listas.
+ *
+ * Nas opções, `launch(launchOptions)` substitui o `puppeteer.launch` (nos testes,
+ * um navegador falso sobre as páginas de mock/courtserve).
+ *
+ * @param {object} options - Opções que sobrescrevem as variáveis de ambiente.
+ * @returns {object} Configuração final do download.
+ */
+function resolveConfig(options = {}) {
+  const env = process.env;
+  const indexUrl = options.indexUrl || env.COURTSERVE_INDEX_URL || DEFAULT_INDEX_URL;
+
+  return {
+    username: options.username || env.COURTSERVE_USERNAME || '',
+    password: options.password || env.COURTSERVE_PASSWORD || '',
+    indexUrl,
+    loginUrl: options.loginUrl || env.COURTSERVE_LOGIN_URL || indexUrl,
+    linkPattern: options.linkPattern || new RegExp(env.COURTSERVE_LINK_PATTERN || '/courtlists/', 'i'),
+    outputDir: options.outputDir || './html_files',
+    launchOptions: options.launchOptions || { headless: true },
+    launch: options.launch || ((launchOptions) => puppeteer.launch(launchOptions)),
+  };
+}
+
+/**
+ * Remove o fragmento (#...) de uma URL para facilitar comparações.
+ *
+ * @param {URL} url - URL a ser normalizada.
+ * @returns {string} URL sem fragmento.
+ */
+function withoutHash(url) {
+  const copy = new URL(url.href);
+  copy.hash = '';
+  return copy.href;
+}
+
+/**
+ * Função para coletar os links das listas a partir do HTML da página índice.
+ * Considera apenas links da mesma origem que casem com o padrão configurado,
+ * ignorando a própria página índice e links repetidos.
+ *
+ * @param {string} html - Conteúdo HTML da página índice.
+ * @param {string} indexUrl - URL da página índice (base para links relativos).
+ * @param {RegExp} linkPattern - Padrão que identifica os links de listas.
+ * @returns {Array<string>} URLs absolutas das listas encontradas.
+ */
+function collectListLinks(html, indexUrl, linkPattern = /\/courtlists\//i) {
+  const $ = cheerio.load(html);
+  const base = new URL(indexUrl);
+  const indexHref = withoutHash(base);
+  const links = [];
+
+  $('a[href]').each((i, elem) => {
+    const href = $(elem).attr('href').trim();
+    if (!href || /^(mailto|javascript|tel):/i.test(href) || href.startsWith('#')) return;
+
+    let url;
+    try {
+      url = new URL(href, base);
+    } catch (error) {
+      return;
+    }
+
+    if (url.origin !== base.origin || url.protocol !== base.protocol) return;
+    if (!linkPattern.test(url.pathname)) return;
+
+    const absolute = withoutHash(url);
+    if (absolute === indexHref || links.includes(absolute)) return;
+
+    links.push(absolute);
+  });
+
+  return links;
+}
+
+/**
+ * Função para gerar o nome do arquivo a partir do título da página,
+ * no mesmo padrão usado em `checked_files`:
+ * "CourtServe: Barnet County Court, Daily Cause 02/12/24" vira
+ * "CourtServe Barnet County Court, Daily Cause 021224.html".
+ * Se o arquivo já existir, adiciona o sufixo "_1", "_2", etc.
+ *
+ * @param {string} title - Título da página da lista.
+ * @param {string} outputDir - Diretório onde o arquivo será salvo.
+ * @returns {string} Caminho completo e livre para o arquivo.
+ */
+function buildOutputPath(title, outputDir) {
+  const baseName = title
+    .replace(/[:/\\]/g, '')
+    .replace(/[<>"|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim() || 'CourtServe list';
+
+  return uniquePath(path.join(outputDir, `${baseName}.html`));
+}
+
+/**
+ * Função para efetuar o login no CourtServe, caso a página exija.
+ * Preenche o primeiro campo de usuário/e-mail e o campo de senha e envia o formulário.
+ *
+ * @param {object} page - Página do puppeteer.
+ * @param {object} config - Configuração do download.
+ */
+async function login(page, config) {
+  await page.goto(config.loginUrl, { waitUntil: 'domcontentloaded' });
+
+  const passwordField = await page.$('input[type="password"]');
+  if (!passwordField) {
+    logger.info('No login form found, continuing without authentication', { url: config.loginUrl });
+    return;
+  }
+
+  if (!config.username || !config.password) {
+    throw new Error('Missing credentials: set COURTSERVE_USERNAME and COURTSERVE_PASSWORD in the .env file');
+  }
+
+  const userField = await page.$(
+    'input[type="email"], input[name*="user" i], input[name*="email" i], input[name*="login" i], input[type="text"]'
+  );
+  if (!userField) {
+    throw new Error('Username field not found on the login page');
+  }
+
+  await userField.type(config.username);
+  await passwordField.type(config.password);
+
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+    passwordField.press('Enter'),
+  ]);
+
+  if (await page.$('input[type="password"]')) {
+    throw new Error('Login failed: check the CourtServe credentials');
+  }
+
+  logger.info('Logged in to CourtServe');
+}
+
+/**
+ * Função para baixar todas as listas dos County Courts a partir da página índice.
+ * Cada lista é salva como HTML em `outputDir`, pronta para o `scrapeDataFromHtml`.
+ *
+ * @param {object} options - Opções do download (ver `resolveConfig`).
+ * @returns {Promise<Array<string>>} Caminhos dos arquivos salvos.
+ */
+async function downloadCauseLists(options = {}) {
+  const config = resolveConfig(options);
+  const savedFiles = [];
+
+  if (!fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+
+  const browser = await config.launch(config.launchOptions);
+
+  try {
+    const page = await browser.newPage();
+    await login(page, config);
+
+    await page.goto(config.indexUrl, { waitUntil: 'domcontentloaded' });
+    const links = collectListLinks(await page.content(), page.url(), config.linkPattern);
+    logger.info('Cause lists found on index page', { count: links.length, url: config.indexUrl });
+
+    for (const link of links) {
+      try {
+        await page.goto(link, { waitUntil: 'domcontentloaded' });
+        const html = await page.content();
+        const destinationPath = buildOutputPath(await page.title(), config.outputDir);
+
+        fs.writeFileSync(destinationPath, html);
+        savedFiles.push(destinationPath);
+        logger.debug('Cause list saved', { url: link, file: destinationPath });
+      } catch (error) {
+        logger.error('Failed to download cause list', { url: link, error: error.message });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  logger.info('Download finished', { saved: savedFiles.length, outputDir: config.outputDir });
+  return savedFiles;
+}
+
+module.exports = {
+  downloadCauseLists,
+  collectListLinks,
+  buildOutputPath,
+  login,
+};
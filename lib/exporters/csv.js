@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { COLUMNS } = require('../columns');
+
+/**
+ * Exportador CSV (formato padrão).
+ */
+
+/**
+ * Função para montar o conteúdo CSV a partir das linhas extraídas.
+ *
+ * @param {Array} rows - Array de objetos com os dados.
+ * @param {Array<string>} [columns] - Colunas, na ordem (padrão: as colunas das linhas extraídas).
+ * @returns {string} Conteúdo CSV.
+ */
+function formatCsv(rows, columns = COLUMNS) {
+  return [columns.join(',')]
+    .concat(
+      rows.map((row) => columns.map((column) => `"${(row[column] ?? '').toString().trim().replace(/"/g, '""')}"`).join(','))
+    )
+    .join('\n');
+}
+
+/**
+ * Função para ler um conteúdo CSV (como o gerado por `formatCsv`) em objetos,
+ * usando a primeira linha como cabeçalho.
+ *
+ * @param {string} text - Conteúdo CSV.
+ * @returns {Array<object>} Linhas, com uma propriedade por coluna.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...lines] = records.filter((line) => line.some((value) => value !== ''));
+  return lines.map((line) => Object.fromEntries(header.map((column, index) => [column, line[index] || ''])));
+}
+
+/**
+ * Função para ler a primeira linha (o cabeçalho) de um arquivo CSV, sem ler o arquivo todo.
+ *
+ * @param {string} filePath - Caminho do arquivo.
+ * @returns {string} Primeira linha, sem BOM nem quebra de linha.
+ */
+function readHeader(filePath) {
+  const buffer = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  let bytes;
+  try {
+    bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return buffer.toString('utf-8', 0, bytes).replace(/^\uFEFF/, '').split(/\r?\n/)[0];
+}
+
+module.exports = {
+  name: 'csv',
+  extension: '.csv',
+  formatCsv,
+  parseCsv,
+  write(rows, filePath) {
+    fs.writeFileSync(filePath, formatCsv(rows));
+  },
+  // Acrescenta as linhas ao fim do arquivo; o cabeçalho só é gravado em um arquivo novo.
+  // Um arquivo com outras colunas (de uma versão anterior) é recusado, para não misturar colunas.
+  append(rows, filePath) {
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
+      fs.writeFileSync(filePath, formatCsv(rows));
+      return;
+    }
+
+    if (readHeader(filePath) !== COLUMNS.join(',')) {
+      throw new Error(`CSV header does not match the current columns, not appending: ${filePath}`);
+    }
+
+    fs.appendFileSync(filePath, `\n${formatCsv(rows).split('\n').slice(1).join('\n')}`);
+  },
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registro de exportadores.
+ *
+ * Cada arquivo desta pasta (exceto este) é um exportador autocontido que exporta:
+ * - name: identificador do formato (ex.: 'csv'), usado em `--format`;
+ * - extension: extensão do arquivo gerado (ex.: '.csv');
+ * - write(rows, filePath): grava as linhas no arquivo (pode retornar uma Promise);
+ * - fileName (opcional): nome fixo do arquivo quando a saída não for informada,
+ *   para formatos acumulados entre execuções (ex.: o banco SQLite);
+ * - append(rows, filePath) (opcional): acrescenta as linhas a um arquivo já
+ *   exportado, usado pelo modo watch. Formatos sem `append` não servem para ele;
+ * - open(filePath) (opcional): abre o arquivo para receber as linhas de um lote aos
+ *   poucos, retornando (ou resolvendo) { write(rows), close() }. Sem ele, o lote
+ *   grava o primeiro bloco com `write` e os seguintes com `append`.
+ *
+ * Para adicionar um novo formato de saída basta criar um novo arquivo aqui.
+ */
+
+const exporters = [];
+
+/**
+ * Função para registrar um exportador, validando a interface esperada.
+ *
+ * @param {object} exporter - Módulo do exportador.
+ */
+function registerExporter(exporter) {
+  if (!exporter.name || !exporter.extension || typeof exporter.write !== 'function') {
+    throw new Error(`Invalid exporter (${exporter.name || 'unnamed'}): name, extension and write are required`);
+  }
+
+  if (getExporter(exporter.name)) {
+    throw new Error(`Exporter already registered: ${exporter.name}`);
+  }
+
+  exporters.push(exporter);
+}
+
+/**
+ * Função para obter um exportador registrado pelo nome.
+ *
+ * @param {string} name - Identificador do formato.
+ * @returns {object|null} Exportador encontrado ou null.
+ */
+function getExporter(name) {
+  return exporters.find((exporter) => exporter.name === name) || null;
+}
+
+/**
+ * Função para listar os exportadores registrados.
+ *
+ * @returns {Array<object>} Exportadores na ordem de registro.
+ */
+function getExporters() {
+  return exporters.slice();
+}
+
+/**
+ * Função para obter o exportador correspondente à extensão de um arquivo.
+ *
+ * @param {string} filePath - Caminho do arquivo.
+ * @returns {object|null} Exportador encontrado ou null.
+ */
+function exporterForFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return exporters.find((exporter) => exporter.extension === extension) || null;
+}
+
+/**
+ * Função para exportar as linhas em um formato.
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @param {string} format - Identificador do formato.
+ * @param {string} filePath - Arquivo de saída.
+ * @returns {Promise<void>}
+ */
+async function exportRows(rows, format, filePath) {
+  const exporter = getExporter(format);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  await exporter.write(rows, filePath);
+}
+
+/**
+ * Função para acrescentar as linhas a um arquivo já exportado (criando-o se necessário).
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @param {string} format - Identificador do formato.
+ * @param {string} filePath - Arquivo de saída.
+ * @returns {Promise<void>}
+ */
+async function appendRows(rows, format, filePath) {
+  const exporter = getExporter(format);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (typeof exporter.append !== 'function') {
+    throw new Error(`Export format does not support appending: ${format}`);
+  }
+
+  await exporter.append(rows, filePath);
+}
+
+/**
+ * Função para abrir um arquivo de saída que recebe as linhas aos poucos.
+ *
+ * @param {string} format - Identificador do formato.
+ * @param {string} filePath - Arquivo de saída.
+ * @returns {Promise<{write: Function, close: Function}>} Saída aberta.
+ */
+async function openExport(format, filePath) {
+  const exporter = getExporter(format);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (typeof exporter.open !== 'function') {
+    throw new Error(`Export format does not support streaming: ${format}`);
+  }
+
+  return exporter.open(filePath);
+}
+
+fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .forEach((file) => registerExporter(require(path.join(__dirname, file))));
+
+module.exports = {
+  registerExporter,
+  getExporter,
+  getExporters,
+  exporterForFile,
+  exportRows,
+  appendRows,
+  openExport,
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { toRecord } = require('../columns');
+
+/**
+ * Exportador JSON: um array com um objeto por linha, para o importador do CRM.
+ */
+
+/**
+ * Função para gravar as linhas como um array JSON.
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @param {string} filePath - Arquivo de saída.
+ */
+function write(rows, filePath) {
+  fs.writeFileSync(filePath, `${JSON.stringify(rows.map(toRecord), null, 2)}\n`);
+}
+
+/**
+ * Função para abrir o arquivo para gravar as linhas aos poucos: o array é aberto,
+ * recebe os objetos de cada bloco e é fechado no fim, sem reler o arquivo.
+ * O conteúdo final é o mesmo de `write`.
+ *
+ * @param {string} filePath - Arquivo de saída.
+ * @returns {{write: Function, close: Function}} `write(rows)` acrescenta as linhas;
+ *   `close()` fecha o array e o arquivo.
+ */
+function open(filePath) {
+  const fd = fs.openSync(filePath, 'w');
+  let count = 0;
+
+  return {
+    write(rows) {
+      const items = rows.map((row) => {
+        const item = JSON.stringify(toRecord(row), null, 2).replace(/^/gm, '  ');
+        return `${count++ === 0 ? '[\n' : ',\n'}${item}`;
+      });
+      fs.writeSync(fd, items.join(''));
+    },
+
+    close() {
+      fs.writeSync(fd, count > 0 ? '\n]\n' : '[]\n');
+      fs.closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Função para acrescentar as linhas ao array de um arquivo já exportado.
+ * O arquivo inteiro é regravado: para listas muito grandes, prefira o NDJSON.
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @param {string} filePath - Arquivo de saída.
+ */
+function append(rows, filePath) {
+  const existing = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : [];
+  if (!Array.isArray(existing)) {
+    throw new Error(`Cannot append to ${filePath}: not a JSON array`);
+  }
+
+  fs.writeFileSync(filePath, `${JSON.stringify(existing.concat(rows.map(toRecord)), null, 2)}\n`);
+}
+
+module.exports = {
+  name: 'json',
+  extension: '.json',
+  write,
+  append,
+  open,
+};
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const { toRecord } = require('../columns');
+
+/**
+ * Exportador NDJSON: um objeto JSON por linha do arquivo.
+ */
+
+const format = (rows) => rows.map((row) => `${JSON.stringify(toRecord(row))}\n`).join('');
+
+module.exports = {
+  name: 'ndjson',
+  extension: '.ndjson',
+  write(rows, filePath) {
+    fs.writeFileSync(filePath, format(rows));
+  },
+  append(rows, filePath) {
+    fs.appendFileSync(filePath, format(rows));
+  },
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { COLUMNS, toRecord } = require('../columns');
+
+/**
+ * Exportador SQLite: acumula as linhas de todas as execuções em um único banco,
+ * para consultas entre semanas (ex.: quantas audiências por tribunal por mês).
+ *
+ * A tabela `hearings` tem uma coluna por campo (em snake_case), a data da lista
+ * em ISO (`court_date_iso`, ordenável) e o horário da exportação. Linhas repetidas
+ * (mesmo tribunal, data, processo e partes) não são inseridas de novo.
+ */
+
+// 'Court Name' -> 'court_name'
+const toSqlColumn = (column) => column.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+const SQL_COLUMNS = COLUMNS.map(toSqlColumn);
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS hearings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ${SQL_COLUMNS.map((column) => `${column} TEXT NOT NULL DEFAULT ''`).join(',\n  ')},
+  court_date_iso TEXT,
+  exported_at TEXT NOT NULL,
+  UNIQUE (court_name, court_date, claim_number, claimant, defendant)
+);
+CREATE INDEX IF NOT EXISTS hearings_court_date ON hearings (court_date_iso, court_name);
+`;
+
+/**
+ * Função para converter a data da lista (DD/MM/YYYY) em ISO (YYYY-MM-DD).
+ *
+ * @param {string} display - Data no formato DD/MM/YYYY.
+ * @returns {string|null} Data ISO ou null.
+ */
+function toIsoDate(display) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(display);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+}
+
+/**
+ * Função para acrescentar ao banco as colunas criadas depois dele (ex.: 'Status').
+ *
+ * @param {object} db - Banco do sql.js.
+ */
+function addMissingColumns(db) {
+  const [info] = db.exec('PRAGMA table_info(hearings)');
+  const existing = new Set(info.values.map((column) => column[1]));
+
+  SQL_COLUMNS.filter((column) => !existing.has(column)).forEach((column) => {
+    db.run(`ALTER TABLE hearings ADD COLUMN ${column} TEXT NOT NULL DEFAULT ''`);
+  });
+}
+
+/**
+ * Função para abrir o banco SQLite (criando-o se necessário) e inserir as linhas
+ * aos poucos. O banco fica na memória até o `close`, que o grava no arquivo uma
+ * única vez.
+ *
+ * @param {string} filePath - Arquivo do banco.
+ * @returns {Promise<{write: Function, close: Function}>} `write(rows)` insere as
+ *   linhas; `close()` grava o banco e o fecha.
+ */
+async function open(filePath) {
+  const SQL = await initSqlJs();
+  const db = fs.existsSync(filePath) ? new SQL.Database(fs.readFileSync(filePath)) : new SQL.Database();
+  let insert;
+
+  try {
+    db.run(SCHEMA);
+    addMissingColumns(db);
+    insert = db.prepare(
+      `INSERT OR IGNORE INTO hearings (${SQL_COLUMNS.join(', ')}, court_date_iso, exported_at)
+       VALUES (${SQL_COLUMNS.map(() => '?').join(', ')}, ?, ?)`
+    );
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+
+  const exportedAt = new Date().toISOString();
+
+  return {
+    write(rows) {
+      db.run('BEGIN');
+      try {
+        rows.map(toRecord).forEach((record) => {
+          insert.run([...COLUMNS.map((column) => record[column]), toIsoDate(record['Court Date']), exportedAt]);
+        });
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+      }
+    },
+
+    close() {
+      try {
+        insert.free();
+        fs.writeFileSync(filePath, Buffer.from(db.export()));
+      } finally {
+        db.close();
+      }
+    },
+  };
+}
+
+/**
+ * Função para gravar as linhas no banco SQLite, criando-o se necessário.
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @param {string} filePath - Arquivo do banco.
+ * @returns {Promise<void>}
+ */
+async function write(rows, filePath) {
+  const db = await open(filePath);
+  try {
+    db.write(rows);
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  name: 'sqlite',
+  extension: '.sqlite',
+  fileName: 'cause_lists.sqlite',
+  write,
+  // O banco já acumula as linhas: acrescentar é o mesmo que gravar
+  append: write,
+  open,
+};
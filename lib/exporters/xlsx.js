@@ -0,0 +1,69 @@
+const ExcelJS = require('exceljs');
+const { COLUMNS, toRecord } = require('../columns');
+
+/**
+ * Exportador XLSX: uma planilha por tribunal, para os analistas.
+ */
+
+/**
+ * Função para gerar um nome de planilha válido e único.
+ * O Excel não aceita os caracteres []:*?/\ e limita o nome a 31 caracteres.
+ *
+ * @param {string} court - Nome do tribunal.
+ * @param {Set<string>} used - Nomes já usados (em minúsculas).
+ * @returns {string} Nome da planilha.
+ */
+function sheetName(court, used) {
+  const base = (court || 'Unknown court').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || 'Unknown court';
+
+  let name = base;
+  let suffix = 1;
+  while (used.has(name.toLowerCase())) {
+    const tail = ` (${suffix++})`;
+    name = `${base.slice(0, 31 - tail.length)}${tail}`;
+  }
+
+  used.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Função para gravar as linhas em uma planilha Excel, agrupadas por tribunal.
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @param {string} filePath - Arquivo de saída.
+ * @returns {Promise<void>}
+ */
+async function write(rows, filePath) {
+  const workbook = new ExcelJS.Workbook();
+  const courts = new Map();
+
+  rows.map(toRecord).forEach((record) => {
+    const court = record['Court Name'];
+    if (!courts.has(court)) {
+      courts.set(court, []);
+    }
+    courts.get(court).push(record);
+  });
+
+  const used = new Set();
+  [...courts.keys()].sort().forEach((court) => {
+    const sheet = workbook.addWorksheet(sheetName(court, used), { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = COLUMNS.map((column) => ({ header: column, key: column, width: Math.max(column.length + 2, 14) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(courts.get(court));
+  });
+
+  if (courts.size === 0) {
+    workbook.addWorksheet('No rows').columns = COLUMNS.map((column) => ({ header: column, key: column }));
+  }
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+module.exports = {
+  name: 'xlsx',
+  extension: '.xlsx',
+  sheetName,
+  write,
+};
@@ -0,0 +1,185 @@
+const path = require('path');
+const { courtKey, resolveCourt } = require('./courts');
+
+/**
+ * Leitura dos metadados do nome do arquivo.
+ *
+ * As listas salvas do CourtServe trazem no nome o tribunal, o rótulo da lista e
+ * a data ("CourtServe Birmingham County Court, District Judge Mantle 271124.html",
+ * "CourtServe_ Birkenhead County Court, Daily Cause 22_10_24 2.html"). Esses dados
+ * suprem os da página quando ela não os informa e servem para conferir o que foi
+ * lido dela.
+ *
+ * As divergências entre o nome e a página (tribunal, lista, data) vão para o
+ * relatório da execução: normalmente indicam um arquivo renomeado ou salvo com a
+ * página de outra lista.
+ *
+ * Sufixos de cópia não fazem parte dos metadados: " 2" depois da data (baixado de
+ * novo), "_1" (`uniquePath`), "_New" e " (2)" (cópia do navegador).
+ */
+
+// Data no fim do nome: DDMMYY, DD_MM_YY, DD-MM-YYYY...
+const DATE = /(?<!\d)(\d{2})([_.-]?)(\d{2})\2(\d{4}|\d{2})(?!\d)/g;
+
+// Sufixos de cópia, quando o nome não tem data
+const COPY_SUFFIX = /(?:\s*\(\d+\)|_new|_\d+)$/i;
+
+/**
+ * Função para converter a data do nome do arquivo.
+ *
+ * @param {Array<string>} match - Resultado da expressão DATE.
+ * @returns {string|null} Data no formato YYYY-MM-DD ou null se inválida.
+ */
+function matchDate(match) {
+  const day = Number(match[1]);
+  const month = Number(match[3]);
+  const year = match[4].length === 2 ? 2000 + Number(match[4]) : Number(match[4]);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Função para ler o tribunal, o rótulo da lista e a data do nome do arquivo.
+ *
+ * @param {string} sourceName - Nome ou caminho do arquivo.
+ * @returns {{court: string, list: string, date: string|null}} Tribunal ("Birmingham
+ *   County Court"), rótulo da lista ("District Judge Mantle") e data (YYYY-MM-DD);
+ *   '' ou null quando o nome não os traz.
+ */
+function parseFileName(sourceName) {
+  let name = path.basename(String(sourceName || '')).replace(/\.\w+$/, '');
+
+  const matches = [...name.matchAll(DATE)];
+  const last = matches[matches.length - 1];
+  const date = last ? matchDate(last) : null;
+
+  if (date) {
+    name = name.slice(0, last.index);
+  } else {
+    while (COPY_SUFFIX.test(name)) {
+      name = name.replace(COPY_SUFFIX, '');
+    }
+  }
+
+  const label = name
+    .replace(/^CourtServe[_:]?\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s,]+$/, '');
+
+  const match = label.match(/^(.+?\bCounty Court)\b,?\s*(.*)$/i);
+  return {
+    court: match ? match[1] : '',
+    list: match ? match[2] : '',
+    date,
+  };
+}
+
+/**
+ * Função para obter a data do nome do arquivo ("..., Daily Cause 181124.html",
+ * "..., Daily Cause 22_10_24 2.html").
+ *
+ * @param {string} sourceName - Nome ou caminho do arquivo.
+ * @returns {string|null} Data no formato YYYY-MM-DD ou null.
+ */
+function fileNameDate(sourceName) {
+  return parseFileName(sourceName).date;
+}
+
+/**
+ * Função para montar, a partir do nome do arquivo, um título no formato das páginas
+ * ("Birmingham County Court, District Judge Mantle"), para `resolveCourt` e
+ * `sittingFromTitle`.
+ *
+ * @param {object} fileName - Metadados retornados por `parseFileName`.
+ * @returns {string} Título ou '' se o nome não trouxer o tribunal.
+ */
+function fileNameTitle({ court, list }) {
+  if (!court) {
+    return '';
+  }
+  return list ? `${court}, ${list}` : court;
+}
+
+/**
+ * Função para montar a data da lista a partir do nome do arquivo, no formato de
+ * `findCourtDate`, para quando a página não traz uma data reconhecível.
+ *
+ * @param {object} fileName - Metadados retornados por `parseFileName`.
+ * @param {string} [input] - Texto da página que não foi reconhecido.
+ * @returns {object|null} Resultado com `source: 'file-name'` ou null se o nome não tiver data.
+ */
+function fileNameCourtDate({ date }, input = '') {
+  if (!date) {
+    return null;
+  }
+
+  const [year, month, day] = date.split('-');
+  return { ok: true, iso: date, display: `${day}/${month}/${year}`, input, source: 'file-name' };
+}
+
+/**
+ * Função para obter o rótulo da lista de um título ("CourtServe: Slough County Court,
+ * Daily Cause 21/11/24" → "Daily Cause").
+ *
+ * @param {string} title - Título da página ou do nome do arquivo.
+ * @returns {string} Rótulo da lista ou '' se o título não tiver o tribunal.
+ */
+function titleList(title) {
+  const match = String(title || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^CourtServe:\s*/i, '')
+    .replace(/\s*\d{1,2}\/\d{1,2}\/\d{2,4}.*$/, '')
+    .match(/\bCounty Court\b,?\s*(.*)$/i);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Função para conferir os metadados do nome do arquivo com os lidos da página.
+ *
+ * O tribunal é comparado com o do título da página (e não com o local da audiência,
+ * que pode ser outro: "In the County Court at Worcester sitting at Kidderminster").
+ * O rótulo da lista vale se um começar com o outro, porque nomes longos são cortados
+ * ("Dep. Dist. Judge M Crowe (o").
+ *
+ * @param {object} fileName - Metadados retornados por `parseFileName`.
+ * @param {object} page - Dados da página ({ title, courtDate }), com `courtDate` no
+ *   formato de `findCourtDate`.
+ * @returns {Array<{field: string, fileName: string, page: string}>} Divergências
+ *   ('court', 'list' ou 'date'), com o valor do nome e o da página.
+ */
+function fileNameMismatches(fileName, { title = '', courtDate = null } = {}) {
+  const mismatches = [];
+
+  const named = fileName.court ? resolveCourt({ title: fileNameTitle(fileName) }) : null;
+  const titled = resolveCourt({ title });
+  if (named && named.name && titled.name && courtKey(named.name) !== courtKey(titled.name)) {
+    mismatches.push({ field: 'court', fileName: named.name, page: titled.name });
+  }
+
+  const simplify = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const list = titleList(title);
+  const [a, b] = [simplify(fileName.list), simplify(list)];
+  if (a && b && !a.startsWith(b) && !b.startsWith(a)) {
+    mismatches.push({ field: 'list', fileName: fileName.list, page: list });
+  }
+
+  if (fileName.date && courtDate && courtDate.ok && courtDate.source !== 'file-name' && courtDate.iso !== fileName.date) {
+    mismatches.push({ field: 'date', fileName: fileName.date, page: courtDate.iso });
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  parseFileName,
+  fileNameDate,
+  fileNameTitle,
+  fileNameCourtDate,
+  titleList,
+  fileNameMismatches,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Função para gerar um caminho livre, adicionando o sufixo "_1", "_2", etc.
+ * antes da extensão quando o arquivo já existir.
+ *
+ * @param {string} filePath - Caminho desejado.
+ * @returns {string} Caminho que ainda não existe.
+ */
+function uniquePath(filePath) {
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+
+  let candidate = filePath;
+  let suffix = 1;
+  while (fs.existsSync(candidate)) {
+    candidate = `${base}_${suffix}${ext}`;
+    suffix++;
+  }
+
+  return candidate;
+}
+
+/**
+ * Função para converter um padrão glob simples em expressão regular.
+ * Suporta `**`, `*`, `?` e alternativas com chaves (`{html,htm}`). A vírgula só
+ * separa alternativas dentro das chaves: fora delas é um caractere comum, presente
+ * no nome de todas as listas ("CourtServe Wigan County Court, Daily Cause ...").
+ *
+ * @param {string} pattern - Padrão glob (com separador '/').
+ * @returns {RegExp} Expressão regular equivalente.
+ */
+function globToRegExp(pattern) {
+  let regex = '';
+  let depth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" casa com zero ou mais diretórios
+      if (pattern[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      regex += '(?:';
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      regex += ')';
+      depth--;
+    } else if (char === ',' && depth > 0) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`, 'i');
+}
+
+// Pastas que nunca têm listas: um glob sem pasta ("*Daily*.html") não entra nelas
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+/**
+ * Função para listar recursivamente os arquivos de uma pasta.
+ *
+ * @param {string} directory - Pasta inicial.
+ * @param {number} [depth] - Quantos níveis de subpastas percorrer (padrão: todos).
+ * @returns {Array<string>} Caminhos dos arquivos encontrados.
+ */
+function walk(directory, depth = Infinity) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    if (!entry.isDirectory()) {
+      return [entryPath];
+    }
+    return depth > 0 && !IGNORED_DIRS.includes(entry.name) ? walk(entryPath, depth - 1) : [];
+  });
+}
+
+/**
+ * Função para resolver a entrada informada em uma lista de arquivos.
+ *
+ * - Pasta: todos os arquivos com as extensões aceitas (sem recursão);
+ * - Arquivo: o próprio arquivo;
+ * - Glob (ex.: "arquivo/**\/*.html"): os arquivos que casarem com o padrão.
+ *
+ * @param {string} input - Pasta, arquivo ou padrão glob.
+ * @param {Array<string>} [extensions] - Extensões aceitas ao listar uma pasta.
+ * @returns {Array<string>} Caminhos dos arquivos, em ordem alfabética.
+ */
+function resolveInputs(input, extensions = ['.html']) {
+  if (fs.existsSync(input)) {
+    if (!fs.statSync(input).isDirectory()) {
+      return [input];
+    }
+
+    return fs
+      .readdirSync(input)
+      .filter((file) => extensions.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .map((file) => path.join(input, file));
+  }
+
+  const normalized = input.split(path.sep).join('/');
+  const firstGlob = normalized.search(/[*?{]/);
+  if (firstGlob === -1) {
+    throw new Error(`Input not found: ${input}`);
+  }
+
+  // A base é o trecho do caminho antes do primeiro caractere especial
+  const baseDir = normalized.slice(0, normalized.lastIndexOf('/', firstGlob) + 1) || './';
+  if (!fs.existsSync(baseDir)) {
+    throw new Error(`Input directory not found: ${baseDir}`);
+  }
+
+  const matcher = globToRegExp(path.posix.normalize(normalized));
+
+  // Sem "**", o padrão só desce tantas pastas quantas barras tiver depois da base
+  const rest = normalized.slice(normalized.lastIndexOf('/', firstGlob) + 1);
+  const depth = rest.includes('**') ? Infinity : rest.split('/').length - 1;
+
+  return walk(baseDir, depth)
+    .filter((file) => matcher.test(path.posix.normalize(file.split(path.sep).join('/'))))
+    .sort();
+}
+
+module.exports = {
+  uniquePath,
+  globToRegExp,
+  resolveInputs,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Filtro de linhas aplicado depois da extração, igual para todos os templates.
+ *
+ * As regras ficam em um arquivo JSON (padrão: config/filters.json):
+ *
+ *   {
+ *     "include": [{ "caseType": "possess" }, { "hearingType": "possession" }],
+ *     "exclude": [{ "claimNumber": "^PCOL$" }]
+ *   }
+ *
+ * Cada regra relaciona campos a expressões regulares (sem diferenciar maiúsculas),
+ * ou a listas de expressões (basta uma casar). Todos os campos de uma regra
+ * precisam casar. Campos: caseType, hearingType, claimant, claimantType, court e
+ * claimNumber.
+ *
+ * - include: a linha é mantida se casar com alguma regra. Uma regra que usa um
+ *   campo que a lista não traz ('Not Provided') não pode ser avaliada e é
+ *   ignorada; se nenhuma regra puder ser avaliada, a linha é mantida;
+ * - exclude: a linha é descartada se casar com alguma regra.
+ *
+ * Sem o arquivo, ou com listas vazias, nenhuma linha é descartada.
+ */
+
+const DEFAULT_FILTERS = path.join(__dirname, '..', 'config', 'filters.json');
+
+const FIELDS = {
+  caseType: 'Case Type',
+  hearingType: 'Hearing Type',
+  claimant: 'Claimant',
+  claimantType: 'Claimant Type',
+  court: 'Court Name',
+  claimNumber: 'Claim Number',
+};
+
+let filters = null;
+
+/**
+ * Função para compilar uma regra, validando os campos e as expressões.
+ *
+ * @param {object} rule - Regra do arquivo de configuração.
+ * @param {string} source - Origem da regra, usada nas mensagens de erro.
+ * @returns {{label: string, conditions: Array}} Regra compilada.
+ */
+function compileRule(rule, source) {
+  const conditions = Object.entries(rule).map(([field, patterns]) => {
+    if (!FIELDS[field]) {
+      throw new Error(`Unknown filter field in ${source}: ${field} (use ${Object.keys(FIELDS).join(', ')})`);
+    }
+
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    return { field, column: FIELDS[field], patterns: list.map((pattern) => new RegExp(pattern, 'i')) };
+  });
+
+  if (conditions.length === 0) {
+    throw new Error(`Empty filter rule in ${source}`);
+  }
+
+  const label = conditions.map(({ field, patterns }) => `${field}~${patterns.map((pattern) => pattern.source).join('|')}`).join(' & ');
+  return { label, conditions };
+}
+
+/**
+ * Função para carregar as regras de filtro.
+ *
+ * @param {string|object|null} [source] - Arquivo JSON, objeto com as regras ou null (sem filtro).
+ * @returns {{include: Array, exclude: Array}} Regras compiladas.
+ */
+function loadFilters(source = DEFAULT_FILTERS) {
+  if (source === null) {
+    return { include: [], exclude: [] };
+  }
+
+  const config = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf-8')) : source;
+  const name = typeof source === 'string' ? source : 'filters';
+
+  return {
+    include: (config.include || []).map((rule) => compileRule(rule, name)),
+    exclude: (config.exclude || []).map((rule) => compileRule(rule, name)),
+  };
+}
+
+/**
+ * Função para trocar as regras usadas por `filterRows`.
+ *
+ * @param {string|object|null} [source] - Arquivo JSON, objeto com as regras ou null (sem filtro).
+ */
+function configureFilters(source) {
+  filters = loadFilters(source);
+}
+
+/**
+ * Função para verificar o valor de um campo.
+ *
+ * @param {object} row - Linha extraída.
+ * @param {string} column - Coluna da linha.
+ * @returns {string|null} Valor ou null quando a lista não traz o campo.
+ */
+function fieldValue(row, column) {
+  const value = String(row[column] || '').trim();
+  return value && value !== 'Not Provided' ? value : null;
+}
+
+/**
+ * Função para avaliar uma regra em uma linha.
+ *
+ * @param {object} rule - Regra compilada.
+ * @param {object} row - Linha extraída.
+ * @returns {boolean|null} Se a regra casou, ou null se não puder ser avaliada.
+ */
+function evaluate(rule, row) {
+  const values = rule.conditions.map(({ column }) => fieldValue(row, column));
+  if (values.some((value) => value === null)) {
+    return null;
+  }
+
+  return rule.conditions.every(({ patterns }, index) => patterns.some((pattern) => pattern.test(values[index])));
+}
+
+/**
+ * Função para decidir se uma linha é descartada.
+ *
+ * @param {object} row - Linha extraída.
+ * @returns {string|null} Motivo do descarte (regra) ou null se a linha for mantida.
+ */
+function rejectReason(row) {
+  if (!filters) {
+    filters = loadFilters();
+  }
+
+  const excluded = filters.exclude.find((rule) => evaluate(rule, row) === true);
+  if (excluded) {
+    return `exclude ${excluded.label}`;
+  }
+
+  const results = filters.include.map((rule) => evaluate(rule, row));
+  const evaluable = results.filter((result) => result !== null);
+  if (evaluable.length > 0 && !evaluable.includes(true)) {
+    return `include ${filters.include.filter((rule, index) => results[index] === false).map((rule) => rule.label).join(' or ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Função para filtrar as linhas extraídas de uma lista.
+ *
+ * @param {Array} rows - Linhas extraídas.
+ * @returns {{kept: Array, filtered: Array<{row: object, reason: string}>}} Linhas mantidas e descartadas.
+ */
+function filterRows(rows) {
+  const kept = [];
+  const filtered = [];
+
+  rows.forEach((row) => {
+    const reason = rejectReason(row);
+    if (reason) {
+      filtered.push({ row, reason });
+      logger.debug('Row filtered', { claimNumber: row['Claim Number'], reason });
+    } else {
+      kept.push(row);
+    }
+  });
+
+  return { kept, filtered };
+}
+
+module.exports = {
+  FIELDS,
+  loadFilters,
+  configureFilters,
+  filterRows,
+};
@@ -0,0 +1,197 @@
+/**
+ * Função auxiliar para normalizar textos.
+ * Remove espaços extras e converte para minúsculas.
+ *
+ * @param {string} text - Texto a ser normalizado.
+ * @returns {string} Texto normalizado.
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Função para montar a grade lógica de uma tabela, respeitando colspan e rowspan.
+ * Só considera as linhas da própria tabela (as de tabelas aninhadas ficam de fora).
+ * Uma célula que ocupa várias colunas ou linhas aparece em todas as posições da grade.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {Array<Array<{text: string, row: number, cell: object}>>} Linhas da grade; cada
+ *   posição traz o texto da célula, a linha onde a célula começa e o elemento da célula.
+ */
+function tableGrid($, table) {
+  const element = table.get(0);
+  const rows = table.find('tr').filter((i, row) => $(row).closest('table').get(0) === element);
+  const grid = [];
+
+  rows.each((rowIndex, row) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    $(row).children('th, td').each((j, cell) => {
+      while (grid[rowIndex][column]) column++;
+
+      const colspan = parseInt($(cell).attr('colspan'), 10) || 1;
+      const rowspan = Math.min(parseInt($(cell).attr('rowspan'), 10) || 1, rows.length - rowIndex);
+      const entry = { text: $(cell).text().replace(/\s+/g, ' ').trim(), row: rowIndex, cell };
+
+      for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+        grid[r] = grid[r] || [];
+        for (let c = column; c < column + colspan; c++) {
+          grid[r][c] = entry;
+        }
+      }
+      column += colspan;
+    });
+  });
+
+  return grid.map((row) => Array.from(row || [], (entry) => entry || { text: '', row: -1, cell: null }));
+}
+
+/**
+ * Função para localizar as colunas de uma linha de cabeçalho.
+ * Algumas listas trazem o cabeçalho em uma tabela aninhada dentro de uma célula:
+ * nesse caso as colunas da tabela aninhada são deslocadas para a posição da célula.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {object} patterns - Expressão regular do cabeçalho de cada campo.
+ * @returns {object} Colunas de cada campo encontrado ({ campo: { start, end } }).
+ */
+function mapHeaders($, gridRow, patterns) {
+  const columns = {};
+
+  gridRow.forEach((entry, index) => {
+    if (!entry.cell || (index > 0 && gridRow[index - 1] === entry)) return;
+
+    let end = index + 1;
+    while (gridRow[end] === entry) end++;
+
+    const field = Object.keys(patterns).find((key) => patterns[key].test(entry.text));
+    if (field) {
+      columns[field] = columns[field] || { start: index, end };
+      return;
+    }
+
+    $(entry.cell).children('table').each((i, nested) => {
+      const header = tableGrid($, $(nested))
+        .map((row) => mapHeaders($, row, patterns))
+        .find((mapped) => Object.keys(mapped).length >= 2);
+
+      Object.entries(header || {}).forEach(([key, column]) => {
+        columns[key] = columns[key] || { start: index + column.start, end: index + column.end };
+      });
+    });
+  });
+
+  return columns;
+}
+
+/**
+ * Função para obter as células de dados de cada campo de uma linha.
+ * Células que começam na linha do cabeçalho (ou antes) não são dados, e uma célula
+ * que cobre as colunas de vários campos é um título ou aviso, não um dado.
+ *
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {object} columns - Colunas de cada campo (`mapHeaders`).
+ * @param {number} headerRow - Índice da linha do cabeçalho.
+ * @returns {Array<[string, Array<object>]>} Campo e células (com texto) de cada campo.
+ */
+function columnEntries(gridRow, columns, headerRow) {
+  const fieldsPerEntry = new Map();
+  const ranges = Object.entries(columns).map(([field, { start, end }]) => {
+    const entries = [...new Set(gridRow.slice(start, end))];
+    entries.forEach((entry) => fieldsPerEntry.set(entry, (fieldsPerEntry.get(entry) || 0) + 1));
+    return [field, entries];
+  });
+
+  return ranges.map(([field, entries]) => [
+    field,
+    entries.filter((entry) => entry.row > headerRow && entry.text && fieldsPerEntry.get(entry) === 1),
+  ]);
+}
+
+/**
+ * Função para ler os campos de uma linha de dados pelas colunas do cabeçalho.
+ *
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {object} columns - Colunas de cada campo (`mapHeaders`).
+ * @param {number} headerRow - Índice da linha do cabeçalho.
+ * @returns {object} Texto de cada campo ('' quando a célula está vazia).
+ */
+function readColumns(gridRow, columns, headerRow) {
+  const values = {};
+
+  columnEntries(gridRow, columns, headerRow).forEach(([field, entries]) => {
+    values[field] = entries.map((entry) => entry.text).join(' ');
+  });
+
+  return values;
+}
+
+/**
+ * Função para ler os parágrafos (<p>) com texto de cada campo de uma linha de dados.
+ * Algumas listas trazem várias audiências na mesma linha da tabela, uma por parágrafo
+ * de cada célula. Os parágrafos vazios de espaçamento separam os blocos: um texto
+ * longo ("Directions" / "(First/Further, Private Law)") ocupa um bloco de vários
+ * parágrafos.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {object} columns - Colunas de cada campo (`mapHeaders`).
+ * @param {number} headerRow - Índice da linha do cabeçalho.
+ * @returns {object} Blocos de cada campo, na ordem, cada um com os textos dos seus
+ *   parágrafos ([] quando a célula está vazia).
+ */
+function readColumnParagraphs($, gridRow, columns, headerRow) {
+  const values = {};
+
+  columnEntries(gridRow, columns, headerRow).forEach(([field, entries]) => {
+    values[field] = entries.flatMap((entry) => {
+      const paragraphs = $(entry.cell)
+        .find('p')
+        .map((i, paragraph) => $(paragraph).text().replace(/\s+/g, ' ').trim())
+        .get();
+      if (paragraphs.length === 0) return [[entry.text]];
+
+      const blocks = [[]];
+      paragraphs.forEach((text) => {
+        if (text) blocks[blocks.length - 1].push(text);
+        else if (blocks[blocks.length - 1].length > 0) blocks.push([]);
+      });
+      return blocks.filter((block) => block.length > 0);
+    });
+  });
+
+  return values;
+}
+
+/**
+ * Função para obter o texto de uma linha de título ("Before: District Judge X",
+ * "Hearing Room 03"): a linha tem uma única célula com texto. O texto de tabelas
+ * aninhadas na célula não faz parte do título.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {number} rowIndex - Índice da linha na grade.
+ * @returns {string|null} Texto do título ou null se a linha não for um título.
+ */
+function rowHeading($, gridRow, rowIndex) {
+  const entries = [...new Set(gridRow)].filter((entry) => entry.row === rowIndex && entry.text);
+  if (entries.length !== 1) {
+    return null;
+  }
+
+  const cell = $(entries[0].cell).clone();
+  cell.find('table').remove();
+  return cell.text().replace(/\s+/g, ' ').trim() || null;
+}
+
+module.exports = {
+  normalizeText,
+  tableGrid,
+  mapHeaders,
+  readColumns,
+  readColumnParagraphs,
+  rowHeading,
+};
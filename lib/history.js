@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCourtDate } = require('./dates');
+const { toRecord } = require('./columns');
+
+/**
+ * Histórico de processos entre execuções.
+ *
+ * Guarda, por número de processo, todas as audiências já vistas (data,
+ * tribunal, tipo de audiência e a linha completa da primeira vez em que a
+ * audiência apareceu) em um arquivo JSON, para marcar cada linha:
+ * - 'new': o processo nunca foi visto antes desta execução;
+ * - 'relisted': o processo já foi visto, mas em outra data ou tribunal (adiado e relistado);
+ * - 'seen': esta mesma audiência já foi vista em uma execução anterior.
+ *
+ * Linhas sem número de processo ficam com o status vazio.
+ */
+
+/**
+ * Função para normalizar o número do processo usado como chave.
+ *
+ * @param {string} claimNumber - Número do processo.
+ * @returns {string|null} Chave normalizada ou null quando não informado.
+ */
+function claimKey(claimNumber) {
+  const key = (claimNumber || '').replace(/\s+/g, '').toUpperCase();
+  return key && key !== 'NOTPROVIDED' ? key : null;
+}
+
+/**
+ * Função para montar a chave de uma audiência (data e tribunal).
+ *
+ * @param {object} hearing - Audiência ({ date, court }).
+ * @returns {string} Chave da audiência.
+ */
+function hearingKey(hearing) {
+  return `${hearing.date}|${hearing.court.toLowerCase()}`;
+}
+
+/**
+ * Função para carregar o histórico, ou criar um vazio se o arquivo não existir.
+ *
+ * @param {string} file - Arquivo JSON do histórico.
+ * @returns {object} Histórico ({ lastRunAt, claims }).
+ */
+function loadHistory(file) {
+  if (!fs.existsSync(file)) {
+    return { lastRunAt: null, claims: {} };
+  }
+
+  const history = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!history || typeof history.claims !== 'object') {
+    throw new Error(`Invalid history file: ${file}`);
+  }
+
+  return history;
+}
+
+/**
+ * Função para gravar o histórico.
+ * Grava primeiro em um arquivo temporário para não corromper o histórico se a execução for interrompida.
+ *
+ * @param {object} history - Histórico.
+ * @param {string} file - Arquivo JSON do histórico.
+ */
+function saveHistory(history, file) {
+  if (!fs.existsSync(path.dirname(file))) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(history, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Função para preparar a marcação das linhas de uma execução, para lotes que
+ * chegam aos poucos (um arquivo por vez).
+ *
+ * O status é calculado em relação ao histórico anterior à execução: um processo
+ * novo listado em dois dias no mesmo lote aparece como 'new' nas duas linhas,
+ * mesmo que os dias cheguem em chamadas diferentes.
+ *
+ * @param {object} history - Histórico carregado (é atualizado).
+ * @param {string} [runAt] - Horário da execução (ISO).
+ * @returns {Function} `mark(rows)`: marca as linhas (coluna 'Status'), registra as
+ *   audiências e retorna a quantidade de linhas por status ({ new, relisted, seen }).
+ */
+function createRowMarker(history, runAt = new Date().toISOString()) {
+  const known = new Set(Object.keys(history.claims));
+  const knownHearings = new Set(
+    Object.entries(history.claims).flatMap(([key, claim]) => claim.hearings.map((hearing) => `${key}|${hearingKey(hearing)}`))
+  );
+
+  return (rows) => {
+    const counts = { new: 0, relisted: 0, seen: 0 };
+
+    rows.forEach((row) => {
+      const key = claimKey(row['Claim Number']);
+      if (!key) {
+        row.Status = '';
+        return;
+      }
+
+      const date = parseCourtDate(row['Court Date']);
+      const hearing = {
+        date: date.ok ? date.iso : row['Court Date'] || '',
+        court: row['Court Name'] || '',
+        hearingType: row['Hearing Type'] || '',
+        firstSeenAt: runAt,
+      };
+
+      if (!known.has(key)) {
+        row.Status = 'new';
+      } else if (knownHearings.has(`${key}|${hearingKey(hearing)}`)) {
+        row.Status = 'seen';
+      } else {
+        row.Status = 'relisted';
+      }
+      counts[row.Status]++;
+
+      const claim = history.claims[key] || (history.claims[key] = { firstSeenAt: runAt, lastSeenAt: runAt, hearings: [] });
+      claim.lastSeenAt = runAt;
+      const existing = claim.hearings.find((item) => hearingKey(item) === hearingKey(hearing));
+      if (existing) {
+        // Históricos antigos guardavam só a data, o tribunal e o tipo de audiência
+        existing.row = existing.row || toRecord(row);
+      } else {
+        claim.hearings.push({ ...hearing, row: toRecord(row) });
+        claim.hearings.sort((a, b) => a.date.localeCompare(b.date));
+      }
+    });
+
+    history.lastRunAt = runAt;
+    return counts;
+  };
+}
+
+/**
+ * Função para marcar as linhas com o status do histórico e registrar as audiências.
+ *
+ * O status é calculado em relação ao histórico anterior à execução (ver `createRowMarker`).
+ *
+ * @param {object} history - Histórico carregado (é atualizado).
+ * @param {Array} rows - Linhas extraídas (recebem a coluna 'Status').
+ * @param {string} [runAt] - Horário da execução (ISO).
+ * @returns {{new: number, relisted: number, seen: number}} Quantidade de linhas por status.
+ */
+function markRows(history, rows, runAt) {
+  return createRowMarker(history, runAt)(rows);
+}
+
+module.exports = {
+  claimKey,
+  loadHistory,
+  saveHistory,
+  createRowMarker,
+  markRows,
+};
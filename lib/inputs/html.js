@@ -0,0 +1,86 @@
+/**
+ * Adaptador de páginas HTML, com detecção do charset.
+ *
+ * As páginas salvas pelo navegador costumam declarar "charset=windows-1252" mesmo
+ * gravadas em UTF-8, e algumas (salvas por outros programas) estão de fato em
+ * Windows-1252. Por isso o conteúdo que é UTF-8 válido é lido como UTF-8; só o que
+ * não é usa o charset declarado (ou Windows-1252, quando a página declara UTF-8 ou nada).
+ */
+
+// Caracteres do Windows-1252 nos bytes 0x80 a 0x9F (os demais bytes são iguais ao Latin-1)
+const WINDOWS_1252 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+// Nomes de charset lidos como Windows-1252, como fazem os navegadores
+const WINDOWS_1252_LABELS = ['windows-1252', 'cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'l1', 'us-ascii', 'ascii'];
+
+/**
+ * Função para decodificar bytes em Windows-1252.
+ *
+ * @param {Buffer} buffer - Conteúdo.
+ * @returns {string} Texto decodificado.
+ */
+function decodeWindows1252(buffer) {
+  return buffer.toString('latin1').replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252[char.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Função para obter o charset declarado na página (<meta charset> ou http-equiv).
+ *
+ * @param {Buffer} buffer - Conteúdo da página.
+ * @returns {string|null} Charset declarado, em minúsculas, ou null.
+ */
+function declaredCharset(buffer) {
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Função para converter o conteúdo de uma página em texto, detectando o charset.
+ *
+ * Ordem: BOM; UTF-8, se os bytes forem UTF-8 válido; o charset informado
+ * (ex.: pelo cabeçalho do MHTML) ou declarado na página; Windows-1252.
+ *
+ * @param {string|Buffer} content - Conteúdo da página.
+ * @param {string|null} [charset] - Charset informado fora da página.
+ * @returns {string} Conteúdo HTML como string.
+ */
+function decodeHtml(content, charset = null) {
+  if (!Buffer.isBuffer(content)) {
+    return String(content || '');
+  }
+
+  if (content[0] === 0xef && content[1] === 0xbb && content[2] === 0xbf) {
+    return content.subarray(3).toString('utf-8');
+  }
+  if (content[0] === 0xff && content[1] === 0xfe) {
+    return content.subarray(2).toString('utf16le');
+  }
+  if (content[0] === 0xfe && content[1] === 0xff) {
+    return Buffer.from(content.subarray(2)).swap16().toString('utf16le');
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(content);
+  } catch (error) {
+    // Não é UTF-8: usa o charset informado ou declarado
+  }
+
+  const label = String(charset || declaredCharset(content) || '').trim().toLowerCase();
+  if (label && !/^utf-?8$/.test(label) && !WINDOWS_1252_LABELS.includes(label)) {
+    try {
+      return new TextDecoder(label).decode(content);
+    } catch (error) {
+      // Charset desconhecido pelo Node: segue com Windows-1252
+    }
+  }
+
+  return decodeWindows1252(content);
+}
+
+module.exports = {
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  toHtml: decodeHtml,
+  decodeHtml,
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registro de adaptadores de entrada.
+ *
+ * Cada arquivo desta pasta (exceto este) é um adaptador autocontido que exporta:
+ * - name: identificador do formato de entrada (ex.: 'pdf');
+ * - extensions: extensões de arquivo do formato (ex.: ['.pdf']);
+ * - toHtml(buffer, name): converte o conteúdo em HTML (pode retornar uma Promise),
+ *   para os templates rodarem sobre ele sem mudanças;
+ * - sniff(buffer) (opcional): reconhece o formato pelo conteúdo, para arquivos
+ *   com a extensão trocada (ex.: um MHTML salvo como .html).
+ *
+ * O adaptador 'html' é o padrão para conteúdos não reconhecidos.
+ * Para aceitar um novo formato de entrada basta criar um novo arquivo aqui.
+ */
+
+const inputs = [];
+
+/**
+ * Função para registrar um adaptador de entrada, validando a interface esperada.
+ *
+ * @param {object} input - Módulo do adaptador.
+ */
+function registerInput(input) {
+  if (!input.name || !Array.isArray(input.extensions) || typeof input.toHtml !== 'function') {
+    throw new Error(`Invalid input adapter (${input.name || 'unnamed'}): name, extensions and toHtml are required`);
+  }
+
+  if (getInput(input.name)) {
+    throw new Error(`Input adapter already registered: ${input.name}`);
+  }
+
+  inputs.push(input);
+}
+
+/**
+ * Função para obter um adaptador registrado pelo nome.
+ *
+ * @param {string} name - Identificador do formato.
+ * @returns {object|null} Adaptador encontrado ou null.
+ */
+function getInput(name) {
+  return inputs.find((input) => input.name === name) || null;
+}
+
+/**
+ * Função para listar os adaptadores registrados.
+ *
+ * @returns {Array<object>} Adaptadores na ordem de registro.
+ */
+function getInputs() {
+  return inputs.slice();
+}
+
+/**
+ * Função para listar as extensões aceitas como entrada.
+ *
+ * @returns {Array<string>} Extensões de todos os adaptadores (ex.: ['.html', '.htm', ...]).
+ */
+function inputExtensions() {
+  return inputs.flatMap((input) => input.extensions);
+}
+
+/**
+ * Função para escolher o adaptador de um conteúdo: primeiro pelo conteúdo,
+ * depois pela extensão do nome; sem nenhum dos dois, o de HTML.
+ *
+ * @param {Buffer} buffer - Conteúdo recebido.
+ * @param {string} [name] - Nome ou caminho do arquivo.
+ * @returns {object} Adaptador.
+ */
+function inputFor(buffer, name = '') {
+  const extension = path.extname(name || '').toLowerCase();
+
+  return (
+    inputs.find((input) => typeof input.sniff === 'function' && input.sniff(buffer)) ||
+    inputs.find((input) => input.extensions.includes(extension)) ||
+    getInput('html')
+  );
+}
+
+/**
+ * Função para converter um conteúdo recebido (arquivo, upload) em HTML.
+ *
+ * @param {Buffer} buffer - Conteúdo recebido.
+ * @param {string} [name] - Nome ou caminho do arquivo.
+ * @returns {Promise<{html: string, input: string}>} HTML e formato de entrada reconhecido.
+ */
+async function convertInput(buffer, name = '') {
+  const input = inputFor(buffer, name);
+
+  try {
+    return { html: await input.toHtml(buffer, name), input: input.name };
+  } catch (error) {
+    throw new Error(`Could not read ${input.name} input${name ? ` ${path.basename(name)}` : ''}: ${error.message}`);
+  }
+}
+
+/**
+ * Função para ler um arquivo de entrada e convertê-lo em HTML.
+ *
+ * @param {string} filePath - Caminho do arquivo.
+ * @returns {Promise<{html: string, input: string}>} HTML e formato de entrada reconhecido.
+ */
+async function readInput(filePath) {
+  return convertInput(await fs.promises.readFile(filePath), filePath);
+}
+
+fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .forEach((file) => registerInput(require(path.join(__dirname, file))));
+
+module.exports = {
+  registerInput,
+  getInput,
+  getInputs,
+  inputExtensions,
+  inputFor,
+  convertInput,
+  readInput,
+};
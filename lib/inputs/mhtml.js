@@ -0,0 +1,127 @@
+const { decodeHtml } = require('./html');
+
+/**
+ * Adaptador de arquivos MHTML (.mhtml/.mht), gerados pelo "Salvar página como"
+ * do navegador no formato de arquivo único.
+ *
+ * O arquivo é uma mensagem MIME multipart/related: a página é a primeira parte
+ * text/html, em quoted-printable ou base64; as demais (CSS, imagens) são ignoradas.
+ */
+
+/**
+ * Função para separar os cabeçalhos e o corpo de uma mensagem ou parte MIME.
+ *
+ * @param {Buffer} buffer - Mensagem ou parte.
+ * @returns {{headers: object, body: Buffer}} Cabeçalhos (nomes em minúsculas) e corpo.
+ */
+function splitPart(buffer) {
+  // Em latin1 cada caractere é um byte: as posições do texto valem para o Buffer
+  const text = buffer.toString('latin1');
+  const separator = /\r?\n\r?\n/.exec(text);
+  const head = separator ? text.slice(0, separator.index) : text;
+  const headers = {};
+
+  head
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    });
+
+  return { headers, body: separator ? buffer.subarray(separator.index + separator[0].length) : Buffer.alloc(0) };
+}
+
+/**
+ * Função para ler um parâmetro de um cabeçalho (ex.: boundary ou charset do Content-Type).
+ *
+ * @param {string} value - Valor do cabeçalho.
+ * @param {string} name - Nome do parâmetro.
+ * @returns {string|null} Valor do parâmetro ou null.
+ */
+function headerParam(value, name) {
+  const match = String(value || '').match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Função para decodificar um corpo em quoted-printable.
+ *
+ * @param {Buffer} body - Corpo codificado.
+ * @returns {Buffer} Bytes decodificados.
+ */
+function decodeQuotedPrintable(body) {
+  const text = body
+    .toString('latin1')
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(text, 'latin1');
+}
+
+/**
+ * Função para decodificar o corpo de uma parte conforme o Content-Transfer-Encoding.
+ *
+ * @param {{headers: object, body: Buffer}} part - Parte MIME.
+ * @returns {Buffer} Bytes da parte.
+ */
+function decodeBody(part) {
+  const encoding = (part.headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(part.body);
+  if (encoding === 'base64') return Buffer.from(part.body.toString('latin1'), 'base64');
+  return part.body;
+}
+
+/**
+ * Função para verificar se o conteúdo é um arquivo MHTML, qualquer que seja a extensão.
+ *
+ * @param {Buffer} buffer - Conteúdo do arquivo.
+ * @returns {boolean} true se os cabeçalhos indicam multipart/related.
+ */
+function sniff(buffer) {
+  const { headers } = splitPart(buffer.subarray(0, 4096));
+  return /^multipart\/related/i.test(headers['content-type'] || '');
+}
+
+/**
+ * Função para extrair a página HTML de um arquivo MHTML.
+ *
+ * @param {Buffer} buffer - Conteúdo do arquivo.
+ * @returns {string} Conteúdo HTML da página.
+ */
+function toHtml(buffer) {
+  const archive = splitPart(buffer);
+  const boundary = headerParam(archive.headers['content-type'], 'boundary');
+  if (!boundary) {
+    throw new Error('Invalid MHTML archive: missing multipart boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = archive.body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = archive.body.indexOf(delimiter, start + delimiter.length);
+    const chunk = archive.body.subarray(start + delimiter.length, next === -1 ? archive.body.length : next);
+
+    // "--boundary--" fecha o arquivo
+    if (chunk.subarray(0, 2).toString() === '--') break;
+
+    const part = splitPart(chunk.subarray(chunk.indexOf('\n') + 1));
+    const contentType = part.headers['content-type'] || '';
+    if (/^text\/html/i.test(contentType)) {
+      return decodeHtml(decodeBody(part), headerParam(contentType, 'charset'));
+    }
+
+    start = next;
+  }
+
+  throw new Error('Invalid MHTML archive: no text/html part found');
+}
+
+module.exports = {
+  name: 'mhtml',
+  extensions: ['.mhtml', '.mht'],
+  sniff,
+  toHtml,
+};
@@ -0,0 +1,178 @@
+const { escapeHtml } = require('../report');
+
+/**
+ * Adaptador de listas salvas em PDF ("Imprimir > Salvar como PDF" ou o PDF do tribunal).
+ *
+ * O PDF não tem tabela, só textos posicionados: a camada de texto é lida com o
+ * pdfjs-dist e remontada em HTML para os templates rodarem sem mudanças.
+ * - Os textos com a mesma altura na página formam uma linha; um espaço largo
+ *   entre dois textos separa as células;
+ * - As colunas são as posições (x) onde as células começam, agrupadas entre as
+ *   linhas da tabela, de modo que células vazias não deslocam as demais;
+ * - As linhas antes da primeira linha com várias células (tribunal, data, endereço)
+ *   viram parágrafos; as de uma só célula na primeira coluna ("Before: ...")
+ *   viram títulos que ocupam a tabela toda.
+ */
+
+// Distância máxima (em pontos) entre o início de células da mesma coluna
+const COLUMN_TOLERANCE = 6;
+
+/**
+ * Função para agrupar os textos de uma página em linhas e células.
+ *
+ * @param {Array<object>} items - Itens de `page.getTextContent()`.
+ * @returns {Array<{cells: Array<{x: number, text: string}>}>} Linhas, de cima para baixo.
+ */
+function pageLines(items) {
+  const texts = items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      size: item.height || Math.abs(item.transform[3]) || 10,
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  texts.forEach((item) => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(2, item.size / 2)) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  });
+
+  return lines.map((line) => {
+    const cells = [];
+    let end = null;
+
+    line.items
+      .sort((a, b) => a.x - b.x)
+      .forEach((item) => {
+        const gap = end === null ? Infinity : item.x - end;
+        const cell = cells[cells.length - 1];
+
+        if (gap > item.size) {
+          cells.push({ x: item.x, text: item.text });
+        } else {
+          cell.text += gap > item.size * 0.15 ? ` ${item.text}` : item.text;
+        }
+        end = Math.max(end === null ? 0 : end, item.x + item.width);
+      });
+
+    return { cells: cells.map((cell) => ({ x: cell.x, text: cell.text.replace(/\s+/g, ' ').trim() })) };
+  });
+}
+
+/**
+ * Função para encontrar as colunas da tabela: as posições onde as células começam.
+ *
+ * @param {Array<object>} lines - Linhas da tabela.
+ * @returns {Array<number>} Início de cada coluna, da esquerda para a direita.
+ */
+function tableColumns(lines) {
+  const starts = lines
+    .filter((line) => line.cells.length > 1)
+    .flatMap((line) => line.cells.map((cell) => cell.x))
+    .sort((a, b) => a - b);
+
+  const columns = [];
+  starts.forEach((x) => {
+    if (columns.length === 0 || x - columns[columns.length - 1] > COLUMN_TOLERANCE) {
+      columns.push(x);
+    }
+  });
+  return columns;
+}
+
+/**
+ * Função para montar a página HTML a partir das linhas do PDF.
+ *
+ * @param {Array<object>} lines - Linhas de todas as páginas, em ordem.
+ * @param {string} title - Título do documento.
+ * @returns {string} Conteúdo HTML.
+ */
+function linesToHtml(lines, title) {
+  const firstRow = lines.findIndex((line) => line.cells.length > 1);
+  const intro = firstRow === -1 ? lines : lines.slice(0, firstRow);
+  const body = firstRow === -1 ? [] : lines.slice(firstRow);
+  const columns = tableColumns(body);
+  const columnOf = (x) => Math.max(0, columns.filter((start) => start <= x + COLUMN_TOLERANCE).length - 1);
+
+  const rows = body.map((line) => {
+    if (line.cells.length === 1 && columnOf(line.cells[0].x) === 0) {
+      return `<tr><td colspan="${columns.length}">${escapeHtml(line.cells[0].text)}</td></tr>`;
+    }
+
+    const cells = columns.map(() => []);
+    line.cells.forEach((cell) => cells[columnOf(cell.x)].push(cell.text));
+    return `<tr>${cells.map((texts) => `<td>${escapeHtml(texts.join(' '))}</td>`).join('')}</tr>`;
+  });
+
+  const pageTitle = title || (lines[0] ? lines[0].cells.map((cell) => cell.text).join(' ') : '');
+
+  return `<html>
+<head>
+<title>${escapeHtml(pageTitle)}</title>
+</head>
+<body>
+${intro.map((line) => `<p>${escapeHtml(line.cells.map((cell) => cell.text).join(' '))}</p>`).join('\n')}
+${rows.length > 0 ? `<table>\n${rows.join('\n')}\n</table>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Função para verificar se o conteúdo é um PDF, qualquer que seja a extensão.
+ *
+ * @param {Buffer} buffer - Conteúdo do arquivo.
+ * @returns {boolean} true se o arquivo começa com a assinatura do PDF.
+ */
+function sniff(buffer) {
+  return buffer.subarray(0, 1024).toString('latin1').includes('%PDF-');
+}
+
+/**
+ * Função para converter a camada de texto de um PDF em HTML.
+ * PDFs escaneados (só imagem) não têm texto e resultam em uma página vazia.
+ *
+ * @param {Buffer} buffer - Conteúdo do PDF.
+ * @returns {Promise<string>} Conteúdo HTML.
+ */
+async function toHtml(buffer) {
+  // O pdfjs-dist só existe como módulo ES
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+    isEvalSupported: false,
+    disableFontFace: true,
+  }).promise;
+
+  try {
+    const lines = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      lines.push(...pageLines(content.items));
+      page.cleanup();
+    }
+
+    const metadata = await document.getMetadata().catch(() => null);
+    const title = metadata && metadata.info && metadata.info.Title ? String(metadata.info.Title).trim() : '';
+    return linesToHtml(lines, title);
+  } finally {
+    await document.destroy();
+  }
+}
+
+module.exports = {
+  name: 'pdf',
+  extensions: ['.pdf'],
+  sniff,
+  toHtml,
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Logger com níveis (debug, info, warn, error).
+ *
+ * As mensagens vão para o console em formato legível e, opcionalmente,
+ * para um arquivo em JSON lines (um objeto JSON por linha), com o horário,
+ * o nível, a mensagem e os campos estruturados.
+ *
+ * O nível padrão vem da variável de ambiente LOG_LEVEL (ou 'info').
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const config = {
+  level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  file: null,
+  fileLevel: 'debug',
+};
+
+/**
+ * Função para configurar o logger.
+ *
+ * Opções:
+ * - level: nível mínimo exibido no console ('debug', 'info', 'warn', 'error' ou 'silent');
+ * - file: arquivo onde gravar as mensagens em JSON lines (null desativa);
+ * - fileLevel: nível mínimo gravado no arquivo (padrão: 'debug').
+ *
+ * @param {object} options - Opções do logger.
+ */
+function configureLogger(options = {}) {
+  ['level', 'fileLevel'].forEach((key) => {
+    if (options[key] !== undefined && !LEVELS[options[key]]) {
+      throw new Error(`Unknown log level: ${options[key]} (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+  });
+
+  Object.assign(config, options);
+
+  if (config.file && !fs.existsSync(path.dirname(config.file))) {
+    fs.mkdirSync(path.dirname(config.file), { recursive: true });
+  }
+}
+
+/**
+ * Função para formatar os campos estruturados como "chave=valor" no console.
+ *
+ * @param {object} fields - Campos da mensagem.
+ * @returns {string} Campos formatados.
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      const text = typeof value === 'string' && !/[\s"=]/.test(value) ? value : JSON.stringify(value);
+      return ` ${key}=${text}`;
+    })
+    .join('');
+}
+
+/**
+ * Função para registrar uma mensagem.
+ *
+ * @param {string} level - Nível da mensagem.
+ * @param {string} message - Mensagem em inglês.
+ * @param {object} [fields] - Campos estruturados (arquivo, template, contagens...).
+ */
+function log(level, message, fields = {}) {
+  if (LEVELS[level] >= LEVELS[config.level]) {
+    const line = `${level.toUpperCase()} ${message}${formatFields(fields)}`;
+    if (LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  if (config.file && LEVELS[level] >= LEVELS[config.fileLevel]) {
+    const entry = { time: new Date().toISOString(), level, message, ...fields };
+    fs.appendFileSync(config.file, `${JSON.stringify(entry)}\n`);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+};
+
+module.exports = {
+  logger,
+  configureLogger,
+  LEVELS,
+};
@@ -0,0 +1,243 @@
+/**
+ * Interpretação dos nomes das partes (Claimant / Defendant).
+ *
+ * As células das listas trazem o nome das partes como texto livre, ex.:
+ * - "Mr Moise Lonzo & Mrs Floraine Lonzo";
+ * - "(1) MR IQBAL HOSSAIN (2) MRS ANNA HOSSAIN" ou "1. LONDON BOROUGH OF NEWHAM 2. MERCY OBODAI";
+ * - "Bank of Scotland PLC T/A Halifax";
+ * - "CARDWELL BY LPA RECEIVERS".
+ *
+ * Este módulo separa as várias partes de uma célula e, para cada uma, o
+ * tratamento (Mr, Mrs...), o primeiro e o último nome, o representante
+ * (quem age em nome da parte) e se é uma organização ou uma pessoa.
+ */
+
+const TITLES = ['Mr', 'Mrs', 'Miss', 'Ms', 'Mx', 'Dr', 'Master', 'Sir', 'Dame', 'Lady', 'Lord', 'Rev', 'Prof'];
+
+// Palavras que indicam uma organização (empresa, banco, conselho, associação...)
+const ORGANISATION_PATTERN = new RegExp(
+  `\\b(${[
+    'ltd', 'limited', 'plc', 'llp', 'llc', 'inc', 'company', 'co', 'cyf', 'cyfyngedig', 'corporation',
+    'council', 'borough', 'authority', 'housing', 'association', 'homes', 'bank', 'building society',
+    'trust', 'group', 'properties', 'property', 'estates', 'lettings', 'investments?', 'holdings',
+    'mortgages?', 'finance', 'financial', 'services', 'partnership', 'college', 'university', 'church',
+    'commissioners', 'society', 'foundation', 'ventures', 'developments', 'management', 'hotels',
+    'solutions', 'nominees', 'communities', 'lending', 'loans', 'enterprises', 'opco', 'propco',
+    'trading as', 't/a', 'cic', 'community interest company',
+  ].join('|')})\\b\\.?`,
+  'i'
+);
+
+// Sufixos que encerram o nome de uma organização ("... Ltd & Mr X" são duas partes)
+const ORGANISATION_SUFFIX = /\b(ltd|limited|plc|llp|llc|inc|cyf|cyfyngedig|council|company|association|trust|society)\.?\s*$/i;
+
+// Ocupantes não identificados, que não são pessoas nem organizações com nome
+const UNKNOWN_PATTERN = /^(persons? unknown|(all )?(other )?occupiers|others)$/i;
+
+// Partículas que fazem parte do sobrenome ("De Araujo", "Van Der Berg")
+const SURNAME_PARTICLES = ['de', 'da', 'do', 'dos', 'das', 'del', 'della', 'di', 'du', 'van', 'von', 'der', 'den', 'le', 'la', 'el', 'al', 'bin', 'ibn'];
+
+// Quem age em nome da parte: "X acting by Y", "X by LPA Receivers Y", "X (acting by Y)"
+const REPRESENTATIVE_PATTERN = /\s*\(?\s*\b(acting (?:by|as|through)|by (?:its |his |her |their )?(?:joint )?(?:lpa |fixed charge )?receivers?|by (?:its |his |her |their )?(?:attorney|litigation friend)|as (?:executors?|administrators?|personal representatives?))\b(.*)$/i;
+
+// Parte representada por terceiros: "Reps of X", "The Estate of the late X"
+const REPRESENTED_PATTERN = /^((?:the )?(?:personal )?(?:reps|representatives|executors|estate) of(?: the late)?)\s+(.*?)(?:\s*\(deceased\))?$/i;
+
+// Nomes alternativos: "(FKA Kirk)", "AKA ...", "(previously known as ...)"
+const ALIAS_PATTERN = /\s*\(?\s*\b(aka|a\.k\.a\.|fka|f\.k\.a\.|also known as|formerly known as|previously known as)\b[^)]*\)?/gi;
+
+/**
+ * Função para limpar o texto de uma célula: junta os fragmentos separados
+ * por ' | ' (parágrafos da célula) e remove traços e espaços nas pontas.
+ *
+ * @param {string} text - Texto da célula.
+ * @returns {string} Texto limpo.
+ */
+function cleanPartyText(text) {
+  return String(text || '')
+    .replace(/\s*\|\s*/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–,;]+|[\s\-–,;]+$/g, '')
+    .trim();
+}
+
+/**
+ * Função para verificar se um nome é de uma organização.
+ * Além das palavras típicas, siglas sem vogais (RHP, LB, MBC, CCBC) indicam organizações.
+ *
+ * @param {string} name - Nome da parte.
+ * @returns {boolean} true se for uma organização.
+ */
+function isOrganisation(name) {
+  const hasAcronym = name
+    .split(/[\s.]+/)
+    .some((word) => /^[B-DF-HJ-NP-TV-XZ]{2,5}$/.test(word) && !TITLES.some((title) => title.toUpperCase() === word));
+
+  return ORGANISATION_PATTERN.test(name) || hasAcronym;
+}
+
+/**
+ * Função para separar as partes numeradas: "(1) A (2) B", "A (1), B (2)" ou "1. A 2. B".
+ *
+ * @param {string} text - Texto da célula.
+ * @returns {Array<string>|null} Partes encontradas ou null se o texto não for numerado.
+ */
+function splitNumbered(text) {
+  const prefixed = text.split(/\s*(?:^|\s)\(?(\d{1,2})[).]\s+/).filter((part, index) => index % 2 === 0);
+  if (/^\(?1[).]\s/.test(text) && prefixed.length > 2) {
+    return prefixed.slice(1);
+  }
+
+  if (/\(1\)/.test(text) && /\(2\)/.test(text)) {
+    return text.split(/\s*\(\d{1,2}\)\s*,?\s*/);
+  }
+
+  return null;
+}
+
+/**
+ * Função para separar as partes unidas por '&', 'and', vírgula, ';' ou '/'.
+ * Em nomes de organização ("Coutts & Company", "Bath and West Finance Limited")
+ * só separa quando o trecho anterior termina como uma organização ou o
+ * seguinte começa com um tratamento ("Kent Supplies Ltd & Mr Michael Hackwood").
+ *
+ * @param {string} text - Texto de uma parte.
+ * @returns {Array<string>} Partes encontradas.
+ */
+function splitJoined(text) {
+  const pieces = text.split(/\s*(?:&|\band\b|,|;|(?<!\bt)\/(?!a\b))\s*/i);
+  if (!isOrganisation(text)) {
+    return pieces;
+  }
+
+  const titleStart = new RegExp(`^(${TITLES.join('|')})\\.?\\s`, 'i');
+  const separators = text.match(/\s*(?:&|\band\b|,|;|(?<!\bt)\/(?!a\b))\s*/gi) || [];
+
+  return pieces.reduce((parts, piece, index) => {
+    const previous = parts[parts.length - 1];
+    if (index > 0 && !ORGANISATION_SUFFIX.test(previous) && !titleStart.test(piece) && !UNKNOWN_PATTERN.test(piece)) {
+      parts[parts.length - 1] = `${previous}${separators[index - 1]}${piece}`;
+    } else {
+      parts.push(piece);
+    }
+    return parts;
+  }, []);
+}
+
+/**
+ * Função para interpretar o nome de uma única parte.
+ *
+ * @param {string} text - Nome da parte.
+ * @returns {object} Parte interpretada ({ raw, name, title, firstName, lastName, isCompany, representative }).
+ */
+function parseParty(text) {
+  const raw = cleanPartyText(text);
+  let name = raw.replace(ALIAS_PATTERN, '').trim();
+  let representative = '';
+
+  const representation = REPRESENTATIVE_PATTERN.exec(name);
+  if (representation && representation.index > 0) {
+    representative = cleanPartyText(`${representation[1]}${representation[2]}`.replace(/\)\s*$/, ''));
+    name = name.slice(0, representation.index).trim();
+  }
+
+  const represented = REPRESENTED_PATTERN.exec(name);
+  if (represented) {
+    representative = represented[1];
+    name = represented[2];
+  }
+
+  if (/^\(.*\)$/.test(name)) {
+    name = name.slice(1, -1);
+  }
+  name = cleanPartyText(name);
+
+  const party = { raw, name, title: '', firstName: '', lastName: '', isCompany: false, representative };
+
+  if (!name || UNKNOWN_PATTERN.test(name)) {
+    return party;
+  }
+
+  if (isOrganisation(name)) {
+    party.isCompany = true;
+    return party;
+  }
+
+  const words = name.split(' ');
+  const title = TITLES.find((candidate) => candidate.toLowerCase() === words[0].replace(/\.$/, '').toLowerCase());
+  if (words.length > 1 && title) {
+    party.title = title;
+    words.shift();
+  }
+
+  // O sobrenome inclui as partículas que o precedem ("Bruno De Araujo" -> "De Araujo")
+  let lastStart = words.length - 1;
+  while (lastStart > 1 && SURNAME_PARTICLES.includes(words[lastStart - 1].toLowerCase())) {
+    lastStart--;
+  }
+
+  party.lastName = words.slice(lastStart).join(' ');
+  party.firstName = lastStart > 0 ? words[0].replace(/\.$/, '') : '';
+
+  return party;
+}
+
+/**
+ * Função para separar e interpretar todas as partes de uma célula.
+ *
+ * @param {string} text - Texto da célula (Claimant ou Defendant).
+ * @returns {Array<object>} Partes interpretadas, na ordem em que aparecem.
+ */
+function parseParties(text) {
+  const cleaned = cleanPartyText(text);
+  if (!cleaned || cleaned === 'Not Provided') {
+    return [];
+  }
+
+  const withoutAliases = cleaned.replace(ALIAS_PATTERN, '');
+  const representation = REPRESENTATIVE_PATTERN.exec(withoutAliases);
+
+  // O representante ("X acting by Y & Z") não é separado em outras partes
+  const main = representation && representation.index > 0 ? withoutAliases.slice(0, representation.index) : withoutAliases;
+  const suffix = main === withoutAliases ? '' : withoutAliases.slice(main.length);
+
+  const pieces = (splitNumbered(main) || [main])
+    .flatMap((piece) => splitJoined(cleanPartyText(piece)))
+    .map(cleanPartyText)
+    .filter(Boolean);
+
+  if (pieces.length === 0) {
+    return [];
+  }
+
+  pieces[pieces.length - 1] += suffix;
+  return pieces.map(parseParty);
+}
+
+/**
+ * Função para montar as colunas estruturadas de um lado (Claimant ou Defendant).
+ * Com várias partes, os valores de cada coluna ficam separados por '; ', na mesma ordem.
+ *
+ * @param {string} side - 'Claimant' ou 'Defendant'.
+ * @param {string} text - Texto da célula.
+ * @returns {object} Colunas estruturadas (Title, First Name, Last Name, Is Company).
+ */
+function partyColumns(side, text) {
+  const parties = parseParties(text);
+  const join = (field) => parties.map(field).join('; ');
+
+  return {
+    [`${side} Title`]: join((party) => party.title),
+    [`${side} First Name`]: join((party) => party.firstName),
+    [`${side} Last Name`]: join((party) => party.lastName),
+    [`${side} Is Company`]: join((party) => (party.isCompany ? 'Yes' : 'No')),
+  };
+}
+
+module.exports = {
+  cleanPartyText,
+  isOrganisation,
+  parseParty,
+  parseParties,
+  partyColumns,
+};
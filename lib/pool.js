@@ -0,0 +1,113 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Pool de workers para processar as listas em paralelo.
+ *
+ * Cada worker (lib/poolWorker.js) roda em uma thread própria e processa um
+ * arquivo por vez com o `parseFile` do scraper: lê, converte e extrai as linhas,
+ * carregando a página uma única vez. O resultado ({ rows, metadata }) volta para
+ * a thread principal, que grava as saídas e move os arquivos.
+ *
+ * As threads não compartilham a configuração da principal: o dicionário de
+ * requerentes, o diretório de tribunais, os filtros e o logger vão em `setup`
+ * ({ claimants, courts, filters, logger }) e são aplicados em cada worker.
+ */
+
+const WORKER_FILE = path.join(__dirname, 'poolWorker.js');
+
+/**
+ * Função para criar o pool de workers.
+ *
+ * @param {object} [options] - Opções ({ jobs, setup }): quantidade de workers e
+ *   configuração aplicada em cada um.
+ * @returns {{run: Function, close: Function}} `run(filePath, options)` processa um
+ *   arquivo e retorna uma Promise com { rows, metadata }; `close()` encerra os workers.
+ */
+function createPool({ jobs = 1, setup = {} } = {}) {
+  const queue = [];
+  const workers = [];
+  let nextId = 0;
+  let closed = false;
+
+  /**
+   * Função para entregar a próxima tarefa da fila a um worker livre.
+   *
+   * @param {object} entry - Worker e tarefa em andamento ({ worker, task }).
+   */
+  function dispatch(entry) {
+    if (entry.task || queue.length === 0) return;
+
+    entry.task = queue.shift();
+    const { id, filePath, options } = entry.task;
+    entry.worker.postMessage({ id, filePath, options });
+  }
+
+  /**
+   * Função para iniciar um worker e registrar os seus eventos.
+   *
+   * @returns {object} Worker e tarefa em andamento ({ worker, task }).
+   */
+  function spawn() {
+    const entry = { worker: new Worker(WORKER_FILE, { workerData: setup }), task: null };
+
+    entry.worker.on('message', ({ id, result, error }) => {
+      const { task } = entry;
+      if (!task || task.id !== id) return;
+
+      entry.task = null;
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+      dispatch(entry);
+    });
+
+    // Um worker que cai leva só a tarefa em andamento: é substituído por outro
+    entry.worker.on('error', (error) => {
+      const { task } = entry;
+      entry.task = null;
+      if (task) {
+        task.reject(new Error(`Worker failed on ${path.basename(task.filePath)}: ${error.message}`));
+      }
+
+      workers.splice(workers.indexOf(entry), 1);
+      if (!closed) {
+        const replacement = spawn();
+        workers.push(replacement);
+        dispatch(replacement);
+      }
+    });
+
+    return entry;
+  }
+
+  for (let i = 0; i < jobs; i++) {
+    workers.push(spawn());
+  }
+
+  return {
+    run(filePath, options = {}) {
+      if (closed) {
+        return Promise.reject(new Error('The worker pool is closed'));
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, filePath, options, resolve, reject });
+        const idle = workers.find((entry) => !entry.task);
+        if (idle) dispatch(idle);
+      });
+    },
+
+    async close() {
+      closed = true;
+      queue.splice(0).forEach((task) => task.reject(new Error('The worker pool is closed')));
+      await Promise.all(workers.map((entry) => entry.worker.terminate()));
+    },
+  };
+}
+
+module.exports = {
+  createPool,
+};
@@ -0,0 +1,27 @@
+const { parentPort, workerData } = require('worker_threads');
+const { parseFile } = require('../scraper');
+const { configureLogger } = require('./logger');
+const { configureClaimants } = require('./claimants');
+const { configureCourts } = require('./courts');
+const { configureFilters } = require('./filters');
+
+/**
+ * Worker do pool (lib/pool.js): aplica a configuração recebida e processa um
+ * arquivo por mensagem, respondendo com { id, result } ou { id, error }.
+ */
+
+const { claimants, courts, filters, logger } = workerData || {};
+
+if (logger) configureLogger(logger);
+if (claimants) configureClaimants(claimants);
+if (courts) configureCourts(courts);
+// null desativa os filtros; undefined mantém os padrões
+if (filters !== undefined) configureFilters(filters);
+
+parentPort.on('message', async ({ id, filePath, options }) => {
+  try {
+    parentPort.postMessage({ id, result: await parseFile(filePath, options) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
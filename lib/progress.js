@@ -0,0 +1,76 @@
+const { logger } = require('./logger');
+
+/**
+ * Progresso de um lote de arquivos.
+ *
+ * Registra no log, no máximo a cada `interval` milissegundos, quantos arquivos já
+ * foram processados, as linhas extraídas, a vazão (arquivos e linhas por segundo)
+ * e o tempo estimado para terminar.
+ */
+
+// Intervalo padrão entre as mensagens de progresso
+const DEFAULT_INTERVAL = 2000;
+
+/**
+ * Função para calcular a vazão do lote.
+ *
+ * @param {number} files - Arquivos processados.
+ * @param {number} rows - Linhas extraídas.
+ * @param {number} elapsed - Tempo decorrido, em milissegundos.
+ * @returns {{seconds: number, filesPerSecond: number, rowsPerSecond: number}} Vazão.
+ */
+function throughput(files, rows, elapsed) {
+  const seconds = Math.max(elapsed, 1) / 1000;
+  const round = (value) => Math.round(value * 10) / 10;
+
+  return {
+    seconds: round(seconds),
+    filesPerSecond: round(files / seconds),
+    rowsPerSecond: round(rows / seconds),
+  };
+}
+
+/**
+ * Função para acompanhar o progresso de um lote.
+ *
+ * @param {number} total - Quantidade de arquivos do lote.
+ * @param {object} [options] - Opções ({ interval, now }): intervalo entre as mensagens
+ *   (0 registra todos os arquivos) e relógio (para os testes).
+ * @returns {{update: Function, finish: Function}} `update(rows)` conta um arquivo
+ *   processado; `finish()` retorna a vazão final ({ files, rows, seconds, ... }).
+ */
+function createProgress(total, { interval = DEFAULT_INTERVAL, now = Date.now } = {}) {
+  const startedAt = now();
+  let lastLog = startedAt;
+  let files = 0;
+  let rows = 0;
+
+  return {
+    update(fileRows = 0) {
+      files++;
+      rows += fileRows;
+
+      const time = now();
+      if (files === total || time - lastLog < interval) return;
+      lastLog = time;
+
+      const stats = throughput(files, rows, time - startedAt);
+      logger.info('Progress', {
+        files: `${files}/${total}`,
+        rows,
+        filesPerSecond: stats.filesPerSecond,
+        rowsPerSecond: stats.rowsPerSecond,
+        eta: stats.filesPerSecond > 0 ? `${Math.ceil((total - files) / stats.filesPerSecond)}s` : undefined,
+      });
+    },
+
+    finish() {
+      return { files, rows, ...throughput(files, rows, now() - startedAt) };
+    },
+  };
+}
+
+module.exports = {
+  createProgress,
+  throughput,
+};
@@ -0,0 +1,354 @@
+const fs = require('fs');
+
+/**
+ * Relatório de execução.
+ *
+ * Para cada arquivo de entrada registra o template detectado, o tribunal, a data,
+ * a quantidade de linhas, os motivos de falha e os campos que ficaram como
+ * 'Not Provided', em JSON (para máquinas) e em HTML (para a equipe de operações).
+ *
+ * Motivos (reasons):
+ * - 'unreadable': o arquivo não pôde ser convertido em HTML (ex.: PDF corrompido);
+ * - 'parse-error': a extração falhou (erro inesperado ou worker que caiu);
+ * - 'no-template': nenhum template reconheceu a página;
+ * - 'no-table': o template foi reconhecido, mas nenhuma tabela casou;
+ * - 'all-rows-filtered': havia linhas, mas todas foram descartadas pelos filtros;
+ * - 'no-rows': as tabelas não produziram nenhuma linha;
+ * - 'date-unparseable': a data da lista não foi reconhecida;
+ * - 'heuristic': nenhum template reconheceu o layout e as linhas vieram do template
+ *   genérico (baixa confiança); o mapeamento de colunas deduzido vai junto no resumo;
+ * - 'file-name-fallback': o tribunal, a lista ou a data não vieram da página, e sim
+ *   do nome do arquivo (lib/fileNames.js);
+ * - 'file-name-mismatch': o tribunal, a lista ou a data do nome do arquivo não
+ *   conferem com os da página.
+ *
+ * O relatório também lista os requerentes (organizações) que não estão no
+ * dicionário de config/claimants.json, os tribunais que não estão no diretório
+ * de config/courts.json e os que estão nele sem CEP (postcode), para que eles
+ * possam ser completados.
+ */
+
+// Campos sem os quais a linha não serve para o CRM
+const CORE_FIELDS = ['Court Name', 'Court Date', 'Claim Number', 'Claimant', 'Defendant'];
+
+/**
+ * Função para resumir o resultado da extração de um arquivo.
+ *
+ * @param {string} file - Caminho do arquivo de entrada.
+ * @param {Array} rows - Linhas extraídas do arquivo.
+ * @param {object} metadata - Metadados retornados pelo `parseCauseList`.
+ * @returns {object} Resumo do arquivo para o relatório.
+ */
+function summarizeFile(file, rows, metadata) {
+  const reasons = [];
+
+  if (metadata.reason === 'no-rows' && metadata.rowsFiltered > 0) {
+    reasons.push('all-rows-filtered');
+  } else if (metadata.reason) {
+    reasons.push(metadata.reason);
+  }
+
+  if (metadata.courtDate && !metadata.courtDate.ok) {
+    reasons.push('date-unparseable');
+  }
+
+  if (metadata.inferredMapping) {
+    reasons.push('heuristic');
+  }
+
+  const fallbacks = metadata.fallbacks || [];
+  if (fallbacks.length > 0) {
+    reasons.push('file-name-fallback');
+  }
+
+  const mismatches = metadata.mismatches || [];
+  if (mismatches.length > 0) {
+    reasons.push('file-name-mismatch');
+  }
+
+  // Quantas linhas ficaram sem cada campo (as colunas da validação não são campos da lista)
+  const notProvided = {};
+  rows.forEach((row) => {
+    Object.keys(row).forEach((field) => {
+      if (field === 'Confidence' || field === 'Warnings') return;
+
+      const value = String(row[field] || '').trim();
+      if (value === '' || value === 'Not Provided') {
+        notProvided[field] = (notProvided[field] || 0) + 1;
+      }
+    });
+  });
+
+  // Quantas linhas têm cada problema apontado pela validação
+  const warnings = {};
+  rows.forEach((row) => {
+    String(row.Warnings || '')
+      .split('; ')
+      .filter(Boolean)
+      .forEach((warning) => {
+        warnings[warning] = (warnings[warning] || 0) + 1;
+      });
+  });
+
+  // Organizações sem correspondência no dicionário de requerentes
+  const unmatchedClaimants = rows
+    .filter((row) => !row['Claimant Canonical'] && String(row['Claimant Is Company'] || '').includes('Yes'))
+    .map((row) => ({ name: row.Claimant, type: row['Claimant Type'] }));
+
+  let status = 'ok';
+  if (rows.length === 0) {
+    status = 'failed';
+  } else if (reasons.length > 0 || CORE_FIELDS.some((field) => notProvided[field])) {
+    status = 'partial';
+  }
+
+  return {
+    file,
+    status,
+    template: metadata.template,
+    court: metadata.courtName || (rows[0] && rows[0]['Court Name']) || '',
+    date: metadata.courtDate && metadata.courtDate.ok ? metadata.courtDate.display : '',
+    rows: rows.length,
+    rowsFiltered: metadata.rowsFiltered || 0,
+    filteredBy: metadata.filteredBy || {},
+    tables: metadata.tables || 0,
+    reasons,
+    dateInput: metadata.courtDate && !metadata.courtDate.ok ? metadata.courtDate.input : undefined,
+    notProvided,
+    warnings,
+    unmatchedClaimants,
+    unknownCourt: metadata.court && !metadata.court.known && metadata.court.name ? metadata.court.name : null,
+    courtWithoutPostcode: metadata.court && metadata.court.known && !metadata.court.postcode ? metadata.court.name : null,
+    inferredMapping: metadata.inferredMapping || undefined,
+    fileNameFallbacks: fallbacks.length > 0 ? fallbacks : undefined,
+    fileNameMismatches: mismatches.length > 0 ? mismatches : undefined,
+  };
+}
+
+/**
+ * Função para montar o relatório da execução a partir dos resumos por arquivo.
+ *
+ * @param {Array<object>} summaries - Resumos gerados por `summarizeFile`.
+ * @returns {object} Relatório com totais e arquivos.
+ */
+function buildReport(summaries) {
+  const count = (status) => summaries.filter((summary) => summary.status === status).length;
+
+  const unmatched = new Map();
+  summaries.forEach((summary) => {
+    (summary.unmatchedClaimants || []).forEach(({ name, type }) => {
+      const entry = unmatched.get(name) || { name, type, rows: 0, files: new Set() };
+      entry.rows++;
+      entry.files.add(summary.file);
+      unmatched.set(name, entry);
+    });
+  });
+
+  const unknownCourts = new Map();
+  summaries
+    .filter((summary) => typeof summary.unknownCourt === 'string')
+    .forEach((summary) => {
+      unknownCourts.set(summary.unknownCourt, (unknownCourts.get(summary.unknownCourt) || 0) + 1);
+    });
+
+  const withoutPostcode = new Map();
+  summaries
+    .filter((summary) => typeof summary.courtWithoutPostcode === 'string')
+    .forEach((summary) => {
+      withoutPostcode.set(summary.courtWithoutPostcode, (withoutPostcode.get(summary.courtWithoutPostcode) || 0) + 1);
+    });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      files: summaries.length,
+      ok: count('ok'),
+      partial: count('partial'),
+      failed: count('failed'),
+      rows: summaries.reduce((total, summary) => total + summary.rows, 0),
+      rowsFiltered: summaries.reduce((total, summary) => total + (summary.rowsFiltered || 0), 0),
+    },
+    files: summaries,
+    unmatchedClaimants: [...unmatched.values()]
+      .map((entry) => ({ ...entry, files: entry.files.size }))
+      .sort((a, b) => b.rows - a.rows || a.name.localeCompare(b.name)),
+    unknownCourts: [...unknownCourts]
+      .map(([name, files]) => ({ name, files }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    courtsWithoutPostcode: [...withoutPostcode]
+      .map(([name, files]) => ({ name, files }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+/**
+ * Função para escapar texto no HTML.
+ *
+ * @param {*} value - Valor a ser exibido.
+ * @returns {string} Texto escapado.
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Função para gerar o relatório em HTML.
+ * Os arquivos com falha aparecem primeiro, agrupados por tribunal.
+ *
+ * @param {object} report - Relatório gerado por `buildReport`.
+ * @returns {string} Página HTML.
+ */
+function formatHtmlReport(report) {
+  const order = { failed: 0, partial: 1, ok: 2 };
+  const files = report.files
+    .slice()
+    .sort((a, b) => order[a.status] - order[b.status] || a.court.localeCompare(b.court) || a.file.localeCompare(b.file));
+
+  const rows = files
+    .map((summary) => {
+      const notProvided = Object.entries(summary.notProvided)
+        .map(([field, total]) => `${escapeHtml(field)} (${total})`)
+        .join(', ');
+      const warnings = Object.entries(summary.warnings || {})
+        .map(([warning, total]) => `${escapeHtml(warning)} (${total})`)
+        .join(', ');
+      const filteredBy = Object.entries(summary.filteredBy || {})
+        .map(([rule, total]) => `${rule}: ${total}`)
+        .join('\n');
+
+      return `    <tr class="${summary.status}">
+      <td>${escapeHtml(summary.status)}</td>
+      <td>${escapeHtml(summary.court)}</td>
+      <td>${escapeHtml(summary.date)}</td>
+      <td>${escapeHtml(summary.template || '-')}</td>
+      <td class="num">${summary.rows}</td>
+      <td class="num" title="${escapeHtml(filteredBy)}">${summary.rowsFiltered}</td>
+      <td>${escapeHtml(summary.reasons.join(', '))}</td>
+      <td>${notProvided}</td>
+      <td>${warnings}</td>
+      <td class="file">${escapeHtml(summary.file)}</td>
+    </tr>`;
+    })
+    .join('\n');
+
+  const needsTemplate = [...new Set(
+    report.files
+      .filter((summary) => ['no-template', 'no-table', 'heuristic'].some((reason) => summary.reasons.includes(reason)))
+      .map((summary) => summary.court || summary.file)
+  )].sort();
+
+  // Colunas deduzidas pelo template genérico, para servir de base a um novo template
+  const describeMapping = ({ table, columns, headers }) =>
+    `table ${table}: ${Object.entries(columns)
+      .map(([field, column]) => `${field} = column ${column + 1}${headers[field] ? ` ("${headers[field]}")` : ''}`)
+      .join(', ')}`;
+  const inferred = report.files.filter((summary) => summary.inferredMapping && summary.inferredMapping.length > 0);
+
+  // Divergências entre o nome do arquivo e a página, uma linha por campo
+  const mismatches = report.files.flatMap((summary) =>
+    (summary.fileNameMismatches || []).map((mismatch) => ({ file: summary.file, ...mismatch }))
+  );
+  const fallbacks = report.files.filter((summary) => summary.fileNameFallbacks);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Extraction report ${escapeHtml(report.generatedAt)}</title>
+<style>
+  body { font-family: sans-serif; font-size: 13px; margin: 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  td.num { text-align: right; }
+  td.file { color: #666; font-size: 11px; }
+  tr.failed td:first-child { background: #f8d7da; }
+  tr.partial td:first-child { background: #fff3cd; }
+  tr.ok td:first-child { background: #d4edda; }
+</style>
+</head>
+<body>
+<h1>Extraction report</h1>
+<p>Generated at ${escapeHtml(report.generatedAt)}:
+  ${report.totals.files} file(s), ${report.totals.ok} ok, ${report.totals.partial} partial,
+  ${report.totals.failed} failed, ${report.totals.rows} row(s), ${report.totals.rowsFiltered || 0} filtered.</p>
+${needsTemplate.length > 0 ? `<h2>Courts that need a new template</h2>
+<ul>
+${needsTemplate.map((court) => `  <li>${escapeHtml(court)}</li>`).join('\n')}
+</ul>
+` : ''}${inferred.length > 0 ? `<h2>Columns inferred by the heuristic extractor</h2>
+<ul>
+${inferred.map((summary) => `  <li>${escapeHtml(summary.court || summary.file)}: ${escapeHtml(summary.inferredMapping.map(describeMapping).join('; '))}</li>`).join('\n')}
+</ul>
+` : ''}${mismatches.length > 0 ? `<h2>File names that do not match the page</h2>
+<table>
+  <thead>
+    <tr><th>File</th><th>Field</th><th>File name</th><th>Page</th></tr>
+  </thead>
+  <tbody>
+${mismatches.map((entry) => `    <tr><td class="file">${escapeHtml(entry.file)}</td><td>${escapeHtml(entry.field)}</td><td>${escapeHtml(entry.fileName)}</td><td>${escapeHtml(entry.page)}</td></tr>`).join('\n')}
+  </tbody>
+</table>
+` : ''}${fallbacks.length > 0 ? `<h2>Fields taken from the file name</h2>
+<ul>
+${fallbacks.map((summary) => `  <li>${escapeHtml(summary.file)}: ${escapeHtml(summary.fileNameFallbacks.join(', '))}</li>`).join('\n')}
+</ul>
+` : ''}${report.unmatchedClaimants.length > 0 ? `<h2>Claimants not in the dictionary</h2>
+<table>
+  <thead>
+    <tr><th>Claimant</th><th>Guessed type</th><th>Rows</th><th>Files</th></tr>
+  </thead>
+  <tbody>
+${report.unmatchedClaimants.map((entry) => `    <tr><td>${escapeHtml(entry.name)}</td><td>${escapeHtml(entry.type)}</td><td class="num">${entry.rows}</td><td class="num">${entry.files}</td></tr>`).join('\n')}
+  </tbody>
+</table>
+` : ''}${(report.unknownCourts || []).length > 0 ? `<h2>Courts not in the directory</h2>
+<ul>
+${report.unknownCourts.map((entry) => `  <li>${escapeHtml(entry.name)} (${entry.files} file(s))</li>`).join('\n')}
+</ul>
+` : ''}${(report.courtsWithoutPostcode || []).length > 0 ? `<h2>Courts without a postcode in the directory</h2>
+<ul>
+${report.courtsWithoutPostcode.map((entry) => `  <li>${escapeHtml(entry.name)} (${entry.files} file(s))</li>`).join('\n')}
+</ul>
+` : ''}<h2>Files</h2>
+<table>
+  <thead>
+    <tr>
+      <th>Status</th><th>Court</th><th>Date</th><th>Template</th><th>Rows</th>
+      <th>Filtered</th><th>Reasons</th><th>Not Provided</th><th>Warnings</th><th>File</th>
+    </tr>
+  </thead>
+  <tbody>
+${rows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Função para gravar o relatório em JSON e em HTML.
+ *
+ * @param {object} report - Relatório gerado por `buildReport`.
+ * @param {string} basePath - Caminho base, sem extensão (ex.: output_2024-12-06.report).
+ * @returns {{json: string, html: string}} Arquivos gravados.
+ */
+function writeReport(report, basePath) {
+  const files = { json: `${basePath}.json`, html: `${basePath}.html` };
+  fs.writeFileSync(files.json, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(files.html, formatHtmlReport(report));
+  return files;
+}
+
+module.exports = {
+  summarizeFile,
+  buildReport,
+  formatHtmlReport,
+  writeReport,
+  escapeHtml,
+};
@@ -0,0 +1,382 @@
+const http = require('http');
+const crypto = require('crypto');
+const { parseCauseList } = require('../scraper');
+const { convertInput } = require('./inputs');
+const { formatCsv } = require('./exporters/csv');
+const { toRecord } = require('./columns');
+const { loadHistory, saveHistory, markRows } = require('./history');
+const { summarizeFile } = require('./report');
+const { logger } = require('./logger');
+
+/**
+ * API HTTP local, para outras equipes enviarem listas e consultarem os resultados
+ * sem acesso aos arquivos da máquina do scraper.
+ *
+ * Rotas (todas, exceto /health, exigem "Authorization: Bearer <API_TOKEN>"):
+ * - GET  /health: verifica se o servidor está no ar;
+ * - POST /lists: recebe uma lista do CourtServe em HTML, MHTML ou PDF (no corpo ou em
+ *   multipart/form-data) e retorna as linhas extraídas; `?template=` força o template e `?name=` dá nome à origem;
+ * - GET  /lists/:id: resultado de uma lista enviada;
+ * - GET  /lists/:id/export.csv e /lists/:id/export.json: linhas da lista para download;
+ * - GET  /hearings?from=YYYY-MM-DD&to=YYYY-MM-DD&court=: audiências do histórico de processos, com a linha completa;
+ * - GET  /hearings/export.csv e /hearings/export.json: linhas das audiências para download (mesmos filtros).
+ *
+ * As listas enviadas ficam em memória (as últimas `maxLists`) e as linhas são
+ * registradas no histórico, como em uma execução do scraper.
+ */
+
+// Tamanho máximo do corpo da requisição (uma lista salva tem poucas centenas de KB)
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Erro com o status HTTP da resposta.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Monta a configuração do servidor a partir das variáveis de ambiente,
+ * permitindo sobrescrever qualquer valor pelas opções recebidas.
+ *
+ * Variáveis suportadas:
+ * - API_TOKEN: token exigido nas requisições (obrigatório);
+ * - API_PORT: porta (padrão: 3000);
+ * - API_HOST: endereço (padrão: 127.0.0.1, só a máquina local).
+ *
+ * @param {object} options - Opções que sobrescrevem as variáveis de ambiente.
+ * @returns {object} Configuração final do servidor.
+ */
+function resolveServerConfig(options = {}) {
+  const env = process.env;
+
+  return {
+    token: options.token || env.API_TOKEN || '',
+    port: Number(options.port !== undefined ? options.port : env.API_PORT || 3000),
+    host: options.host || env.API_HOST || '127.0.0.1',
+    history: options.history !== undefined ? options.history : './case_history.json',
+    maxLists: options.maxLists || 100,
+  };
+}
+
+/**
+ * Função para ler o corpo da requisição, respeitando o tamanho máximo.
+ *
+ * @param {object} req - Requisição HTTP.
+ * @returns {Promise<Buffer>} Corpo da requisição.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body larger than ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Função para extrair o primeiro arquivo de um corpo multipart/form-data.
+ *
+ * @param {Buffer} body - Corpo da requisição.
+ * @param {string} contentType - Cabeçalho Content-Type (com o boundary).
+ * @returns {{name: string|null, content: Buffer}} Nome e conteúdo do arquivo.
+ */
+function parseMultipart(body, contentType) {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!match) {
+    throw new HttpError(400, 'Missing multipart boundary');
+  }
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  let start = body.indexOf(boundary);
+
+  while (start !== -1) {
+    const next = body.indexOf(boundary, start + boundary.length);
+    if (next === -1) break;
+
+    const part = body.slice(start + boundary.length, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf-8');
+      const filename = headers.match(/filename="([^"]*)"/i);
+      if (filename) {
+        // O conteúdo termina antes do "\r\n" que precede o próximo boundary
+        return { name: filename[1] || null, content: part.slice(headerEnd + 4, part.length - 2) };
+      }
+    }
+
+    start = next;
+  }
+
+  throw new HttpError(400, 'No file found in the multipart body');
+}
+
+/**
+ * Função para comparar o token recebido com o configurado, em tempo constante.
+ *
+ * @param {string} header - Cabeçalho Authorization.
+ * @param {string} token - Token configurado.
+ * @returns {boolean} true se o token confere.
+ */
+function isAuthorized(header, token) {
+  const match = String(header || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const received = crypto.createHash('sha256').update(match[1].trim()).digest();
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Função para enviar uma resposta JSON.
+ *
+ * @param {object} res - Resposta HTTP.
+ * @param {number} status - Status HTTP.
+ * @param {*} body - Conteúdo da resposta.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+/**
+ * Função para consultar as audiências do histórico de processos.
+ * Audiências de históricos antigos, gravadas sem a linha, recebem uma linha só
+ * com o processo, a data, o tribunal e o tipo de audiência.
+ *
+ * @param {object} history - Histórico carregado.
+ * @param {object} query - Filtros ({ from, to, court }); datas em ISO.
+ * @returns {Array<object>} Audiências ({ claimNumber, date, court, hearingType, firstSeenAt, row })
+ *   ordenadas por data, tribunal e processo.
+ */
+function findHearings(history, { from = null, to = null, court = null } = {}) {
+  const courtName = court ? court.toLowerCase() : null;
+
+  return Object.entries(history.claims)
+    .flatMap(([claimNumber, claim]) =>
+      claim.hearings.map((hearing) => ({
+        claimNumber,
+        ...hearing,
+        row:
+          hearing.row ||
+          toRecord({ 'Claim Number': claimNumber, 'Court Date': hearing.date, 'Court Name': hearing.court, 'Hearing Type': hearing.hearingType }),
+      }))
+    )
+    .filter((hearing) => !from || hearing.date >= from)
+    .filter((hearing) => !to || hearing.date <= to)
+    .filter((hearing) => !courtName || hearing.court.toLowerCase() === courtName)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.court.localeCompare(b.court) || a.claimNumber.localeCompare(b.claimNumber));
+}
+
+/**
+ * Função para criar o servidor da API (sem começar a escutar).
+ *
+ * @param {object} [options] - Opções (veja `resolveServerConfig`).
+ * @returns {object} Servidor HTTP do Node.
+ */
+function createApiServer(options = {}) {
+  const config = resolveServerConfig(options);
+  if (!config.token) {
+    throw new Error('API_TOKEN is not set: the API refuses to run without a token');
+  }
+
+  // Listas enviadas, da mais antiga para a mais recente
+  const lists = new Map();
+
+  /**
+   * Função para processar uma lista enviada e guardar o resultado.
+   *
+   * @param {Buffer} content - Conteúdo da lista (HTML, MHTML ou PDF).
+   * @param {object} params - Parâmetros da URL (name, template).
+   * @returns {Promise<object>} Resultado da lista.
+   */
+  async function submitList(content, params) {
+    if (content.length === 0) {
+      throw new HttpError(400, 'Empty cause list');
+    }
+
+    const sourceName = params.name || '(upload)';
+    let parsed;
+    try {
+      const source = await convertInput(content, params.name || '');
+      parsed = parseCauseList(source.html, { sourceName, template: params.template || null, input: source.input });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const { rows, metadata } = parsed;
+    if (config.history && rows.length > 0) {
+      const store = loadHistory(config.history);
+      markRows(store, rows);
+      saveHistory(store, config.history);
+    }
+
+    const id = crypto.randomUUID();
+    const result = { id, receivedAt: new Date().toISOString(), summary: summarizeFile(sourceName, rows, metadata), rows: rows.map(toRecord) };
+
+    lists.set(id, result);
+    if (lists.size > config.maxLists) {
+      lists.delete(lists.keys().next().value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Função para atender uma requisição já autenticada.
+   *
+   * @param {object} req - Requisição HTTP.
+   * @param {object} res - Resposta HTTP.
+   * @param {URL} url - URL da requisição.
+   * @returns {Promise<void>}
+   */
+  async function route(req, res, url) {
+    const params = Object.fromEntries(url.searchParams);
+
+    if (url.pathname === '/lists') {
+      if (req.method !== 'POST') throw new HttpError(405, 'Use POST to submit a cause list');
+
+      const body = await readBody(req);
+      const contentType = req.headers['content-type'] || '';
+      const upload = /^multipart\/form-data/i.test(contentType) ? parseMultipart(body, contentType) : { name: null, content: body };
+
+      const result = await submitList(upload.content, { ...params, name: params.name || upload.name });
+      logger.info('Cause list received', { id: result.id, file: result.summary.file, rows: result.rows.length });
+      sendJson(res, 201, result);
+      return;
+    }
+
+    const list = url.pathname.match(/^\/lists\/([\w-]+)(?:\/export\.(csv|json))?$/);
+    if (list) {
+      if (req.method !== 'GET') throw new HttpError(405, 'Use GET to read a cause list');
+
+      const result = lists.get(list[1]);
+      if (!result) throw new HttpError(404, `Cause list not found: ${list[1]}`);
+
+      if (list[2] === 'csv') {
+        res.writeHead(200, {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${result.id}.csv"`,
+        });
+        res.end(formatCsv(result.rows));
+      } else if (list[2] === 'json') {
+        res.writeHead(200, {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${result.id}.json"`,
+        });
+        res.end(`${JSON.stringify(result.rows, null, 2)}\n`);
+      } else {
+        sendJson(res, 200, result);
+      }
+      return;
+    }
+
+    const hearingsRoute = url.pathname.match(/^\/hearings(?:\/export\.(csv|json))?$/);
+    if (hearingsRoute) {
+      if (req.method !== 'GET') throw new HttpError(405, 'Use GET to query hearings');
+      if (!config.history) throw new HttpError(404, 'The claim history is disabled');
+
+      ['from', 'to'].forEach((key) => {
+        if (params[key] && !ISO_DATE.test(params[key])) {
+          throw new HttpError(400, `Invalid ${key} date: ${params[key]} (use YYYY-MM-DD)`);
+        }
+      });
+
+      const hearings = findHearings(loadHistory(config.history), params);
+      const rows = hearings.map((hearing) => hearing.row);
+      if (hearingsRoute[1] === 'csv') {
+        res.writeHead(200, {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': 'attachment; filename="hearings.csv"',
+        });
+        res.end(formatCsv(rows));
+      } else if (hearingsRoute[1] === 'json') {
+        res.writeHead(200, {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Disposition': 'attachment; filename="hearings.json"',
+        });
+        res.end(`${JSON.stringify(rows, null, 2)}\n`);
+      } else {
+        sendJson(res, 200, { total: hearings.length, hearings });
+      }
+      return;
+    }
+
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid request URL: ${req.url}` });
+      return;
+    }
+
+    if (url.pathname === '/health') {
+      sendJson(res, 200, { status: 'ok' });
+      return;
+    }
+
+    if (!isAuthorized(req.headers.authorization, config.token)) {
+      logger.warn('Unauthorized API request', { method: req.method, path: url.pathname });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    route(req, res, url).catch((error) => {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        logger.error('API request failed', { method: req.method, path: url.pathname, error: error.message });
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+      }
+    });
+  });
+
+  return server;
+}
+
+/**
+ * Função para iniciar a API na porta e no endereço configurados.
+ *
+ * @param {object} [options] - Opções (veja `resolveServerConfig`).
+ * @returns {Promise<object>} Servidor HTTP já escutando.
+ */
+function startApiServer(options = {}) {
+  const { port, host } = resolveServerConfig(options);
+  const server = createApiServer(options);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info('API listening', { url: `http://${host}:${server.address().port}` });
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  resolveServerConfig,
+  findHearings,
+  createApiServer,
+  startApiServer,
+};
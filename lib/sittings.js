@@ -0,0 +1,178 @@
+/**
+ * Dados da sessão (sitting) de cada linha: juiz, sala e horário da lista.
+ *
+ * Essas informações não ficam nas colunas da tabela, e sim em:
+ * - cabeçalhos da página ou de cada bloco da lista ("Before: District Judge Mantle",
+ *   "Nottingham JC Courtroom 3", "Hearing Room 03");
+ * - título da página, que é também o nome do arquivo ("..., PCOL 10.30 Dep. DJ Cheeseman 21/11/24",
+ *   "..., District Judge Shorthose PM 14/11/24").
+ *
+ * Cabeçalhos bilíngues ("Barnwr Rhanbarth Roberts / District Judge Roberts (P)",
+ * "Ystafell Llys 1 Wrecsam, Wrexham Courtroom 1") usam a parte em inglês.
+ */
+
+// Cargos dos juízes, do mais específico para o mais genérico
+const RANKS = [
+  { rank: 'Deputy District Judge', pattern: /^(?:(?:deputy|dep\.?)\s*(?:district|dist\.?)\s*judge|(?:deputy|dep\.?)\s*dj|ddj)\b\.?/i },
+  { rank: 'District Judge', pattern: /^(?:(?:district|dist\.?)\s*judge|dj)\b\.?/i },
+  { rank: 'Circuit Judge', pattern: /^(?:(?:his|her)\s*honour\s*judge|hhj)\b/i },
+  { rank: 'Recorder', pattern: /^recorder\b/i },
+  { rank: 'Judge', pattern: /^judge\b/i },
+];
+
+// Salas: "Courtroom 3", "Court Room 7", "Hearing Room 03", "Chambers 2", "Court 4, Level 2"
+const COURTROOM_PATTERN = /\b(court\s*room|hearing\s*room)\s*\d|\bchambers\s*\d|^court\s*\d+[a-z]?\b/i;
+
+// Cabeçalho do juiz: "Before: ..." ou, em galês, "Gerbron: ..."
+const BEFORE_PATTERN = /^(?:before|gerbron)\s*:?\s*/i;
+
+/**
+ * Função para interpretar o nome e o cargo de um juiz.
+ *
+ * @param {string} text - Texto com o juiz ("Before: District Judge Mantle (P)", "Dep. DJ Cheeseman").
+ * @returns {{judge: string, rank: string}|null} Nome e cargo, ou null se não houver um cargo conhecido.
+ */
+function parseJudge(text) {
+  const english = String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(BEFORE_PATTERN, '')
+    .split(/\s*\/\s*/)
+    .pop();
+
+  const value = english
+    .replace(/\s*\bUsher\s*:.*$/i, '')
+    .replace(/\s*\([A-Z]\)\s*$/, '')
+    .replace(/\s*-?\s*sitting in retirement\s*$/i, '')
+    .trim();
+
+  const found = RANKS.find(({ pattern }) => pattern.test(value));
+  if (!found) {
+    return null;
+  }
+
+  const judge = value.replace(found.pattern, '').trim();
+  return { judge: /^(\(no name\)|tbc|unknown)$/i.test(judge) ? '' : judge, rank: found.rank };
+}
+
+/**
+ * Função para interpretar o nome de uma sala.
+ *
+ * @param {string} text - Texto do cabeçalho.
+ * @returns {string|null} Sala ou null se o texto não for de uma sala.
+ */
+function parseCourtroom(text) {
+  let value = String(text || '').replace(/\s+/g, ' ').trim();
+  if (value.length > 80 || !COURTROOM_PATTERN.test(value.replace(/^ystafell llys.*?,\s*/i, ''))) {
+    return null;
+  }
+
+  // "Ystafell Llys 1 Wrecsam, Wrexham Courtroom 1" -> "Wrexham Courtroom 1"
+  value = value.replace(/^ystafell llys[^,]*,\s*/i, '');
+  return value.replace(/[\s,]+$/, '');
+}
+
+/**
+ * Função para atualizar a sessão atual a partir de um cabeçalho da lista.
+ * Textos que não são de juiz nem de sala deixam a sessão como está.
+ *
+ * @param {object} sitting - Sessão atual ({ judge, judgeRank, courtroom }).
+ * @param {string} text - Texto do cabeçalho.
+ * @returns {object} Sessão atualizada (novo objeto quando algo muda).
+ */
+function updateSitting(sitting, text) {
+  if (BEFORE_PATTERN.test(text)) {
+    // "Before: TBC" também troca de bloco: o juiz anterior não vale mais
+    const parsed = parseJudge(text) || { judge: '', rank: '' };
+    return { ...sitting, judge: parsed.judge, judgeRank: parsed.rank };
+  }
+
+  const courtroom = parseCourtroom(text);
+  return courtroom ? { ...sitting, courtroom } : sitting;
+}
+
+/**
+ * Função para ler a sessão do título da página
+ * ("CourtServe: Slough County Court, PCOL 10.30 Dep. DJ Cheeseman 21/11/24").
+ *
+ * @param {string} title - Título da página.
+ * @returns {{judge: string, judgeRank: string, session: string}} Juiz, cargo e sessão ('' quando ausentes).
+ */
+function sittingFromTitle(title) {
+  const list = String(title || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^.*?County Court,?\s*/i, '')
+    .replace(/\s*\d{1,2}\/\d{1,2}\/\d{2,4}.*$/, '')
+    .trim();
+
+  const pcol = /\bPCOL\b/i.test(list) ? 'PCOL' : '';
+  const time = list.match(/\b(\d{1,2})[.:](\d{2})\b/);
+  const period = list.match(/\b(AM|PM)\b/);
+  const session = [pcol, time ? `${time[1].padStart(2, '0')}:${time[2]}` : '', period ? period[1] : ''].filter(Boolean).join(' ');
+
+  const judgeText = list
+    .replace(/\bPCOL\b/gi, '')
+    .replace(/\b\d{1,2}[.:]\d{2}\b/, '')
+    .replace(/\b(AM|PM)\b/, '')
+    .trim();
+  const parsed = parseJudge(judgeText);
+
+  return {
+    judge: parsed ? parsed.judge : '',
+    judgeRank: parsed ? parsed.rank : '',
+    session,
+  };
+}
+
+/**
+ * Função para preparar a sessão de cada tabela da página: os cabeçalhos de juiz
+ * e sala que aparecem antes da tabela, na ordem do documento, atualizam a sessão
+ * recebida (normalmente a do título).
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} base - Sessão inicial ({ judge, judgeRank, courtroom, session }).
+ * @returns {function(object): object} Função que recebe o elemento da tabela e retorna a sessão.
+ */
+function sittingsBeforeTables($, base) {
+  const order = new Map();
+  $('*').each((i, elem) => {
+    order.set(elem, i);
+  });
+
+  const headings = [];
+  $('p, td, th').each((i, elem) => {
+    if ($(elem).find('p, td, th').length > 0) return;
+
+    const text = $(elem).text().replace(/\s+/g, ' ').trim();
+    if (BEFORE_PATTERN.test(text) || parseCourtroom(text)) {
+      headings.push({ order: order.get(elem), text });
+    }
+  });
+
+  return (table) => headings
+    .filter((heading) => heading.order < order.get(table))
+    .reduce((sitting, heading) => updateSitting(sitting, heading.text), base);
+}
+
+/**
+ * Função para montar as colunas da sessão de uma linha.
+ *
+ * @param {object} sitting - Sessão ({ judge, judgeRank, courtroom, session }).
+ * @returns {object} Colunas 'Judge', 'Judge Rank', 'Courtroom' e 'Session'.
+ */
+function sittingColumns(sitting) {
+  return {
+    'Judge': sitting.judge || '',
+    'Judge Rank': sitting.judgeRank || '',
+    'Courtroom': sitting.courtroom || '',
+    'Session': sitting.session || '',
+  };
+}
+
+module.exports = {
+  parseJudge,
+  parseCourtroom,
+  updateSitting,
+  sittingFromTitle,
+  sittingsBeforeTables,
+  sittingColumns,
+};
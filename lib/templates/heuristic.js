@@ -0,0 +1,230 @@
+const { tableGrid, rowHeading } = require('../helpers');
+const { parseStartTime } = require('../dates');
+const { updateSitting, sittingColumns } = require('../sittings');
+const { logger } = require('../logger');
+
+/**
+ * Template genérico, para os layouts que nenhum outro template reconhece.
+ *
+ * Não é escolhido pela detecção (a pontuação é sempre 0): o `parseCauseList` só
+ * o usa quando nenhum template reconhece a página ou as tabelas dela. As colunas
+ * são deduzidas pelo conteúdo das linhas que têm um número de processo (horário,
+ * partes separadas por "v", duração...), e não pelos cabeçalhos, que variam.
+ *
+ * As linhas saem com 'Extraction' = 'heuristic' (baixa confiança) e o mapeamento
+ * deduzido fica nos metadados e no relatório, para virar um template de verdade.
+ */
+
+// Número de processo: 7 a 10 letras e números, com pelo menos 3 números (L4PP1591, K00XX123, 3QT12345)
+const CLAIM_NUMBER = /^(?=(?:[A-Z]*\d){3})(?=\d*[A-Z])[A-Z0-9]{7,10}$/;
+
+// Conteúdo esperado em cada campo, na ordem em que as colunas são escolhidas
+const FIELDS = {
+  claimNumber: (text) => CLAIM_NUMBER.test(text.split(' ')[0]),
+  startTime: (text) => parseStartTime(text) !== '',
+  parties: (text) => /\s-?vs?\.?-?\s/i.test(text),
+  duration: (text) => /^\d+\s*(mins?|minutes?|hours?|hrs?)\b/i.test(text),
+  hearingChannel: (text) => /^(in person|video|telephone|by telephone|remote|hybrid|cvp|attended)\b/i.test(text),
+  hearingType: (text) => /hearing|possession|disposal|trial|review|application|directions|appointment|case management|assessment/i.test(text),
+};
+
+// Cabeçalhos das partes quando ficam em colunas separadas (sem "v")
+const PARTY_HEADERS = {
+  claimant: /claimant|applicant|plaintiff/i,
+  defendant: /defendant|respondent/i,
+};
+
+// Fração mínima das linhas com processo que precisam casar com o campo
+const MIN_SCORE = 0.5;
+
+/**
+ * Função para pontuar a página: o template genérico nunca vence a detecção.
+ *
+ * @returns {number} Sempre 0.
+ */
+function detect() {
+  return 0;
+}
+
+/**
+ * Função para obter o texto de uma célula da grade, se ela começar nessa posição
+ * e não tiver uma tabela aninhada (as de layout, que englobam a lista toda).
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {number} rowIndex - Índice da linha.
+ * @param {number} column - Índice da coluna.
+ * @returns {string} Texto da célula ou ''.
+ */
+function cellText($, gridRow, rowIndex, column) {
+  const entry = gridRow[column];
+  if (!entry || !entry.cell || entry.row !== rowIndex || (column > 0 && gridRow[column - 1] === entry)) {
+    return '';
+  }
+  return $(entry.cell).find('table').length > 0 ? '' : entry.text;
+}
+
+/**
+ * Função para deduzir as colunas de uma tabela pelo conteúdo das linhas com processo.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {object|null} Mapeamento ({ columns, scores, headers, rows }) ou null se a
+ *   tabela não tiver números de processo.
+ */
+function inferMapping($, table) {
+  const grid = tableGrid($, table);
+  const width = Math.max(0, ...grid.map((gridRow) => gridRow.length));
+  const texts = grid.map((gridRow, i) => Array.from({ length: width }, (value, column) => cellText($, gridRow, i, column)));
+
+  const dataRows = texts.map((row, i) => i).filter((i) => texts[i].some(FIELDS.claimNumber));
+  if (dataRows.length === 0) {
+    return null;
+  }
+
+  const score = (field, column) => dataRows.filter((i) => texts[i][column] && FIELDS[field](texts[i][column])).length / dataRows.length;
+
+  // Cabeçalho: a linha com várias células logo acima da primeira linha com processo
+  const headerRow = texts
+    .slice(0, dataRows[0])
+    .reverse()
+    .find((row) => row.filter(Boolean).length >= 2);
+
+  const columns = {};
+  const scores = {};
+  const used = new Set();
+
+  Object.keys(FIELDS).forEach((field) => {
+    let best = null;
+    let bestScore = 0;
+
+    for (let column = 0; column < width; column++) {
+      // As partes podem vir na mesma célula do processo ("K00XX123 Smith v Jones")
+      const shared = field === 'parties' && column === columns.claimNumber;
+      if (used.has(column) && !shared) continue;
+
+      const value = score(field, column);
+      if (value > bestScore) {
+        best = column;
+        bestScore = value;
+      }
+    }
+
+    if (best !== null && bestScore >= MIN_SCORE) {
+      columns[field] = best;
+      scores[field] = Math.round(bestScore * 100) / 100;
+      used.add(best);
+    }
+  });
+
+  // Sem "v", as partes só são lidas se o cabeçalho indicar as colunas
+  if (columns.parties === undefined && headerRow) {
+    Object.entries(PARTY_HEADERS).forEach(([field, pattern]) => {
+      const column = headerRow.findIndex((text, index) => text && pattern.test(text) && !used.has(index));
+      if (column !== -1) {
+        columns[field] = column;
+        used.add(column);
+      }
+    });
+  }
+
+  const headers = {};
+  Object.entries(columns).forEach(([field, column]) => {
+    headers[field] = headerRow ? headerRow[column] : '';
+  });
+
+  return { columns, scores, headers, rows: dataRows.length };
+}
+
+/**
+ * Função para verificar se a tabela tem linhas com número de processo.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {boolean} true se a tabela deve ser processada.
+ */
+function matchesTable($, table) {
+  return inferMapping($, table) !== null;
+}
+
+/**
+ * Função para separar as partes de um texto "Requerente v Requerido".
+ *
+ * @param {string} text - Texto com as partes.
+ * @returns {{claimant: string, defendant: string}} Partes ('' quando não há "v").
+ */
+function splitParties(text) {
+  const parts = text.split(/\s+-?vs?\.?-?\s+/i);
+  if (parts.length < 2) {
+    return { claimant: text, defendant: '' };
+  }
+  return { claimant: parts[0].trim(), defendant: parts.slice(1).join(' v ').trim() };
+}
+
+/**
+ * Função para extrair as linhas de uma tabela de layout desconhecido.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @param {string} courtName - Nome do tribunal.
+ * @param {string} courtDate - Data do tribunal (DD/MM/YYYY).
+ * @returns {Array} Array de objetos com os dados extraídos.
+ */
+function extractRows($, table, courtName, courtDate) {
+  const mapping = inferMapping($, table);
+  if (!mapping) {
+    return [];
+  }
+
+  logger.debug('Column mapping inferred', { template: 'heuristic', ...mapping });
+
+  const titlename = $('title').text().trim();
+  const { columns } = mapping;
+  const data = [];
+  let sitting = {};
+
+  tableGrid($, table).forEach((gridRow, i) => {
+    const heading = rowHeading($, gridRow, i);
+    if (heading) {
+      sitting = updateSitting(sitting, heading);
+    }
+
+    const value = (field) => (columns[field] === undefined ? '' : cellText($, gridRow, i, columns[field]));
+
+    const caseDetails = value('claimNumber');
+    const claimNumber = caseDetails.split(' ')[0];
+    if (!CLAIM_NUMBER.test(claimNumber)) return;
+
+    let parties = { claimant: value('claimant'), defendant: value('defendant') };
+    if (columns.parties !== undefined) {
+      parties = splitParties(columns.parties === columns.claimNumber ? caseDetails.slice(claimNumber.length).trim() : value('parties'));
+    }
+
+    data.push({
+      'Court Name': courtName || '',
+      'Court Date': courtDate || '',
+      'Claim Number': claimNumber,
+      'Claimant': parties.claimant || 'Not Provided',
+      'Defendant': parties.defendant || 'Not Provided',
+      'Duration': value('duration') || 'Not Provided',
+      'Hearing Type': value('hearingType') || 'Not Provided',
+      'Hearing Channel': value('hearingChannel') || 'Not Provided',
+      'Start Time': parseStartTime(value('startTime')),
+      ...sittingColumns(sitting),
+      'Case Type': 'Not Provided',
+      'Title': titlename,
+      'Extraction': 'heuristic',
+    });
+  });
+
+  return data;
+}
+
+module.exports = {
+  name: 'heuristic',
+  fallback: true,
+  detect,
+  matchesTable,
+  extractRows,
+  inferMapping,
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+/**
+ * Registro de templates.
+ *
+ * Cada arquivo desta pasta (exceto este) é um template autocontido que exporta:
+ * - name: identificador do template (ex.: 'template5');
+ * - detect(context): pontuação da página, onde context = { $, text };
+ * - matchesTable($, table): se a tabela contém dados do template;
+ * - extractRows($, table, courtName, courtDate): linhas extraídas da tabela;
+ * - fallback (opcional): true no template genérico (heuristic.js), usado quando
+ *   nenhum outro reconhece a página ou as tabelas dela.
+ *
+ * Os templates não descartam linhas por tipo de processo: o filtro
+ * configurável (lib/filters.js) é aplicado depois, igual para todos.
+ *
+ * Para suportar um novo layout do CourtServe basta criar um novo arquivo aqui.
+ */
+
+const templates = [];
+
+/**
+ * Função para registrar um template, validando a interface esperada.
+ *
+ * @param {object} template - Módulo do template.
+ */
+function registerTemplate(template) {
+  const missing = ['detect', 'matchesTable', 'extractRows'].filter(
+    (key) => typeof template[key] !== 'function'
+  );
+
+  if (!template.name || missing.length > 0) {
+    throw new Error(`Invalid template (${template.name || 'unnamed'}): missing ${missing.join(', ') || 'name'}`);
+  }
+
+  if (getTemplate(template.name)) {
+    throw new Error(`Template already registered: ${template.name}`);
+  }
+
+  templates.push(template);
+}
+
+/**
+ * Função para obter um template registrado pelo nome.
+ *
+ * @param {string} name - Identificador do template.
+ * @returns {object|null} Template encontrado ou null.
+ */
+function getTemplate(name) {
+  return templates.find((template) => template.name === name) || null;
+}
+
+/**
+ * Função para listar os templates registrados.
+ *
+ * @returns {Array<object>} Templates na ordem de registro.
+ */
+function getTemplates() {
+  return templates.slice();
+}
+
+/**
+ * Função para obter o template genérico, usado quando nenhum outro serve.
+ *
+ * @returns {object|null} Template com `fallback` ou null se não houver.
+ */
+function getFallbackTemplate() {
+  return templates.find((template) => template.fallback) || null;
+}
+
+/**
+ * Função para identificar o template de uma página.
+ * Todos os templates registrados são pontuados e vence o de maior pontuação;
+ * em caso de empate, vence o registrado primeiro.
+ *
+ * @param {object|string} html - Instância do cheerio ou conteúdo HTML.
+ * @returns {object|null} Template com maior pontuação ou null se nenhum reconhecer a página.
+ */
+function detectTemplate(html) {
+  const $ = typeof html === 'string' ? cheerio.load(html) : html;
+
+  // Converter todo o texto para minúsculas e remover espaços extras
+  const context = {
+    $,
+    text: $('body').text().toLowerCase().replace(/\s+/g, ' '),
+  };
+
+  let best = null;
+  let bestScore = 0;
+
+  templates.forEach((template) => {
+    const score = template.detect(context);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .forEach((file) => registerTemplate(require(path.join(__dirname, file))));
+
+module.exports = {
+  registerTemplate,
+  getTemplate,
+  getTemplates,
+  getFallbackTemplate,
+  detectTemplate,
+};
@@ -0,0 +1,157 @@
+const { normalizeText } = require('../helpers');
+const { parseStartTime } = require('../dates');
+const { logger } = require('../logger');
+
+/**
+ * Template4: tabela com cabeçalhos separados para 'Claim Number', 'Claimant' e 'Defendant'
+ * (ex.: listas PCOL de Nottingham).
+ */
+
+/**
+ * Função para pontuar o quanto a página se parece com o template4.
+ *
+ * @param {object} context - Contexto da página ({ $, text }).
+ * @returns {number} Pontuação da detecção (0 se não reconhecido).
+ */
+function detect({ $, text }) {
+  const headers = $('table')
+    .find('th, td')
+    .map(function () {
+      return normalizeText($(this).text());
+    })
+    .get();
+
+  const hasClaimNumberHeader = headers.some((header) => /^claim\s*number$/i.test(header));
+  const hasClaimantHeader = headers.some((header) => /^(claimant|applicant|petitioner)$/i.test(header));
+  const hasDefendantHeader = headers.some((header) => /^(defendant|respondent)$/i.test(header));
+
+  if (!hasClaimNumberHeader || !hasClaimantHeader || !hasDefendantHeader) {
+    return 0;
+  }
+
+  let score = 3;
+
+  // Layout original do template4 (Nottingham, Court Room 7)
+  if (/nottingham/i.test(text) && /wigham/i.test(text) && /court\s*room\s*7/i.test(text)) {
+    score += 2;
+  }
+
+  return score;
+}
+
+/**
+ * Função para verificar se a tabela contém dados do template4.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {boolean} true se a tabela deve ser processada.
+ */
+function matchesTable($, table) {
+  const tableText = table.text().toLowerCase();
+  return (
+    /claim\s*number/i.test(tableText) &&
+    /(claimant|applicant|petitioner)/i.test(tableText)
+  );
+}
+
+/**
+ * Função para extrair dados da tabela para o template4.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @param {string} courtName - Nome do tribunal.
+ * @param {string} courtDate - Data do tribunal (DD/MM/YYYY).
+ * @returns {Array} Array de objetos com os dados extraídos.
+ */
+function extractRows($, table, courtName, courtDate) {
+  let titlename = '';
+  // pegar o título com base no template
+  titlename = $('title').text().trim(); // Seleciona o título para o template
+  const data = [];
+  const rows = table.find('tr');
+
+  let headersIndex = {};
+
+  rows.each((i, row) => {
+    const cells = $(row).find('th, td');
+    const cellsText = [];
+
+    cells.each((j, cell) => {
+      let cellText = $(cell).text().trim();
+      cellText = cellText.replace(/\s+/g, ' ');
+      cellsText.push(cellText);
+    });
+
+    // Identificar os índices dos cabeçalhos
+    if (
+      cellsText.some((text) => /claim\s*number/i.test(normalizeText(text)))
+    ) {
+      // Mapear os índices dos cabeçalhos considerando o colspan
+      let logicalIndex = 0;
+
+      cells.each((j, cell) => {
+        let headerText = normalizeText($(cell).text());
+        let colspan = parseInt($(cell).attr('colspan')) || 1;
+
+        if (/claim\s*number/i.test(headerText)) {
+          headersIndex.claimNumber = logicalIndex;
+        } else if (/^time$/i.test(headerText)) {
+          headersIndex.time = logicalIndex;
+        } else if (/^(claimant|applicant|petitioner)$/i.test(headerText)) {
+          headersIndex.claimant = logicalIndex;
+        } else if (/^(defendant|respondent)$/i.test(headerText)) {
+          headersIndex.defendant = logicalIndex;
+        }
+
+        logicalIndex += colspan;
+      });
+
+      logger.debug('Header map found', { template: 'template4', headers: headersIndex });
+    } else if (cellsText.length > 1 && Object.keys(headersIndex).length > 0) {
+      // Verificar se a linha é uma linha de dados válida
+      if (cellsText.every((text) => text === '')) return;
+
+      // Extrair dados das linhas de dados
+      const claimNumber = cellsText[headersIndex.claimNumber] || '';
+      const time = headersIndex.time === undefined ? '' : cellsText[headersIndex.time] || '';
+      let claimant = cellsText[headersIndex.claimant] || '';
+      let defendant = cellsText[headersIndex.defendant] || '';
+      claimant = claimant.replace(/\|/g, '');
+      defendant = defendant.replace(/\|/g, '');
+
+      logger.debug('Row extracted', {
+        template: 'template4',
+        row: i,
+        time,
+        claimNumber,
+        claimant,
+        defendant,
+      });
+
+      const rowData = {
+        'Court Name': courtName || '',
+        'Court Date': courtDate || '',
+        'Claim Number': claimNumber || '',
+        'Claimant': claimant || '',
+        'Defendant': defendant || '',
+        'Duration': 'Not Provided',
+        'Hearing Type': 'Not Provided',
+        'Hearing Channel': 'Not Provided',
+        'Start Time': parseStartTime(time),
+        'Case Type': 'Not Provided',
+        'Title': titlename,
+      };
+
+      data.push(rowData);
+    }
+  });
+
+  return data;
+}
+
+module.exports = {
+  name: 'template4',
+  detect,
+  matchesTable,
+  extractRows,
+};
@@ -0,0 +1,201 @@
+const { normalizeText } = require('../helpers');
+const { parseStartTime } = require('../dates');
+const { logger } = require('../logger');
+
+/**
+ * Template4a: listas PCOL com cabeçalho agrupado 'Claim Number Claimant'
+ * e partes separadas por parágrafos dentro da mesma célula (ex.: Bromley).
+ */
+
+/**
+ * Função para pontuar o quanto a página se parece com o template4a.
+ * A simples menção a 'claim number' vale pouco, para que templates mais
+ * específicos vençam quando também reconhecerem a página.
+ *
+ * @param {object} context - Contexto da página ({ $, text }).
+ * @returns {number} Pontuação da detecção (0 se não reconhecido).
+ */
+function detect({ $, text }) {
+  const isCourtServePage = normalizeText($('title').text()).includes('courtserve');
+
+  const hasTimeHeader = $('table')
+    .find('th, td')
+    .filter(function () {
+      return normalizeText($(this).text()) === 'time';
+    }).length > 0;
+
+  const hasClaimNumberClaimantHeader = $('table')
+    .find('th, td')
+    .filter(function () {
+      return normalizeText($(this).text()).includes('claim number') && $(this).text().toLowerCase().includes('claimant');
+    }).length > 0;
+
+  const hasDefendantHeader = $('table')
+    .find('th, td')
+    .filter(function () {
+      return normalizeText($(this).text()).includes('defendant');
+    }).length > 0;
+
+  const hasGenericKeywords = /(hearing room|deputy district judge|sitting at|court room|magistrates court)/i.test(text);
+
+  if (hasClaimNumberClaimantHeader) {
+    let score = 3;
+    if (isCourtServePage && hasTimeHeader && hasDefendantHeader && hasGenericKeywords) {
+      score += 1;
+    }
+    return score;
+  }
+
+  // Regra genérica: qualquer menção a 'claim number'
+  return /claim\s*number/i.test(text) ? 1 : 0;
+}
+
+/**
+ * Função para verificar se a tabela contém dados do template4a.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {boolean} true se a tabela deve ser processada.
+ */
+function matchesTable($, table) {
+  const tableText = normalizeText(table.text());
+
+  // Ajuste para detectar um número de processo com pelo menos quatro caracteres seguido de nomes
+  const hasClaimPattern = /\b[a-z0-9]{4,}\b\s+[a-z]+\s+[a-z]+/i.test(tableText);
+  return (
+    /time\s+claim\s*number\s+claimant\s+defendant/i.test(tableText) ||
+    hasClaimPattern
+  );
+}
+
+/**
+ * Função para extrair dados da tabela para o template4a.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @param {string} courtName - Nome do tribunal.
+ * @param {string} courtDate - Data do tribunal (DD/MM/YYYY).
+ * @returns {Array} Array de objetos com os dados extraídos.
+ */
+function extractRows($, table, courtName, courtDate) {
+  let titlename = '';
+  // pegar o título com base no template
+  titlename = $('title').text().trim(); // Seleciona o título para o template
+  const data = [];
+  const rows = table.find('tr');
+
+  let headersIndex = {};
+  let lastTime = '';
+
+  rows.each((i, row) => {
+    let cells = $(row).find('th, td');
+    let cellsText = [];
+
+    cells.each((j, cell) => {
+      // Extrair o texto de cada parágrafo dentro da célula
+      let cellLines = [];
+      $(cell)
+        .find('p')
+        .each((k, p) => {
+          let lineText = $(p).text().trim().replace(/\s+/g, ' ');
+          if (lineText) cellLines.push(lineText); // Adicionar apenas se não estiver vazio
+        });
+
+      // Concatenar as linhas individuais em uma string final para a célula
+      cellsText.push(cellLines.join(' | ')); // Usar ' | ' para separar linhas internas
+    });
+
+    // Identificar os índices dos cabeçalhos
+    if (
+      cellsText.some((text) =>
+        /claim\s*number claimant/i.test(normalizeText(text))
+      )
+    ) {
+      // Mapear os índices dos cabeçalhos considerando o colspan
+      let logicalIndex = 0;
+
+      cells.each((j, cell) => {
+        let headerText = normalizeText($(cell).text());
+        let colspan = parseInt($(cell).attr('colspan')) || 1;
+
+        if (/^claim\s*number claimant$/i.test(headerText)) {
+          headersIndex.claimNumber = logicalIndex;
+          headersIndex.claimant = logicalIndex + 1;
+        } else if (/^time$/i.test(headerText)) {
+          headersIndex.time = logicalIndex;
+        } else if (/^(defendant|respondent)$/i.test(headerText)) {
+          headersIndex.defendant = logicalIndex;
+        }
+
+        logicalIndex += colspan;
+      });
+
+      logger.debug('Header map found', { template: 'template4a', headers: headersIndex });
+    } else if (cellsText.length > 1 && Object.keys(headersIndex).length > 0) {
+      // Linha de dados válida
+      if (cellsText.every((text) => text === '')) return;
+      function splitAtFirstPipe(text) {
+        const [firstPart, ...rest] = text.split(/ \| /);
+        return [firstPart.trim(), rest.join(' | ').trim()];
+      }
+      // Listas em bloco ("PCOL 14.00") só trazem o horário na primeira linha do bloco
+      const time = cellsText[0] || lastTime;
+      lastTime = time;
+      const claimNumber = cellsText[1] || '';
+
+      let claimant = '';
+      let defendant = '';
+
+      if (cellsText.length === 3) {
+        const claimantANDdefendant = cellsText[2] || '';
+        [claimant, defendant] = splitAtFirstPipe(claimantANDdefendant);
+
+        if (defendant === '') {
+          defendant = 'Not Provided';
+        }
+        if (claimant === '') {
+          claimant = 'Not Provided';
+        }
+      } else {
+        claimant = cellsText[2] || 'Not Provided';
+        defendant = cellsText[3] || 'Not Provided';
+        claimant = claimant.replace(/\|/g, '');
+        defendant = defendant.replace(/\|/g, '');
+      }
+
+      logger.debug('Row extracted', {
+        template: 'template4a',
+        row: i,
+        cells: cellsText,
+        claimNumber,
+        claimant,
+        defendant,
+      });
+
+      const rowData = {
+        'Court Name': courtName || '',
+        'Court Date': courtDate || '',
+        'Claim Number': claimNumber || 'Not Provided',
+        'Claimant': claimant || 'Not Provided',
+        'Defendant': defendant || 'Not Provided',
+        'Duration': 'Not Provided',
+        'Hearing Type': 'Not Provided',
+        'Hearing Channel': 'Not Provided',
+        'Start Time': parseStartTime(time),
+        'Case Type': 'Not Provided',
+        'Title': titlename,
+      };
+
+      data.push(rowData);
+    }
+  });
+
+  return data;
+}
+
+module.exports = {
+  name: 'template4a',
+  detect,
+  matchesTable,
+  extractRows,
+};
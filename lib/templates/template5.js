@@ -0,0 +1,223 @@
+const { tableGrid, mapHeaders, readColumns, readColumnParagraphs, rowHeading } = require('../helpers');
+const { parseStartTime } = require('../dates');
+const { updateSitting, sittingColumns } = require('../sittings');
+const { logger } = require('../logger');
+
+/**
+ * Template5: listas do HMCTS com colunas 'Start Time', 'Duration', 'Case Details',
+ * 'Hearing Type' e 'Hearing Channel', inclusive na versão bilíngue galês/inglês.
+ */
+
+// Cabeçalhos das colunas, só em inglês ou em galês e inglês ("Amser Cychwyn, Start Time")
+const HEADERS = {
+  startTime: /^(amser\s*cychwyn,?\s*)?start\s*time$|^amser\s*cychwyn$/i,
+  duration: /^(hyd,?\s*)?duration$|^hyd$/i,
+  caseDetails: /^(manylion\s*yr\s*achos,?\s*)?case\s*details?$|^manylion\s*yr\s*achos$/i,
+  hearingType: /^(math\s*o\s*wrandawiad,?\s*)?hearing\s*type$|^math\s*o\s*wrandawiad$/i,
+  hearingChannel: /^(sianel\s*(clyw|y\s*gwrandawiad),?\s*)?hearing\s*channel$|^sianel\s*(clyw|y\s*gwrandawiad)$/i,
+};
+
+// Cabeçalhos que a página precisa ter, em inglês ou em galês
+const REQUIRED_HEADERS = [
+  /start\s*time|amser\s*cychwyn/i,
+  /duration|\bhyd\b/i,
+  /case\s*details?|manylion\s*yr\s*achos/i,
+  /hearing\s*type|math\s*o\s*wrandawiad/i,
+  /hearing\s*channel|sianel\s*(clyw|y\s*gwrandawiad)/i,
+];
+
+// Parágrafo de 'Case Details' que começa com um número de processo (L4PP3047, K00HD595...)
+const CASE_PARAGRAPH = /^(?=[A-Z]*\d)[A-Z0-9]{6,12}\s/;
+
+/**
+ * Função para separar as audiências de uma linha que traz uma audiência por parágrafo
+ * em cada célula (Huddersfield, por exemplo). Os parágrafos vazios de espaçamento não
+ * coincidem entre as colunas, então a n-ésima audiência usa o n-ésimo parágrafo com
+ * texto de cada coluna, ou o n-ésimo bloco quando o texto ocupa vários parágrafos;
+ * uma coluna com um só bloco vale para todas.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {Array<object>} gridRow - Linha da grade (`tableGrid`).
+ * @param {object} columns - Colunas de cada campo (`mapHeaders`).
+ * @param {number} headerRow - Índice da linha do cabeçalho.
+ * @param {object} values - Campos da linha inteira (`readColumns`).
+ * @returns {Array<object>} Campos de cada audiência (só `values` se a linha tiver uma).
+ */
+function splitHearings($, gridRow, columns, headerRow, values) {
+  const paragraphs = readColumnParagraphs($, gridRow, columns, headerRow);
+  const cases = (paragraphs.caseDetails || []).flat();
+  if (cases.length < 2 || !cases.every((text) => CASE_PARAGRAPH.test(text))) {
+    return [values];
+  }
+
+  return cases.map((caseDetails, index) => {
+    const hearing = { caseDetails };
+    Object.entries(paragraphs).forEach(([field, blocks]) => {
+      if (field === 'caseDetails') return;
+      const texts = blocks.flat();
+      // Um parágrafo por audiência; senão, um bloco por audiência (textos quebrados em linhas)
+      if (texts.length === cases.length) hearing[field] = texts[index];
+      else if (blocks.length === cases.length) hearing[field] = blocks[index].join(' ');
+      else if (blocks.length === 1) hearing[field] = texts.join(' ');
+      else hearing[field] = '';
+    });
+    return hearing;
+  });
+}
+
+/**
+ * Função para pontuar o quanto a página se parece com o template5.
+ *
+ * @param {object} context - Contexto da página ({ $, text }).
+ * @returns {number} Pontuação da detecção (0 se não reconhecido).
+ */
+function detect({ text }) {
+  return REQUIRED_HEADERS.every((pattern) => pattern.test(text)) ? REQUIRED_HEADERS.length : 0;
+}
+
+/**
+ * Função para verificar se a tabela contém dados do template5.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {boolean} true se a tabela deve ser processada.
+ */
+function matchesTable($, table) {
+  const tableText = table.text().toLowerCase().replace(/\s+/g, ' ');
+  return REQUIRED_HEADERS.every((pattern) => pattern.test(tableText));
+}
+
+/**
+ * Função para extrair dados da tabela para o template5.
+ * Cada campo é lido pela coluna do seu cabeçalho, considerando colspan e rowspan:
+ * as células vazias de layout variam de lista para lista. Uma linha com várias
+ * audiências, uma por parágrafo, vira uma linha por audiência.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @param {string} courtName - Nome do tribunal.
+ * @param {string} courtDate - Data do tribunal (DD/MM/YYYY).
+ * @returns {Array} Array de objetos com os dados extraídos.
+ */
+function extractRows($, table, courtName, courtDate) {
+  let titlename = '';
+  // pegar o título com base no template
+  titlename = $('title').text().trim(); // Seleciona o título para o template
+  const data = [];
+
+  let headersIndex = null;
+  let headerRow = -1;
+  let sitting = {};
+  let previous = null;
+
+  tableGrid($, table).forEach((gridRow, i) => {
+    // Títulos dos blocos ("Before: ...", "Hearing Room 03"): juiz e sala das linhas seguintes
+    const heading = rowHeading($, gridRow, i);
+    if (heading) {
+      sitting = updateSitting(sitting, heading);
+    }
+
+    const cellsText = gridRow.map((entry) => entry.text);
+
+    // Ignora linhas que contêm "Party Name" ou "Parties Suppressed"
+    if (cellsText.some((text) => /party\s*name|parties\s*suppressed/i.test(text))) {
+      return;
+    }
+
+    // Identificar os cabeçalhos como 'Start Time', 'Duration', 'Case Details', 'Hearing Type' e 'Hearing Channel'
+    const headers = mapHeaders($, gridRow, HEADERS);
+    if (headers.startTime && headers.caseDetails) {
+      headersIndex = headers;
+      headerRow = i;
+      previous = null;
+
+      logger.debug('Header map found', { template: 'template5', headers: headersIndex });
+    } else if (headersIndex && headersIndex.caseDetails) {
+      const row = readColumns(gridRow, headersIndex, headerRow);
+      if (!row.caseDetails) return;
+
+      splitHearings($, gridRow, headersIndex, headerRow, row).forEach((values) => {
+        let caseDetails = values.caseDetails;
+        const claimNumber = caseDetails.split(' ')[0];
+
+        // Avisos no lugar do processo ("Small Claims Paper Disposals", "Arrest ...") não têm número nem tipo
+        if (!/\d/.test(claimNumber) && !values.hearingType) return;
+
+        // Processo vinculado, listado logo abaixo sem horário: a audiência é a mesma da linha anterior
+        if (!values.startTime && !values.hearingType && previous) {
+          ['startTime', 'duration', 'hearingType', 'hearingChannel'].forEach((field) => {
+            values[field] = values[field] || previous[field];
+          });
+        }
+        previous = values;
+
+        const { startTime, duration, hearingType, hearingChannel } = values;
+
+        caseDetails = caseDetails.replace(/^[A-Z0-9]+ /, '');
+
+        let claimant = '';
+        let defendant = '';
+
+        // Separar o texto do 'caseDetails' para identificar o 'Claimant' e 'Defendant'
+        if (/\s+(v|vs)\s+/i.test(caseDetails) || /\s+(-v-|-vs-)\s+/i.test(caseDetails)) {
+          let parts = caseDetails.split(/\s+(v|vs)\s+/i);
+          if (/\s+(-v-|-vs-)\s+/i.test(caseDetails)) {
+            parts = caseDetails.split(/\s+(-v-|-vs-)\s+/i);
+          }
+          if (parts.length >= 2) {
+            claimant = parts[0].trim();
+            defendant = parts[2].trim();
+            claimant = claimant.replace(/\|/g, '');
+            defendant = defendant.replace(/\|/g, '');
+          } else {
+            claimant = parts[0].trim();
+            defendant = 'Not Provided';
+            claimant = claimant.replace(/\|/g, '');
+            defendant = defendant.replace(/\|/g, '');
+          }
+        } else {
+          claimant = 'Not Provided';
+          defendant = 'Not Provided';
+        }
+
+        logger.debug('Row extracted', {
+          template: 'template5',
+          row: i,
+          startTime,
+          duration,
+          caseDetails,
+          hearingType,
+          hearingChannel,
+          claimant,
+          defendant,
+        });
+
+        const rowData = {
+          'Court Name': courtName || '',
+          'Court Date': courtDate || '',
+          'Claim Number': claimNumber || 'Not Provided',
+          'Claimant': claimant || 'Not Provided',
+          'Defendant': defendant || 'Not Provided',
+          'Duration': duration || 'Not Provided',
+          'Hearing Type': hearingType || 'Not Provided',
+          'Hearing Channel': hearingChannel || 'Not Provided',
+          'Start Time': parseStartTime(startTime),
+          ...sittingColumns(sitting),
+          'Case Type': 'Not Provided',
+          'Title': titlename,
+        };
+
+        data.push(rowData);
+      });
+    }
+  });
+
+  return data;
+}
+
+module.exports = {
+  name: 'template5',
+  detect,
+  matchesTable,
+  extractRows,
+};
@@ -0,0 +1,153 @@
+const { tableGrid, mapHeaders, readColumns, rowHeading } = require('../helpers');
+const { parseStartTime } = require('../dates');
+const { updateSitting, sittingColumns } = require('../sittings');
+const { logger } = require('../logger');
+
+/**
+ * Template7: listas com colunas 'Time', 'Case Ref', 'Case Name', 'Case Type',
+ * 'Duration', 'Hearing Type' e 'Hearing Platform' (ex.: Oxford, Slough).
+ */
+
+// Cabeçalhos das colunas
+const HEADERS = {
+  time: /^(start\s*)?time$/i,
+  caseRef: /^case\s*ref(erence)?$/i,
+  caseName: /^case\s*name$/i,
+  caseType: /^case\s*type$/i,
+  duration: /^duration$/i,
+  hearingType: /^hearing\s*type$/i,
+  hearingPlatform: /^hearing\s*(platform|channel)$/i,
+};
+
+/**
+ * Função para pontuar o quanto a página se parece com o template7.
+ *
+ * @param {object} context - Contexto da página ({ $, text }).
+ * @returns {number} Pontuação da detecção (0 se não reconhecido).
+ */
+function detect({ text }) {
+  if (!/case\s*ref/i.test(text) || !/case\s*name/i.test(text)) {
+    return 0;
+  }
+
+  let score = 4;
+  if (/case\s*type/i.test(text)) score += 1;
+  if (/hearing\s*platform/i.test(text)) score += 1;
+
+  return score;
+}
+
+/**
+ * Função para verificar se a tabela contém dados do template7.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @returns {boolean} true se a tabela deve ser processada.
+ */
+function matchesTable($, table) {
+  const tableText = table.text().toLowerCase();
+  return (
+    /case\s*ref/i.test(tableText) && /case\s*name/i.test(tableText)
+  );
+}
+
+/**
+ * Função para extrair dados da tabela para o template7.
+ * Cada campo é lido pela coluna do seu cabeçalho, considerando colspan e rowspan.
+ *
+ * @param {object} $ - Instância do cheerio.
+ * @param {object} table - Elemento da tabela.
+ * @param {string} courtName - Nome do tribunal.
+ * @param {string} courtDate - Data do tribunal (DD/MM/YYYY).
+ * @returns {Array} Array de objetos com os dados extraídos.
+ */
+function extractRows($, table, courtName, courtDate) {
+  let titlename = '';
+  // pegar o título com base no template
+  titlename = $('title').text().trim(); // Seleciona o título para o template
+  const data = [];
+
+  let headersIndex = null;
+  let headerRow = -1;
+  let sitting = {};
+
+  tableGrid($, table).forEach((gridRow, i) => {
+    // Títulos dos blocos ("Before: ...", "Hearing Room 03"): juiz e sala das linhas seguintes
+    const heading = rowHeading($, gridRow, i);
+    if (heading) {
+      sitting = updateSitting(sitting, heading);
+    }
+
+    const headers = mapHeaders($, gridRow, HEADERS);
+    if (headers.caseRef && headers.caseName) {
+      headersIndex = headers;
+      headerRow = i;
+
+      logger.debug('Header map found', { template: 'template7', headers: headersIndex });
+    } else if (headersIndex) {
+      const { time, caseRef, caseName, caseType, duration, hearingType, hearingPlatform } = readColumns(gridRow, headersIndex, headerRow);
+
+      // Linhas sem referência nem nome de processo são apenas de layout
+      if (!caseRef && !caseName) return;
+
+      let claimant = '';
+      let defendant = '';
+
+      if (/\s*v(?:s)?\s*/i.test(caseName)) {
+        const parts = caseName.split(/\s+(v|vs)\s+/i);
+        if (parts.length >= 2) {
+          claimant = parts[0].trim();
+          defendant = parts[2].trim();
+          claimant = claimant.replace(/\|/g, '');
+          defendant = defendant.replace(/\|/g, '');
+        } else {
+          claimant = parts[0].trim();
+          defendant = 'Not Provided';
+          claimant = claimant.replace(/\|/g, '');
+        }
+      } else {
+        claimant = 'Not Provided';
+        defendant = 'Not Provided';
+      }
+
+      logger.debug('Row extracted', {
+        template: 'template7',
+        row: i,
+        time,
+        caseRef,
+        claimant,
+        defendant,
+        caseType,
+        duration,
+        hearingType,
+        hearingPlatform,
+      });
+
+      const rowData = {
+        'Court Name': courtName || '',
+        'Court Date': courtDate || '',
+        'Claim Number': caseRef || '',
+        'Claimant': claimant || 'Not Provided',
+        'Defendant': defendant || 'Not Provided',
+        'Duration': duration || 'Not Provided',
+        'Hearing Type': hearingType || 'Not Provided',
+        'Hearing Channel': hearingPlatform || 'Not Provided',
+        'Start Time': parseStartTime(time),
+        ...sittingColumns(sitting),
+        'Case Type': caseType || 'Not Provided',
+        'Title': titlename,
+      };
+
+      data.push(rowData);
+    }
+  });
+
+  return data;
+}
+
+module.exports = {
+  name: 'template7',
+  detect,
+  matchesTable,
+  extractRows,
+};
@@ -0,0 +1,222 @@
+const { TYPE_LABELS, decodeClaimNumber } = require('./claimNumbers');
+const { fileNameDate } = require('./fileNames');
+
+/**
+ * Validação das linhas extraídas.
+ *
+ * Cada linha recebe uma pontuação de confiança ('Confidence', de 0 a 1) e a lista
+ * dos problemas encontrados ('Warnings'). Cada problema desconta um peso da pontuação:
+ * - 'claim-number-format': o número do processo não tem um formato conhecido;
+ * - 'claim-number-court-type': o tipo do processo não é o esperado no tipo de lista (PCOL, CCMCC);
+ * - 'date-missing' / 'date-mismatch': sem data, ou longe da data do nome do arquivo;
+ * - 'claimant-missing' / 'defendant-missing': parte não informada;
+ * - 'claimant-looks-like-header' / 'defendant-looks-like-header': a parte é um cabeçalho;
+ * - 'claimant-looks-like-time' / 'defendant-looks-like-time': a parte é um horário ou duração;
+ * - 'parties-duplicated': requerente e requerido iguais;
+ * - 'merged-hearings': a linha junta várias audiências (outro número de processo nas
+ *   partes, ou a duração, o tipo ou o canal repetidos: "15 minutes 15 minutes");
+ * - 'heuristic-extraction': a linha veio do template genérico.
+ *
+ * As linhas abaixo de uma confiança mínima podem ir para um arquivo de revisão
+ * (quarentena) em vez da saída.
+ */
+
+// Peso de cada problema na pontuação
+const PENALTIES = {
+  'claim-number-format': 0.4,
+  'claim-number-court-type': 0.2,
+  'date-missing': 0.3,
+  'date-mismatch': 0.3,
+  'claimant-missing': 0.2,
+  'defendant-missing': 0.1,
+  'claimant-looks-like-header': 0.4,
+  'defendant-looks-like-header': 0.4,
+  'claimant-looks-like-time': 0.4,
+  'defendant-looks-like-time': 0.4,
+  'parties-duplicated': 0.3,
+  'merged-hearings': 0.5,
+  'heuristic-extraction': 0.3,
+};
+
+// Tipos de processo (lib/claimNumbers.js) aceitos em cada tipo de lista
+const EXPECTED_TYPES = {
+  pcol: ['pcol'],
+  ccmcc: ['ccmcc', 'mcol'],
+  county: Object.keys(TYPE_LABELS),
+};
+
+// Textos de cabeçalho que às vezes caem no lugar das partes
+const HEADER_TEXT = /^(claimant|defendant|applicant|respondent|part(y|ies)( names?)?|case details?|start time|duration|hearing (type|channel))$/i;
+
+// Horários e durações no lugar das partes
+const TIME_TEXT = /^\d{1,2}[.:]\d{2}\s*(am|pm)?$|^\d+\s*(mins?|minutes?|hours?|hrs?)$/i;
+
+// Palavras com cara de número de processo (conferidas com `decodeClaimNumber`)
+const CLAIM_NUMBER_TOKEN = /\b(?=[A-Z]*\d)[A-Z0-9]{7,10}\b/g;
+
+// Valor repetido no mesmo campo ("15 minutes 15 minutes", "In Person In Person")
+const REPEATED_TEXT = /^(.+?)(?:\s+\1)+$/i;
+
+// Campos da audiência que trazem um só valor por linha
+const HEARING_FIELDS = ['Duration', 'Hearing Type', 'Hearing Channel'];
+
+// Diferença máxima, em dias, entre a data da linha e a do nome do arquivo
+// (listas baixadas na sexta para a segunda, por exemplo)
+const MAX_DATE_DISTANCE = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Confiança mínima padrão para a linha não ir para a quarentena
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+/**
+ * Função para identificar o tipo da lista pelo título.
+ *
+ * @param {string} title - Título da página.
+ * @returns {string} 'pcol', 'ccmcc' ou 'county'.
+ */
+function listType(title) {
+  if (/\bPCOL\b/i.test(title)) return 'pcol';
+  if (/\bCCMCC\b|money\s+claims?\s+cent/i.test(title)) return 'ccmcc';
+  return 'county';
+}
+
+/**
+ * Função para validar as partes da linha.
+ *
+ * @param {object} row - Linha extraída.
+ * @returns {Array<string>} Problemas encontrados.
+ */
+function partyWarnings(row) {
+  const warnings = [];
+  const value = (field) => String(row[field] || '').replace(/\s+/g, ' ').trim();
+  const provided = (text) => text !== '' && text !== 'Not Provided';
+
+  ['Claimant', 'Defendant'].forEach((field) => {
+    const side = field.toLowerCase();
+    const text = value(field);
+
+    if (!provided(text)) warnings.push(`${side}-missing`);
+    else if (HEADER_TEXT.test(text)) warnings.push(`${side}-looks-like-header`);
+    else if (TIME_TEXT.test(text)) warnings.push(`${side}-looks-like-time`);
+  });
+
+  const claimant = value('Claimant').toLowerCase();
+  if (provided(value('Claimant')) && claimant === value('Defendant').toLowerCase()) {
+    warnings.push('parties-duplicated');
+  }
+
+  return warnings;
+}
+
+/**
+ * Função para identificar uma linha que junta várias audiências: as células com um
+ * parágrafo por audiência, lidas como uma só, levam os números de processo seguintes
+ * para as partes e repetem a duração, o tipo e o canal.
+ *
+ * @param {object} row - Linha extraída.
+ * @returns {Array<string>} Problemas encontrados.
+ */
+function mergedWarnings(row) {
+  const value = (field) => String(row[field] || '').replace(/\s+/g, ' ').trim();
+
+  const claimNumbers = ['Claimant', 'Defendant'].some((field) =>
+    (value(field).match(CLAIM_NUMBER_TOKEN) || []).some((token) => decodeClaimNumber(token).type)
+  );
+  const repeated = HEARING_FIELDS.some((field) => REPEATED_TEXT.test(value(field)));
+
+  return claimNumbers || repeated ? ['merged-hearings'] : [];
+}
+
+/**
+ * Função para validar a data da linha contra a data do nome do arquivo.
+ *
+ * @param {object} row - Linha extraída.
+ * @param {string|null} fileDate - Data do nome do arquivo (YYYY-MM-DD).
+ * @returns {Array<string>} Problemas encontrados.
+ */
+function dateWarnings(row, fileDate) {
+  const match = String(row['Court Date'] || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (!match) {
+    return ['date-missing'];
+  }
+
+  if (!fileDate) {
+    return [];
+  }
+
+  const distance = Math.abs(Date.parse(`${match[3]}-${match[2]}-${match[1]}`) - Date.parse(fileDate)) / DAY_MS;
+  return distance > MAX_DATE_DISTANCE ? ['date-mismatch'] : [];
+}
+
+/**
+ * Função para validar uma linha.
+ *
+ * @param {object} row - Linha extraída.
+ * @param {object} [context] - Contexto da lista ({ fileDate }).
+ * @returns {{confidence: number, warnings: Array<string>}} Pontuação (0 a 1) e problemas.
+ */
+function validateRow(row, context = {}) {
+  const warnings = [];
+
+  const { type } = decodeClaimNumber(row['Claim Number']);
+  if (!type) {
+    warnings.push('claim-number-format');
+  } else if (!EXPECTED_TYPES[listType(row.Title || '')].includes(type)) {
+    warnings.push('claim-number-court-type');
+  }
+
+  warnings.push(...dateWarnings(row, context.fileDate || null));
+  warnings.push(...partyWarnings(row));
+  warnings.push(...mergedWarnings(row));
+
+  if (row.Extraction === 'heuristic') {
+    warnings.push('heuristic-extraction');
+  }
+
+  const penalty = warnings.reduce((total, warning) => total + PENALTIES[warning], 0);
+  return { confidence: Math.max(0, Math.round((1 - penalty) * 100) / 100), warnings };
+}
+
+/**
+ * Função para validar as linhas de uma lista, acrescentando as colunas
+ * 'Confidence' e 'Warnings' (problemas separados por "; ").
+ *
+ * @param {Array<object>} rows - Linhas extraídas.
+ * @param {string} [sourceName] - Nome do arquivo, para conferir as datas.
+ * @returns {Array<object>} Linhas com as colunas da validação.
+ */
+function validateRows(rows, sourceName = '') {
+  const context = { fileDate: fileNameDate(sourceName) };
+
+  return rows.map((row) => {
+    const { confidence, warnings } = validateRow(row, context);
+    return { ...row, 'Confidence': confidence, 'Warnings': warnings.join('; ') };
+  });
+}
+
+/**
+ * Função para separar as linhas abaixo da confiança mínima (quarentena).
+ *
+ * @param {Array<object>} rows - Linhas validadas.
+ * @param {number} minConfidence - Confiança mínima (0 a 1).
+ * @returns {{accepted: Array<object>, quarantined: Array<object>}} Linhas aceitas e em quarentena.
+ */
+function splitQuarantine(rows, minConfidence) {
+  const accepted = [];
+  const quarantined = [];
+
+  rows.forEach((row) => {
+    (Number(row.Confidence) < minConfidence ? quarantined : accepted).push(row);
+  });
+
+  return { accepted, quarantined };
+}
+
+module.exports = {
+  PENALTIES,
+  DEFAULT_MIN_CONFIDENCE,
+  validateRow,
+  validateRows,
+  splitQuarantine,
+};
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCauseList, transferToDirectory, defaultOutputFileName } = require('../scraper');
+const { getExporter, exporterForFile, appendRows } = require('./exporters');
+const { splitQuarantine, DEFAULT_MIN_CONFIDENCE } = require('./validation');
+const { inputExtensions, convertInput } = require('./inputs');
+const { loadHistory, saveHistory, markRows } = require('./history');
+const { logger } = require('./logger');
+
+/**
+ * Modo watch: processa as listas à medida que chegam na pasta de entrada
+ * (nos formatos aceitos por lib/inputs: HTML, MHTML e PDF).
+ *
+ * A pasta é monitorada com `fs.watch` e, por garantia, verificada a cada
+ * `pollMs`. Um arquivo só é processado quando o tamanho e a data de modificação
+ * ficam iguais por `settleMs` (o download terminou de gravá-lo). As linhas são
+ * acrescentadas à saída do dia (output_YYYY-MM-DD.csv), sem regerar o arquivo,
+ * e a lista vai para `checked_files` ou `unprocessed_files`, como no `runBatch`.
+ *
+ * Cada arquivo processado fica registrado, pelo hash do conteúdo, no arquivo de
+ * estado (watch_state.json): ao reiniciar, as listas que ainda estiverem na pasta
+ * (ex.: com `--files leave`) não são acrescentadas de novo.
+ */
+
+// Arquivos ainda sendo baixados pelo navegador
+const PARTIAL_FILE = /\.(crdownload|part|tmp|download)$/i;
+
+/**
+ * Função para carregar o estado do modo watch, ou criar um vazio.
+ *
+ * @param {string} file - Arquivo JSON do estado.
+ * @returns {object} Estado ({ files }), com os arquivos processados por hash.
+ */
+function loadWatchState(file) {
+  if (!fs.existsSync(file)) {
+    return { files: {} };
+  }
+
+  const state = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!state || typeof state.files !== 'object') {
+    throw new Error(`Invalid watch state file: ${file}`);
+  }
+
+  return state;
+}
+
+/**
+ * Função para gravar o estado do modo watch (via arquivo temporário, como o histórico).
+ *
+ * @param {object} state - Estado.
+ * @param {string} file - Arquivo JSON do estado.
+ */
+function saveWatchState(state, file) {
+  if (!fs.existsSync(path.dirname(file))) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(state, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Função para decidir o arquivo do dia de um formato.
+ * Com um arquivo em `output`, usa sempre esse arquivo; com uma pasta (ou sem
+ * `output`), usa o nome padrão com a data atual, que muda à meia-noite.
+ *
+ * @param {string|null} output - Arquivo ou pasta de saída.
+ * @param {object} exporter - Exportador do formato.
+ * @param {boolean} [several] - Se há vários formatos (cada um com a sua extensão).
+ * @returns {string} Caminho do arquivo de saída.
+ */
+function dailyOutputFile(output, exporter, several = false) {
+  const isDirectory = !output || /[\\/]$/.test(output) || (fs.existsSync(output) && fs.statSync(output).isDirectory());
+  if (isDirectory) {
+    return path.join(output || '.', exporter.fileName || defaultOutputFileName(exporter.extension));
+  }
+
+  if (several && path.extname(output).toLowerCase() !== exporter.extension) {
+    return output.slice(0, output.length - path.extname(output).length) + exporter.extension;
+  }
+  return output;
+}
+
+/**
+ * Função para criar o monitor da pasta de entrada.
+ *
+ * Opções:
+ * - input: pasta monitorada (padrão: ./html_files);
+ * - checkedDir / unprocessedDir / fileAction / template: como no `runBatch`;
+ * - output: arquivo ou pasta de saída (padrão: a pasta atual, com o arquivo do dia);
+ * - formats: formatos de saída (padrão: ['csv']); todos precisam aceitar `append`;
+ * - history / newOnly: histórico de processos, como no `runBatch`;
+ * - quarantineFile / minConfidence: linhas de baixa confiança acrescentadas ao arquivo
+ *   de revisão em vez da saída, como no `runBatch`;
+ * - stateFile: arquivo de estado (padrão: ./watch_state.json);
+ * - settleMs: tempo sem mudanças para considerar o arquivo completo (padrão: 2000);
+ * - pollMs: intervalo da verificação periódica (padrão: 5000).
+ *
+ * @param {object} [options] - Opções do modo watch.
+ * @returns {{start: function(): void, scan: function(): Promise<void>, close: function(): Promise<void>}}
+ *   Monitor: `start` passa a monitorar a pasta, `scan` verifica a pasta uma vez e
+ *   `close` para o monitor depois de terminar o arquivo em andamento.
+ */
+function createWatcher(options = {}) {
+  const {
+    input = './html_files',
+    checkedDir = path.join(__dirname, '..', 'checked_files'),
+    unprocessedDir = path.join(__dirname, '..', 'unprocessed_files'),
+    fileAction = 'move',
+    template = null,
+    output = null,
+    formats = ['csv'],
+    history = null,
+    newOnly = false,
+    quarantineFile = null,
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    stateFile = './watch_state.json',
+    settleMs = 2000,
+    pollMs = 5000,
+  } = options;
+
+  if (newOnly && !history) {
+    throw new Error('The newOnly option requires a history file');
+  }
+
+  if (!['move', 'copy', 'leave'].includes(fileAction)) {
+    throw new Error(`Invalid file action: ${fileAction}`);
+  }
+
+  formats.forEach((format) => {
+    const exporter = getExporter(format);
+    if (!exporter || typeof exporter.append !== 'function') {
+      throw new Error(`Export format does not support appending: ${format}`);
+    }
+  });
+
+  const quarantineExporter = quarantineFile ? exporterForFile(quarantineFile) || getExporter('csv') : null;
+  if (quarantineExporter && typeof quarantineExporter.append !== 'function') {
+    throw new Error(`Export format does not support appending: ${quarantineExporter.name}`);
+  }
+
+  if (!fs.existsSync(input) || !fs.statSync(input).isDirectory()) {
+    throw new Error(`Watch input is not a directory: ${input}`);
+  }
+
+  const state = loadWatchState(stateFile);
+  // Tamanho e data de cada arquivo na última verificação, para saber quando param de mudar
+  const pending = new Map();
+  // Arquivos já processados (que ficam na pasta com --files copy/leave) ou que falharam:
+  // só são verificados de novo se mudarem
+  const skipped = new Map();
+
+  let running = Promise.resolve();
+  let watcher = null;
+  let timer = null;
+  let closed = false;
+
+  /**
+   * Função para processar um arquivo completo: extrai, acrescenta à saída,
+   * registra no estado e move para a pasta de destino.
+   *
+   * @param {string} filePath - Caminho do arquivo.
+   * @returns {Promise<void>}
+   */
+  async function processFile(filePath) {
+    const file = path.basename(filePath);
+    const content = fs.readFileSync(filePath);
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+    const done = state.files[hash];
+
+    if (done) {
+      logger.info('File already processed, not appending again', { file, processedAt: done.processedAt });
+    } else {
+      const source = await convertInput(content, filePath);
+      const { rows } = parseCauseList(source.html, { sourceName: filePath, template, input: source.input });
+
+      // O histórico só é gravado depois que as linhas foram acrescentadas: se a
+      // gravação da saída falhar, o arquivo é tentado de novo com as mesmas marcações
+      let exportRows = rows;
+      let store = null;
+      let counts = null;
+      if (history && rows.length > 0) {
+        store = loadHistory(history);
+        counts = markRows(store, rows);
+
+        if (newOnly) {
+          exportRows = rows.filter((row) => row.Status === 'new');
+        }
+      }
+
+      if (quarantineExporter) {
+        const { accepted, quarantined } = splitQuarantine(exportRows, minConfidence);
+        exportRows = accepted;
+
+        if (quarantined.length > 0) {
+          await appendRows(quarantined, quarantineExporter.name, quarantineFile);
+          logger.info('Low-confidence rows quarantined', { file: quarantineFile, rows: quarantined.length, minConfidence });
+        }
+      }
+
+      if (exportRows.length > 0) {
+        for (const format of formats) {
+          const outputFile = dailyOutputFile(output, getExporter(format), formats.length > 1);
+          if (!fs.existsSync(path.dirname(outputFile))) {
+            fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+          }
+
+          await appendRows(exportRows, format, outputFile);
+          logger.info('Rows appended', { format, file: outputFile, rows: exportRows.length });
+        }
+      }
+
+      if (store) {
+        saveHistory(store, history);
+        logger.info('History updated', { file: history, ...counts });
+      }
+      state.files[hash] = { file, rows: rows.length, processedAt: new Date().toISOString() };
+      saveWatchState(state, stateFile);
+    }
+
+    // Com 'copy', a cópia já foi feita quando o arquivo foi processado
+    if (fileAction === 'move' || (fileAction === 'copy' && !done)) {
+      const destinationDir = (done ? done.rows : state.files[hash].rows) === 0 ? unprocessedDir : checkedDir;
+      const movedTo = transferToDirectory(filePath, destinationDir, fileAction);
+      logger.debug(`File ${fileAction === 'copy' ? 'copied' : 'moved'}`, { file, to: movedTo });
+    }
+  }
+
+  /**
+   * Função para verificar a pasta uma vez e processar os arquivos que pararam de mudar.
+   *
+   * @returns {Promise<void>}
+   */
+  async function checkInput() {
+    const now = Date.now();
+    const present = new Set();
+
+    const extensions = inputExtensions();
+    const files = fs
+      .readdirSync(input)
+      .filter((name) => extensions.includes(path.extname(name).toLowerCase()) && !PARTIAL_FILE.test(name))
+      .sort();
+
+    for (const name of files) {
+      if (closed) return;
+
+      const filePath = path.join(input, name);
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (error) {
+        continue; // removido entre a listagem e a leitura
+      }
+      if (!stat.isFile()) continue;
+
+      present.add(filePath);
+      const signature = `${stat.size}|${stat.mtimeMs}`;
+
+      if (skipped.get(filePath) === signature) continue;
+      skipped.delete(filePath);
+
+      const seen = pending.get(filePath);
+      if (!seen || seen.signature !== signature) {
+        pending.set(filePath, { signature, since: now });
+        continue;
+      }
+      if (stat.size === 0 || now - seen.since < settleMs) continue;
+
+      pending.delete(filePath);
+      skipped.set(filePath, signature);
+      try {
+        await processFile(filePath);
+      } catch (error) {
+        logger.error('Failed to process file', { file: name, error: error.message });
+      }
+    }
+
+    // Esquece os arquivos que saíram da pasta
+    [...pending.keys(), ...skipped.keys()]
+      .filter((filePath) => !present.has(filePath))
+      .forEach((filePath) => {
+        pending.delete(filePath);
+        skipped.delete(filePath);
+      });
+  }
+
+  /**
+   * Função para agendar uma verificação, uma de cada vez.
+   *
+   * @returns {Promise<void>}
+   */
+  function scan() {
+    running = running
+      .then(() => (closed ? undefined : checkInput()))
+      .catch((error) => logger.error('Watch scan failed', { input, error: error.message }));
+    return running;
+  }
+
+  return {
+    start() {
+      logger.info('Watching for cause lists', { input, stateFile, formats });
+      watcher = fs.watch(input, () => scan());
+      watcher.on('error', (error) => logger.warn('Directory watch failed, polling only', { input, error: error.message }));
+      timer = setInterval(scan, pollMs);
+      scan();
+    },
+    scan,
+    async close() {
+      closed = true;
+      if (watcher) watcher.close();
+      if (timer) clearInterval(timer);
+      await running;
+      logger.info('Stopped watching', { input });
+    },
+  };
+}
+
+module.exports = {
+  loadWatchState,
+  dailyOutputFile,
+  createWatcher,
+};
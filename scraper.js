@@ -1,1161 +1,715 @@
 const fs = require('fs');
 const cheerio = require('cheerio');
 const path = require('path');
-const puppeteer = require('puppeteer');
+const { detectTemplate, getTemplate, getFallbackTemplate } = require('./lib/templates');
+const { resolveInputs, uniquePath } = require('./lib/files');
+const { logger } = require('./lib/logger');
+const { summarizeFile, buildReport } = require('./lib/report');
+const { findCourtDate } = require('./lib/dates');
+const { COLUMNS } = require('./lib/columns');
+const { getExporter, exportRows, appendRows, openExport, exporterForFile } = require('./lib/exporters');
+const { formatCsv } = require('./lib/exporters/csv');
+const { loadHistory, saveHistory, createRowMarker } = require('./lib/history');
+const { partyColumns } = require('./lib/parties');
+const { claimantColumns } = require('./lib/claimants');
+const { claimNumberColumns } = require('./lib/claimNumbers');
+const { filterRows } = require('./lib/filters');
+const { sittingFromTitle, sittingsBeforeTables, sittingColumns } = require('./lib/sittings');
+const { venueFromText, resolveCourt, courtColumns } = require('./lib/courts');
+const { inputExtensions, readInput } = require('./lib/inputs');
+const { decodeHtml } = require('./lib/inputs/html');
+const { validateRows, splitQuarantine, DEFAULT_MIN_CONFIDENCE } = require('./lib/validation');
+const { createPool } = require('./lib/pool');
+const { createProgress } = require('./lib/progress');
+const { parseFileName, fileNameTitle, fileNameCourtDate, titleList, fileNameMismatches } = require('./lib/fileNames');
+
+// Linhas acumuladas antes de cada gravação nas saídas de um lote
+const OUTPUT_CHUNK_SIZE = 500;
 
 /**
- * Função auxiliar para normalizar textos.
- * Remove espaços extras e converte para minúsculas.
+ * Função para converter o conteúdo recebido (string ou Buffer) em texto HTML.
+ * Um Buffer é decodificado pelo charset detectado (UTF-8 ou Windows-1252).
  *
- * @param {string} text - Texto a ser normalizado.
- * @returns {string} Texto normalizado.
+ * @param {string|Buffer} html - Conteúdo HTML.
+ * @returns {string} Conteúdo HTML como string.
  */
-function normalizeText(text) {
-  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+function toHtmlString(html) {
+  return decodeHtml(html);
 }
 
 /**
  * Função para identificar o template com base no conteúdo do HTML.
  *
- * @param {string} html - Conteúdo HTML do arquivo.
+ * @param {string|Buffer} html - Conteúdo HTML do arquivo.
  * @returns {string|null} Identificador do template ou null se não reconhecido.
  */
 function identifyTemplate(html) {
-  const $ = cheerio.load(html);
-
-  // Converter todo o texto para minúsculas e remover espaços extras
-  const textContent = $('body').text().toLowerCase().replace(/\s+/g, ' ');
-
-  // Template7: Verifica se existe 'case ref' e 'case name'
-  if (/case\s*ref/i.test(textContent) && /case\s*name/i.test(textContent)) {
-    return 'template7';
-  }
-
-  // Template5: Verifica se existem cabeçalhos como 'Start Time', 'Duration', 'Case Details', 'Hearing Type' e 'Hearing Channel'
-  if (
-    /start\s*time/i.test(textContent) &&
-    /duration/i.test(textContent) &&
-    (/case\s*details/i.test(textContent) || /case\s*detail/i.test(textContent)) &&
-    /hearing\s*type/i.test(textContent) &&
-    /hearing\s*channel/i.test(textContent)
-  ) {
-    return 'template5';
-  }
-
-  // Template4a: Verifica se existe uma célula de cabeçalho com 'Claim Number Claimant'
-  const isCourtServePage = normalizeText($('title').text()).includes('courtserve');
-
-  const hasTimeHeader = $('table')
-    .find('th, td')
-    .filter(function () {
-      return normalizeText($(this).text()) === 'time';
-    }).length > 0;
-
-  const hasClaimNumberClaimantHeader = $('table')
-    .find('th, td')
-    .filter(function () {
-      return normalizeText($(this).text()).includes('claim number') && $(this).text().toLowerCase().includes('claimant');
-    }).length > 0;
-
-  const hasDefendantHeader = $('table')
-    .find('th, td')
-    .filter(function () {
-      return normalizeText($(this).text()).includes('defendant');
-    }).length > 0;
-
-  const hasGenericKeywords = $('body').text().match(/(hearing room|deputy district judge|sitting at|court room|magistrates court)/i);
-
-  if (/claim\s*number/i.test(textContent) && 
-    /Nottingham/i.test(textContent) && 
-    /Wigham/i.test(textContent) && 
-    /Court\s*Room\s*7/i.test(textContent)) {
-    return 'template4';
-  } else if (
-    (isCourtServePage && hasTimeHeader && hasClaimNumberClaimantHeader && hasDefendantHeader && hasGenericKeywords) || 
-    (/claim\s*number/i.test(textContent))
-  ) {
-    return 'template4a';
-  }
-
-  return null;
+  const template = detectTemplate(toHtmlString(html));
+  return template ? template.name : null;
 }
 
 /**
- * Função para extrair dados da tabela para o template4.
+ * Função para extrair os dados de uma lista a partir do conteúdo HTML.
+ * Não lê nem grava arquivos: pode ser usada por outros serviços.
  *
- * @param {object} $ - Instância do cheerio.
- * @param {object} table - Elemento da tabela.
- * @param {string} courtName - Nome do tribunal.
- * @param {string} courtDate - Data do tribunal.
- * @returns {Array} Array de objetos com os dados extraídos.
+ * O campo `metadata.reason` indica por que nenhuma linha foi extraída:
+ * 'no-template', 'no-table' ou 'no-rows' (null quando há linhas).
+ *
+ * Quando nenhum template reconhece a página (ou as tabelas dela), as linhas são
+ * extraídas pelo template genérico ('heuristic') e `metadata.inferredMapping`
+ * traz as colunas deduzidas de cada tabela.
+ *
+ * Opções:
+ * - sourceName: nome da origem, usado nos logs e nos metadados;
+ * - template: força o uso de um template registrado, sem detecção;
+ * - input: formato de origem do HTML (ex.: 'pdf', 'mhtml'), só para os metadados.
+ *
+ * @param {string|Buffer} html - Conteúdo HTML da lista.
+ * @param {object} [options] - Opções da extração.
+ * @returns {{rows: Array, metadata: object}} Linhas extraídas e metadados da lista.
  */
-function extractDataTemplate4($, table, courtName, courtDate) {
-  let titlename = '';
-  // pegar o título com base no template
-  titlename = $('title').text().trim(); // Seleciona o título para o template
+function parseCauseList(html, options = {}) {
+  const sourceName = options.sourceName || '(html)';
+  const $ = cheerio.load(toHtmlString(html));
   const data = [];
-  const rows = table.find('tr');
 
-  let headersIndex = {};
+  const metadata = {
+    sourceName,
+    input: options.input || 'html',
+    template: null,
+    title: $('title').text().trim(),
+    courtName: '',
+    court: null,
+    courtDate: null,
+    tables: 0,
+    rowsKept: 0,
+    rowsFiltered: 0,
+    filteredBy: {},
+    duplicates: 0,
+    inferredMapping: null,
+    fileName: parseFileName(sourceName),
+    fallbacks: [],
+    mismatches: [],
+    reason: null,
+  };
+  const { fileName } = metadata;
+
+  // Local da audiência ("In the County Court at Worcester sitting at Kidderminster"):
+  // o primeiro parágrafo da página que indica um tribunal
+  let venue = '';
+  $('p, td').each((i, elem) => {
+    if (venue || $(elem).find('p, td').length > 0) return;
+
+    const text = $(elem).text().replace(/\s+/g, ' ').trim();
+    if (text.length <= 120) {
+      venue = venueFromText(text);
+    }
+  });
 
-  rows.each((i, row) => {
-    const cells = $(row).find('th, td');
-    const cellsText = [];
+  // Tribunal da lista, pelo diretório de tribunais; se a página não o indicar, pelo nome do arquivo
+  let court = resolveCourt({ title: metadata.title, venue });
+  if (!court.known && fileName.court) {
+    const named = resolveCourt({ title: fileNameTitle(fileName) });
+    if (named.known || !court.name) {
+      court = { ...named, method: 'file-name' };
+      metadata.fallbacks.push('court');
+    }
+  }
+  if (!court.known) {
+    logger.warn('Court not in directory', { file: sourceName, title: metadata.title, venue });
+  } else if (!court.postcode) {
+    logger.warn('Court has no postcode in directory', { file: sourceName, court: court.name });
+  }
+  metadata.court = court;
+  metadata.courtName = court.name;
+
+  // Identificar o template com base no HTML (ou usar o template forçado)
+  let template = null;
+  if (options.template) {
+    template = getTemplate(options.template);
+    if (!template) {
+      throw new Error(`Unknown template: ${options.template}`);
+    }
+  } else {
+    template = detectTemplate($);
+  }
 
-    cells.each((j, cell) => {
-      let cellText = $(cell).text().trim();
-      cellText = cellText.replace(/\s+/g, ' ');
-      cellsText.push(cellText);
+  const matchingTables = (candidate) =>
+    $('table').filter(function () {
+      return candidate.matchesTable($, $(this));
     });
 
-    // Identificar os índices dos cabeçalhos
-    if (
-      cellsText.some((text) => /claim\s*number/i.test(normalizeText(text)))
-    ) {
-      // Mapear os índices dos cabeçalhos considerando o colspan
-      let logicalIndex = 0;
-
-      cells.each((j, cell) => {
-        let headerText = normalizeText($(cell).text());
-        let colspan = parseInt($(cell).attr('colspan')) || 1;
-
-        if (/claim\s*number/i.test(headerText)) {
-          headersIndex.claimNumber = logicalIndex;
-        } else if (/^(claimant|applicant|petitioner)$/i.test(headerText)) {
-          headersIndex.claimant = logicalIndex;
-        } else if (/^(defendant|respondent)$/i.test(headerText)) {
-          headersIndex.defendant = logicalIndex;
-        }
-
-        logicalIndex += colspan;
-      });
+  let tables = template ? matchingTables(template) : $([]);
 
-      console.log('Cabeçalhos encontrados (template4):', headersIndex);
-    } else if (cellsText.length > 1 && Object.keys(headersIndex).length > 0) {
-      // Verificar se a linha é uma linha de dados válida
-      if (cellsText.every((text) => text === '')) return;
-
-      // Extrair dados das linhas de dados
-      const claimNumber = cellsText[headersIndex.claimNumber] || '';
-      let claimant = cellsText[headersIndex.claimant] || '';
-      let defendant = cellsText[headersIndex.defendant] || '';
-      claimant = claimant.replace(/\|/g, '');
-      defendant = defendant.replace(/\|/g, '');
-
-      // Logs para depuração
-      console.log(`Linha ${i}:`, {
-        claimNumber,
-        claimant,
-        defendant,
+  // Layout desconhecido: tenta o template genérico, que deduz as colunas pelo conteúdo
+  const fallback = options.template ? null : getFallbackTemplate();
+  if (tables.length === 0 && fallback) {
+    const fallbackTables = matchingTables(fallback);
+    if (fallbackTables.length > 0) {
+      logger.warn('Layout not recognised, using the heuristic extractor', {
+        file: sourceName,
+        detected: template ? template.name : null,
       });
+      template = fallback;
+      tables = fallbackTables;
+    }
+  }
 
-      function extractCourtLocation(titlename) {
-        const match = titlename.match(/CourtServe:\s*(.*?)\s*County Court/i);
-        return match ? match[1].trim() : null;
-      }
-
-      courtName = extractCourtLocation(titlename);
-
-      function formatCourtDate(courtDatestr) {
-        let datePart = courtDatestr;
-      
-        // Mapeamento de meses em galês para inglês
-        const welshToEnglishMonths = {
-          'Ionawr': 'January',
-          'Chwefror': 'February',
-          'Mawrth': 'March',
-          'Ebrill': 'April',
-          'Mai': 'May',
-          'Mehefin': 'June',
-          'Gorffennaf': 'July',
-          'Awst': 'August',
-          'Medi': 'September',
-          'Hydref': 'October',
-          'Tachwedd': 'November',
-          'Rhagfyr': 'December'
-        };
-      
-        // Se a data contiver uma vírgula, extrai a parte após a vírgula
-        if (courtDatestr.includes(',')) {
-          const parts = courtDatestr.split(',');
-          for (let part of parts) {
-            part = part.trim();
-      
-            // Substitui meses em galês por inglês
-            for (const [welsh, english] of Object.entries(welshToEnglishMonths)) {
-              const regex = new RegExp(`\\b${welsh}\\b`, 'gi');
-              part = part.replace(regex, english);
-            }
-      
-            // Remove sufixos ordinais como 'st', 'nd', 'rd', 'th'
-            part = part.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-      
-            // Tenta criar um objeto Date
-            const date = new Date(part);
-      
-            // Verifica se a data é válida
-            if (!isNaN(date)) {
-              const day = String(date.getDate()).padStart(2, '0'); // Adiciona zero à esquerda
-              const month = String(date.getMonth() + 1).padStart(2, '0'); // Mês começa em 0
-              const year = date.getFullYear();
-      
-              return `${day}/${month}/${year}`;
-            }
-          }
-        }
-      
-        console.error(`Data inválida: ${courtDatestr}`);
-        return '';
-      }
+  if (!template) {
+    logger.warn('No template recognised', { file: sourceName });
+    metadata.reason = 'no-template';
+    return finish(data, metadata);
+  }
 
-      const rowData = {
-        'Court Name': courtName || '',
-        'Court Date': formatCourtDate(courtDate) || '',
-        'Claim Number': claimNumber || '',
-        'Claimant': claimant || '',
-        'Defendant': defendant || '',
-        'Duration': 'Not Provided',
-        'Hearing Type': 'Not Provided',
-        'Hearing Channel': 'Not Provided',
-        'Title': titlename,
-      };
+  metadata.template = template.name;
+  if (template.fallback) {
+    metadata.inferredMapping = [];
+  }
+  logger.debug('Template selected', { file: sourceName, template: template.name, forced: Boolean(options.template) });
+
+  // Data da lista, a partir dos parágrafos da página; se não for reconhecida, a do nome do arquivo
+  let courtDateResult = findCourtDate($);
+  if (!courtDateResult.ok) {
+    logger.warn('Court date not recognised', {
+      file: sourceName,
+      reason: courtDateResult.reason,
+      input: courtDateResult.input,
+    });
 
-      data.push(rowData);
+    const named = fileNameCourtDate(fileName, courtDateResult.input);
+    if (named) {
+      logger.warn('Using the date in the file name', { file: sourceName, date: named.display });
+      courtDateResult = named;
+      metadata.fallbacks.push('date');
     }
-  });
+  }
+  const courtDate = courtDateResult.display;
+  metadata.courtDate = courtDateResult;
 
-  return data;
-}
+  metadata.tables = tables.length;
 
-/**
- * Função para extrair dados da tabela para o template4a.
- *
- * @param {object} $ - Instância do cheerio.
- * @param {object} table - Elemento da tabela.
- * @param {string} courtName - Nome do tribunal.
- * @param {string} courtDate - Data do tribunal.
- * @returns {Array} Array de objetos com os dados extraídos.
- */
-function extractDataTemplate4a($, table, courtName, courtDate) {
-  let titlename = '';
-  // pegar o título com base no template
-  titlename = $('title').text().trim(); // Seleciona o título para o template
-  const data = [];
-  const rows = table.find('tr');
-
-  let headersIndex = {};
-
-  rows.each((i, row) => {
-    let cells = $(row).find('th, td');
-    let cellsText = [];
-
-    cells.each((j, cell) => {
-      // Extrair o texto de cada parágrafo dentro da célula
-      let cellLines = [];
-      $(cell)
-        .find('p')
-        .each((k, p) => {
-          let lineText = $(p).text().trim().replace(/\s+/g, ' ');
-          if (lineText) cellLines.push(lineText); // Adicionar apenas se não estiver vazio
-        });
+  if (tables.length === 0) {
+    logger.warn('No matching table found', { file: sourceName, template: template.name });
+    metadata.reason = 'no-table';
+    return finish(data, metadata);
+  }
 
-      // Concatenar as linhas individuais em uma string final para a célula
-      cellsText.push(cellLines.join(' | ')); // Usar ' | ' para separar linhas internas
-    });
+  // Juiz, sala e sessão: do título da página (ou do rótulo da lista no nome do arquivo)
+  // e dos cabeçalhos antes de cada tabela
+  let sittingTitle = metadata.title;
+  if (!titleList(sittingTitle) && fileName.list) {
+    sittingTitle = fileNameTitle(fileName);
+    metadata.fallbacks.push('list');
+  }
+  const sittingBefore = sittingsBeforeTables($, sittingFromTitle(sittingTitle));
 
-    // Identificar os índices dos cabeçalhos
-    if (
-      cellsText.some((text) =>
-        /claim\s*number claimant/i.test(normalizeText(text))
-      )
-    ) {
-      // Mapear os índices dos cabeçalhos considerando o colspan
-      let logicalIndex = 0;
-
-      cells.each((j, cell) => {
-        let headerText = normalizeText($(cell).text());
-        let colspan = parseInt($(cell).attr('colspan')) || 1;
-
-        if (/^claim\s*number claimant$/i.test(headerText)) {
-          headersIndex.claimNumber = logicalIndex;
-          headersIndex.claimant = logicalIndex + 1;
-        } else if (/^time$/i.test(headerText)) {
-          headersIndex.time = logicalIndex;
-        } else if (/^(defendant|respondent)$/i.test(headerText)) {
-          headersIndex.defendant = logicalIndex;
-        }
+  const processedTables = new Set();
+  const processedClaimNumbers = new Set();
+  // Tabelas aninhadas repetem as mesmas linhas: cada linha descartada é contada uma vez
+  const filteredRows = new Set();
 
-        logicalIndex += colspan;
-      });
+  tables.each((tableIndex, tableElem) => {
+    if (!processedTables.has(tableElem)) {
+      processedTables.add(tableElem);
+      logger.debug('Processing table', { file: sourceName, table: tableIndex + 1, of: tables.length });
+      const table = $(tableElem);
 
-      console.log('Cabeçalhos encontrados (template4a):', headersIndex);
-    } else if (cellsText.length > 1 && Object.keys(headersIndex).length > 0) {
-      // Linha de dados válida
-      if (cellsText.every((text) => text === '')) return;
-      function splitAtFirstPipe(text) {
-        const [firstPart, ...rest] = text.split(/ \| /);
-        return [firstPart.trim(), rest.join(' | ').trim()];
-      }
-      const time = cellsText[0] || '';
-      const claimNumber = cellsText[1] || '';
-
-      let claimant = '';
-      let defendant = '';
-
-      if (cellsText.length === 3) {
-        const claimantANDdefendant = cellsText[2] || '';
-        [claimant, defendant] = splitAtFirstPipe(claimantANDdefendant);
-        if (claimant === 'Phoenix  Community  Housing | Association | (Bellingham & | Downham) | Limited') {
-          claimant = claimant.replace(/\|/g, '');
-          defendant = defendant.replace(/\|/g, '');
-        }
+      const tableSitting = sittingColumns(sittingBefore(tableElem));
 
-        if (defendant === '') {
-          defendant = 'Not Provided';
-        }
-        if (claimant === '') {
-          claimant = 'Not Provided';
-        }
-      } else {
-        claimant = cellsText[2] || 'Not Provided';
-        defendant = cellsText[3] || 'Not Provided';
-        claimant = claimant.replace(/\|/g, '');
-        defendant = defendant.replace(/\|/g, '');
+      if (metadata.inferredMapping) {
+        metadata.inferredMapping.push({ table: tableIndex + 1, ...template.inferMapping($, table) });
       }
 
-      console.log(cellsText);
-      // Logs para depuração
-      console.log(`Linha ${i} dados extraídos:`, {
-        claimNumber,
-        claimant,
-        defendant,
+      // Tribunal do diretório, colunas estruturadas das partes (tratamento, nomes, organização), requerente
+      // normalizado e número do processo decodificado (tipo, centro emissor e ano).
+      // A sessão lida pelo template (blocos dentro da tabela) tem prioridade sobre a da página.
+      const extractedData = template.extractRows($, table, court.name, courtDate).map((row) => ({
+        ...row,
+        ...courtColumns(court),
+        ...Object.fromEntries(Object.entries(tableSitting).map(([column, value]) => [column, row[column] || value])),
+        ...partyColumns('Claimant', row.Claimant),
+        ...partyColumns('Defendant', row.Defendant),
+        ...claimantColumns(row.Claimant),
+        ...claimNumberColumns(row['Claim Number'], row['Court Date']),
+      }));
+
+      const { kept, filtered } = filterRows(extractedData);
+      filtered.forEach(({ row, reason }) => {
+        const key = JSON.stringify(row);
+        if (!filteredRows.has(key)) {
+          filteredRows.add(key);
+          metadata.filteredBy[reason] = (metadata.filteredBy[reason] || 0) + 1;
+        }
       });
-      function extractCourtLocation(titlename) {
-        const match = titlename.match(/CourtServe:\s*(.*?)\s*County Court/i);
-        return match ? match[1].trim() : null;
-      }
 
-      courtName = extractCourtLocation(titlename);
-      function formatCourtDate(courtDatestr) {
-        let datePart = courtDatestr;
-      
-        // Mapeamento de meses em galês para inglês
-        const welshToEnglishMonths = {
-          'Ionawr': 'January',
-          'Chwefror': 'February',
-          'Mawrth': 'March',
-          'Ebrill': 'April',
-          'Mai': 'May',
-          'Mehefin': 'June',
-          'Gorffennaf': 'July',
-          'Awst': 'August',
-          'Medi': 'September',
-          'Hydref': 'October',
-          'Tachwedd': 'November',
-          'Rhagfyr': 'December'
-        };
-      
-        // Se a data contiver uma vírgula, extrai a parte após a vírgula
-        if (courtDatestr.includes(',')) {
-          const parts = courtDatestr.split(',');
-          // Lógica original: pegar a parte após a vírgula (neste caso, [1])
-          let candidate = parts[1] ? parts[1].trim() : courtDatestr.trim();
-      
-          // Substitui meses galeses, se houver
-          for (const [welsh, english] of Object.entries(welshToEnglishMonths)) {
-            const regex = new RegExp(`\\b${welsh}\\b`, 'gi');
-            candidate = candidate.replace(regex, english);
-          }
-      
-          // Remove sufixos ordinais
-          candidate = candidate.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-      
-          let date = new Date(candidate);
-      
-          // Se ainda for inválido, tente fallback com outra parte (por exemplo a parte [3]),
-          // caso exista. Isso permite que, se a parte original não funcionar, 
-          // uma parte posterior em inglês puro possa ser utilizada, sem quebrar templates antigos.
-          if (isNaN(date) && parts[3]) {
-            let fallback = parts[3].trim();
-            fallback = fallback.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-            const fallbackDate = new Date(fallback);
-            if (!isNaN(fallbackDate)) {
-              date = fallbackDate;
-            }
-          }
-      
-          if (isNaN(date)) {
-            console.error(`Data inválida: ${courtDatestr}`);
-            return '';
-          }
-      
-          const day = String(date.getDate()).padStart(2, '0');
-          const month = String(date.getMonth() + 1).padStart(2, '0');
-          const year = date.getFullYear();
-      
-          return `${day}/${month}/${year}`;
+      kept.forEach((row) => {
+        if (!processedClaimNumbers.has(row['Claim Number'])) {
+          processedClaimNumbers.add(row['Claim Number']);
+          data.push(row);
         } else {
-          // Caso não haja vírgula, mantém a lógica original
-          datePart = datePart.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-          const date = new Date(datePart);
-      
-          if (isNaN(date)) {
-            console.error(`Data inválida: ${datePart}`);
-            return '';
-          }
-      
-          const day = String(date.getDate()).padStart(2, '0');
-          const month = String(date.getMonth() + 1).padStart(2, '0');
-          const year = date.getFullYear();
-      
-          return `${day}/${month}/${year}`;
+          metadata.duplicates++;
         }
-      }
-
-      const rowData = {
-        'Court Name': courtName || '',
-        'Court Date': formatCourtDate(courtDate) || '',
-        'Claim Number': claimNumber || 'Not Provided',
-        'Claimant': claimant || 'Not Provided',
-        'Defendant': defendant || 'Not Provided',
-        'Duration': 'Not Provided',
-        'Hearing Type': 'Not Provided',
-        'Hearing Channel': 'Not Provided',
-        'Title': titlename,
-      };
-
-      data.push(rowData);
+      });
     }
   });
 
-  return data;
+  metadata.rowsFiltered = filteredRows.size;
+
+  if (data.length === 0) {
+    metadata.reason = 'no-rows';
+  }
+
+  // Confiança e problemas de cada linha (número do processo, data, partes)
+  return finish(validateRows(data, sourceName), metadata);
 }
 
 /**
- * Função para extrair dados da tabela para o template5.
+ * Função para encerrar a extração de uma lista, registrando o resumo do arquivo.
  *
- * @param {object} $ - Instância do cheerio.
- * @param {object} table - Elemento da tabela.
- * @param {string} courtName - Nome do tribunal.
- * @param {string} courtDate - Data do tribunal.
- * @returns {Array} Array de objetos com os dados extraídos.
+ * @param {Array} rows - Linhas extraídas.
+ * @param {object} metadata - Metadados da lista.
+ * @returns {{rows: Array, metadata: object}} Linhas e metadados.
  */
-function extractDataTemplate5($, table, courtName, courtDate) {
-  let titlename = '';
-  // pegar o título com base no template
-  titlename = $('title').text().trim(); // Seleciona o título para o template
-  const data = [];
-  const rows = table.find('tr');
-
-  let headersIndex = {};
-
-  rows.each((i, row) => {
-    const cells = $(row).find('th, td');
-    const dataCells = cells.filter(function () {
-      return !$(this).hasClass('EmptyCellLayoutStyle');
-    });
-
-    const cellsText = [];
-
-    dataCells.each((j, cell) => {
-      let cellText = $(cell).text().trim();
-      cellText = cellText.replace(/\s+/g, ' ');
-      cellsText.push(cellText);
-    });
-
-    // Ignora linhas que contêm "Party Name" ou "Parties Suppressed"
-    if (cellsText.some((text) => /party\s*name|parties\s*suppressed/i.test(text))) {
-      return;
-    }
-
-    // Identificar os cabeçalhos como 'Start Time', 'Duration', 'Case Details', 'Hearing Type' e 'Hearing Channel'
-    if (cellsText.some((text) => /start\s*time/i.test(normalizeText(text)))) {
-      let logicalIndex = 0;
-    
-      dataCells.each((j, cell) => {
-        let headerText = normalizeText($(cell).text());
-        let colspan = parseInt($(cell).attr('colspan')) || 1;
-    
-        if (/start\s*time/i.test(headerText)) {
-          headersIndex.startTime = logicalIndex;
-        } else if (/duration/i.test(headerText)) {
-          headersIndex.duration = logicalIndex;
-        } else if (/case\s*detail(s)?/i.test(headerText)) {
-          headersIndex.caseDetails = logicalIndex;
-        } else if (/hearing\s*type/i.test(headerText)) {
-          headersIndex.hearingType = logicalIndex;
-        } else if (/hearing\s*channel/i.test(headerText)) {
-          headersIndex.hearingChannel = logicalIndex;
-        }
-    
-        logicalIndex += colspan;
-      });
-  
-      console.log('Cabeçalhos encontrados (template5):', headersIndex);
-    } else if (cellsText.length > 1 && Object.keys(headersIndex).length > 0) {
-      if (cellsText.every((text) => text === '')) return;
-
-      // Captura apenas as linhas que contêm "Possession" no Case Details
-      let hearingType = cellsText[5];
-      if (!/possessions?/i.test(hearingType)) {
-        // Caso não encontre, tenta na posição 3
-        hearingType = cellsText[3];
-        if (!/possessions?/i.test(hearingType)) {
-          // Caso ainda não encontre, tenta na posição 6
-          hearingType = cellsText[6];
-          if (!/possessions?/i.test(hearingType)) return;
-        }
-      
-      }
-      let startTime = cellsText[2];
-      let duration = cellsText[3];
-      let caseDetails = cellsText[4];
-      let hearingChannel = cellsText[6];
-      if(hearingType === cellsText[3]){
-        startTime = cellsText[0];
-        duration = cellsText[1];
-        caseDetails = cellsText[2];
-        hearingChannel = cellsText[4];
-      } else if(hearingType === cellsText[6]){
-        startTime = cellsText[3];
-        duration = cellsText[4];
-        caseDetails = cellsText[5];
-        hearingChannel = cellsText[7];
-      }
-      const claimNumber = caseDetails.split(' ')[0];
-      // Verificando se claimNumber é válido
-      if (claimNumber === 'PCOL') return;
-
-      caseDetails = caseDetails.replace(/^[A-Z0-9]+ /, '');
-
-      let claimant = '';
-      let defendant = '';
-
-      // Separar o texto do 'caseDetails' para identificar o 'Claimant' e 'Defendant'
-      if (/\s+(v|vs)\s+/i.test(caseDetails) || /\s+(-v-|-vs-)\s+/i.test(caseDetails)) {
-        let parts = caseDetails.split(/\s+(v|vs)\s+/i);
-        if (/\s+(-v-|-vs-)\s+/i.test(caseDetails)) {
-          parts = caseDetails.split(/\s+(-v-|-vs-)\s+/i);
-        }
-        if (parts.length >= 2) {
-          claimant = parts[0].trim();
-          defendant = parts[2].trim();
-          claimant = claimant.replace(/\|/g, '');
-          defendant = defendant.replace(/\|/g, '');
-        } else {
-          claimant = parts[0].trim();
-          defendant = 'Not Provided';
-          claimant = claimant.replace(/\|/g, '');
-          defendant = defendant.replace(/\|/g, '');
-        }
-      } else {
-        claimant = 'Not Provided';
-        defendant = 'Not Provided';
-      }
+function finish(rows, metadata) {
+  metadata.rowsKept = rows.length;
 
-      console.log(`Linha ${i} dados extraídos:`, {
-        startTime,
-        duration,
-        caseDetails,
-        hearingType,
-        hearingChannel,
-        claimant,
-        defendant,
-      });
-
-      function extractCourtLocation(titlename) {
-        const match = titlename.match(/CourtServe:\s*(.*?)\s*County Court/i);
-        return match ? match[1].trim() : null;
-      }
-
-      courtName = extractCourtLocation(titlename);
-
-      function formatCourtDate(courtDatestr) {
-        let datePart = courtDatestr;
-      
-        // Mapeamento de meses em galês para inglês
-        const welshToEnglishMonths = {
-          'Ionawr': 'January',
-          'Chwefror': 'February',
-          'Mawrth': 'March',
-          'Ebrill': 'April',
-          'Mai': 'May',
-          'Mehefin': 'June',
-          'Gorffennaf': 'July',
-          'Awst': 'August',
-          'Medi': 'September',
-          'Hydref': 'October',
-          'Tachwedd': 'November',
-          'Rhagfyr': 'December'
-        };
-      
-        // Mantém a lógica próxima do original:
-        // Se há vírgula, extrai a parte após a primeira vírgula
-        if (courtDatestr.includes(',')) {
-          const parts = courtDatestr.split(',');
-          // Lógica original: pegar a parte após a vírgula (neste caso, [1])
-          let candidate = parts[1] ? parts[1].trim() : courtDatestr.trim();
-      
-          // Substitui meses galeses, se houver
-          for (const [welsh, english] of Object.entries(welshToEnglishMonths)) {
-            const regex = new RegExp(`\\b${welsh}\\b`, 'gi');
-            candidate = candidate.replace(regex, english);
-          }
-      
-          // Remove sufixos ordinais
-          candidate = candidate.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-      
-          let date = new Date(candidate);
-      
-          // Se ainda for inválido, tente fallback com outra parte (por exemplo a parte [3]),
-          // caso exista. Isso permite que, se a parte original não funcionar, 
-          // uma parte posterior em inglês puro possa ser utilizada, sem quebrar templates antigos.
-          if (isNaN(date) && parts[3]) {
-            let fallback = parts[3].trim();
-            fallback = fallback.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-            const fallbackDate = new Date(fallback);
-            if (!isNaN(fallbackDate)) {
-              date = fallbackDate;
-            }
-          }
-      
-          if (isNaN(date)) {
-            console.error(`Data inválida: ${courtDatestr}`);
-            return '';
-          }
-      
-          const day = String(date.getDate()).padStart(2, '0');
-          const month = String(date.getMonth() + 1).padStart(2, '0');
-          const year = date.getFullYear();
-      
-          return `${day}/${month}/${year}`;
-        } else {
-          // Caso não haja vírgula, mantém a lógica original
-          datePart = datePart.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-          const date = new Date(datePart);
-      
-          if (isNaN(date)) {
-            console.error(`Data inválida: ${datePart}`);
-            return '';
-          }
-      
-          const day = String(date.getDate()).padStart(2, '0');
-          const month = String(date.getMonth() + 1).padStart(2, '0');
-          const year = date.getFullYear();
-      
-          return `${day}/${month}/${year}`;
-        }
-      }
-
-      const rowData = {
-        'Court Name': courtName || '',
-        'Court Date': formatCourtDate(courtDate) || '',
-        'Claim Number': claimNumber || 'Not Provided',
-        'Claimant': claimant || 'Not Provided',
-        'Defendant': defendant || 'Not Provided',
-        'Duration': duration || 'Not Provided',
-        'Hearing Type': hearingType || 'Not Provided',
-        'Hearing Channel': hearingChannel || 'Not Provided',
-        'Title': titlename,
-      };
+  // Tribunal, lista e data do nome do arquivo que não conferem com os da página
+  metadata.mismatches = fileNameMismatches(metadata.fileName, metadata);
+  if (metadata.mismatches.length > 0) {
+    logger.warn('File name does not match the page', { file: metadata.sourceName, mismatches: metadata.mismatches });
+  }
 
-      data.push(rowData);
-    }
-  });
+  const summary = {
+    file: metadata.sourceName,
+    template: metadata.template,
+    tables: metadata.tables,
+    rowsKept: metadata.rowsKept,
+    rowsFiltered: metadata.rowsFiltered,
+    duplicates: metadata.duplicates,
+  };
+
+  if (metadata.reason) {
+    logger.warn('File produced no rows', { ...summary, reason: metadata.reason });
+  } else {
+    logger.info('File processed', summary);
+  }
 
-  return data;
+  return { rows, metadata };
 }
 
 /**
- * Função para extrair dados da tabela para o template7.
+ * Função para extrair dados de um arquivo HTML.
  *
- * @param {object} $ - Instância do cheerio.
- * @param {object} table - Elemento da tabela.
- * @param {string} courtName - Nome do tribunal.
- * @param {string} courtDate - Data do tribunal.
+ * @param {string} filePath - Caminho para o arquivo HTML.
  * @returns {Array} Array de objetos com os dados extraídos.
  */
-function extractDataTemplate7($, table, courtName, courtDate) {
-  let titlename = '';
-  // pegar o título com base no template
-  titlename = $('title').text().trim(); // Seleciona o título para o template
-  const data = [];
-  const rows = table.find('tr');
-
-  let headersIndex = {};
-
-  rows.each((i, row) => {
-    const cells = $(row).find('th, td');
-    const dataCells = cells.filter(function () {
-      return !$(this).hasClass('EmptyCellLayoutStyle');
-    });
-
-    const cellsText = [];
-
-    dataCells.each((j, cell) => {
-      let cellText = $(cell).text().trim();
-      cellText = cellText.replace(/\s+/g, ' ');
-      cellsText.push(cellText);
-    });
+function scrapeDataFromHtml(filePath) {
+  const html = fs.readFileSync(filePath); // Lê o arquivo HTML
+  return parseCauseList(html, { sourceName: filePath }).rows;
+}
 
-    console.log(`Linha ${i} cellsText:`, cellsText);
-
-    if (cellsText.some((text) => /^case\s*ref$/i.test(normalizeText(text)))) {
-      let logicalIndex = 0;
-
-      dataCells.each((j, cell) => {
-        let headerText = normalizeText($(cell).text());
-        let colspan = parseInt($(cell).attr('colspan')) || 1;
-
-        if (/^time$/i.test(headerText)) {
-          headersIndex.time = logicalIndex;
-        } else if (/^case\s*ref$/i.test(headerText)) {
-          headersIndex.caseRef = logicalIndex;
-        } else if (/^case\s*name$/i.test(headerText)) {
-          headersIndex.caseName = logicalIndex;
-        } else if (/^case\s*type$/i.test(headerText)) {
-          headersIndex.caseType = logicalIndex;
-        } else if (/^duration$/i.test(headerText)) {
-          headersIndex.duration = logicalIndex;
-        } else if (/^hearing\s*type$/i.test(headerText)) {
-          headersIndex.hearingType = logicalIndex;
-        } else if (/^hearing\s*platform$/i.test(headerText)) {
-          headersIndex.hearingPlatform = logicalIndex;
-        }
 
-        logicalIndex += colspan;
-      });
+/**
+ * Função para gerar o nome padrão do arquivo de saída, com a data atual.
+ *
+ * @param {string} [extension] - Extensão do arquivo (padrão: '.csv').
+ * @returns {string} Nome do arquivo (ex.: output_2024-12-06.csv).
+ */
+function defaultOutputFileName(extension = '.csv') {
+  const now = new Date();
+  const dateSuffix = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return `output_${dateSuffix}${extension}`;
+}
 
-      console.log('Cabeçalhos encontrados (template7):', headersIndex);
-    } else if (cellsText.length > 1 && Object.keys(headersIndex).length > 0) {
-      if (cellsText.every((text) => text === '')) return;
+/**
+ * Função para salvar dados em um arquivo CSV.
+ *
+ * @param {Array} data - Array de objetos com os dados a serem salvos.
+ * @param {string} [outputFileName] - Arquivo de saída (padrão: output_YYYY-MM-DD.csv).
+ */
+function saveToCsv(data, outputFileName = defaultOutputFileName()) {
+  try {
+    if (data.length === 0) {
+      logger.warn('No rows to save to CSV');
+      return;
+    }
 
-      const time = cellsText[headersIndex.time] || '';
-      const caseRef = cellsText[headersIndex.caseRef] || '';
-      const caseName = cellsText[3] || '';
-      const caseType = cellsText[headersIndex.caseType] || '';
-      const duration = cellsText[headersIndex.hearingType] || '';
-      const hearingType = cellsText[5] || '';
-      const hearingPlatform = cellsText[6] || '';
+    fs.writeFileSync(outputFileName, formatCsv(data));
+    logger.info('CSV saved', { file: outputFileName, rows: data.length });
+  } catch (error) {
+    logger.error('Failed to save CSV', { file: outputFileName, error: error.message });
+  }
+}
 
-      if (!/posse|possession/i.test(caseType)) {
-        return;
+/**
+ * Função para abrir as saídas de um lote, que recebem as linhas à medida que cada
+ * arquivo é processado, sem esperar o fim do lote.
+ *
+ * As linhas são gravadas em blocos de `chunkSize`. Formatos com `open` (JSON,
+ * SQLite) mantêm o arquivo aberto durante o lote e o fecham no fim; nos demais, o
+ * primeiro bloco cria (ou sobrescreve) o arquivo e os seguintes são acrescentados
+ * com o `append` do exportador. Formatos sem nenhum dos dois (como o XLSX) só são
+ * gravados no fim.
+ * Uma falha em um formato é registrada e não impede os demais.
+ *
+ * @param {Array<{format: string, file: string}>} outputs - Formatos e arquivos de saída.
+ * @param {object} [options] - Opções ({ chunkSize }).
+ * @returns {{write: Function, close: Function}} `write(rows)` recebe as linhas de um
+ *   arquivo; `close()` grava o que falta e retorna uma Promise.
+ */
+function openOutputs(outputs, { chunkSize = OUTPUT_CHUNK_SIZE } = {}) {
+  const streams = outputs.map(({ format, file }) => {
+    const exporter = getExporter(format);
+    const streaming = Boolean(exporter && typeof exporter.open === 'function');
+    return {
+      format,
+      file,
+      streaming,
+      appendable: streaming || Boolean(exporter && typeof exporter.append === 'function'),
+      writer: null,
+      pending: [],
+      written: 0,
+      failed: false,
+    };
+  });
+  let total = 0;
+
+  const flush = async (stream) => {
+    if (stream.failed || stream.pending.length === 0) return;
+
+    const rows = stream.pending.splice(0);
+    try {
+      if (stream.streaming) {
+        stream.writer = stream.writer || (await openExport(stream.format, stream.file));
+        await stream.writer.write(rows);
+      } else if (stream.written === 0) {
+        await exportRows(rows, stream.format, stream.file);
+      } else {
+        await appendRows(rows, stream.format, stream.file);
       }
-
-      let claimant = '';
-      let defendant = '';
-
-      if (/\s*v(?:s)?\s*/i.test(caseName)) {
-        const parts = caseName.split(/\s+(v|vs)\s+/i);
-        if (parts.length >= 2) {
-          claimant = parts[0].trim();
-          defendant = parts[2].trim();
-          claimant = claimant.replace(/\|/g, '');
-          defendant = defendant.replace(/\|/g, '');
-        } else {
-          claimant = parts[0].trim();
-          defendant = 'Not Provided';
-          claimant = claimant.replace(/\|/g, '');
+      stream.written += rows.length;
+    } catch (error) {
+      stream.failed = true;
+      logger.error('Failed to export rows', { format: stream.format, file: stream.file, error: error.message });
+    }
+  };
+
+  return {
+    async write(rows) {
+      total += rows.length;
+      for (const stream of streams) {
+        stream.pending.push(...rows);
+        if (stream.appendable && stream.pending.length >= chunkSize) {
+          await flush(stream);
         }
-      } else {
-        claimant = 'Not Provided';
-        defendant = 'Not Provided';
       }
+    },
 
-      console.log(`Linha ${i} dados extraídos:`, {
-        time,
-        caseRef,
-        claimant,
-        defendant,
-        caseType,
-        duration,
-        hearingType,
-        hearingPlatform,
-      });
-
-      function extractCourtLocation(titlename) {
-        const match = titlename.match(/CourtServe:\s*(.*?)\s*County Court/i);
-        return match ? match[1].trim() : null;
+    async close() {
+      if (total === 0) {
+        logger.warn('No rows to export');
+        return;
       }
 
-      courtName = extractCourtLocation(titlename);
-
-      function formatCourtDate(courtDatestr) {
-        let datePart = courtDatestr;
-      
-        // Mapeamento de meses em galês para inglês
-        const welshToEnglishMonths = {
-          'Ionawr': 'January',
-          'Chwefror': 'February',
-          'Mawrth': 'March',
-          'Ebrill': 'April',
-          'Mai': 'May',
-          'Mehefin': 'June',
-          'Gorffennaf': 'July',
-          'Awst': 'August',
-          'Medi': 'September',
-          'Hydref': 'October',
-          'Tachwedd': 'November',
-          'Rhagfyr': 'December'
-        };
-      
-        // Se a data contiver uma vírgula, extrai a parte após a vírgula
-        if (courtDatestr.includes(',')) {
-          const parts = courtDatestr.split(',');
-          for (let part of parts) {
-            part = part.trim();
-      
-            // Substitui meses em galês por inglês
-            for (const [welsh, english] of Object.entries(welshToEnglishMonths)) {
-              const regex = new RegExp(`\\b${welsh}\\b`, 'gi');
-              part = part.replace(regex, english);
-            }
-      
-            // Remove sufixos ordinais como 'st', 'nd', 'rd', 'th'
-            part = part.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-      
-            // Tenta criar um objeto Date
-            const date = new Date(part);
-      
-            // Verifica se a data é válida
-            if (!isNaN(date)) {
-              const day = String(date.getDate()).padStart(2, '0'); // Adiciona zero à esquerda
-              const month = String(date.getMonth() + 1).padStart(2, '0'); // Mês começa em 0
-              const year = date.getFullYear();
-      
-              return `${day}/${month}/${year}`;
-            }
+      for (const stream of streams) {
+        await flush(stream);
+        if (stream.writer) {
+          try {
+            await stream.writer.close();
+          } catch (error) {
+            stream.failed = true;
+            logger.error('Failed to export rows', { format: stream.format, file: stream.file, error: error.message });
           }
         }
-      
-        console.error(`Data inválida: ${courtDatestr}`);
-        return '';
+        if (!stream.failed) {
+          logger.info('Rows exported', { format: stream.format, file: stream.file, rows: stream.written });
+        }
       }
+    },
+  };
+}
 
-      const rowData = {
-        'Court Name': courtName || '',
-        'Court Date': formatCourtDate(courtDate) || '',
-        'Claim Number': caseRef || '',
-        'Claimant': claimant || 'Not Provided',
-        'Defendant': defendant || 'Not Provided',
-        'Duration': duration || 'Not Provided',
-        'Hearing Type': hearingType || 'Not Provided',
-        'Hearing Channel': hearingPlatform || 'Not Provided',
-        'Title': titlename,
-      };
+/**
+ * Função para ler e processar um arquivo de entrada (HTML, MHTML ou PDF).
+ * Um arquivo que não pode ser convertido (PDF corrompido, MHTML sem página...)
+ * não interrompe o lote: volta sem linhas e com o motivo 'unreadable'.
+ *
+ * @param {string} filePath - Caminho do arquivo.
+ * @param {object} [options] - Opções ({ template }).
+ * @returns {Promise<{rows: Array, metadata: object}>} Linhas e metadados.
+ */
+async function parseFile(filePath, options = {}) {
+  let source;
+  try {
+    source = await readInput(filePath);
+  } catch (error) {
+    logger.error('Failed to read input file', { file: path.basename(filePath), error: error.message });
+    source = { html: '', input: null, unreadable: true };
+  }
 
-      data.push(rowData);
-    }
-  });
+  const { rows, metadata } = parseCauseList(source.html, { sourceName: filePath, template: options.template, input: source.input });
+  if (source.unreadable) {
+    metadata.reason = 'unreadable';
+  }
 
-  return data;
+  return { rows, metadata };
 }
 
 /**
- * Função para extrair dados da tabela para outros templates.
- * Atualmente retorna um array vazio, mas pode ser expandida conforme necessário.
+ * Função para montar o resultado de um arquivo cujo processamento falhou (erro na
+ * extração ou worker que caiu): sem linhas e com o motivo 'parse-error', para que o
+ * lote continue e o arquivo vá para os não processados.
  *
- * @param {object} $ - Instância do cheerio.
- * @param {object} table - Elemento da tabela.
- * @param {string} template - Identificador do template.
- * @param {string} courtName - Nome do tribunal.
- * @param {string} courtDate - Data do tribunal.
- * @returns {Array} Array de objetos com os dados extraídos.
+ * @param {string} filePath - Caminho do arquivo.
+ * @param {Error} error - Erro do processamento.
+ * @returns {{rows: Array, metadata: object}} Linhas (nenhuma) e metadados.
  */
-function extractDataTemplateOther($, table, template, courtName, courtDate) {
-  let titlename = '';
-  // pegar o título com base no template
-  titlename = $('title').text().trim(); // Seleciona o título para o template
-  // Implementar lógica específica para outros templates aqui, se necessário
-  // Por enquanto, retornamos um array vazio
-  return [];
+function failedParse(filePath, error) {
+  logger.error('Failed to parse input file', { file: path.basename(filePath), error: error.message });
+
+  const { metadata } = parseCauseList('', { sourceName: filePath });
+  metadata.reason = 'parse-error';
+  return { rows: [], metadata };
 }
 
 /**
- * Função para extrair dados de um arquivo HTML.
+ * Função para mover ou copiar um arquivo para a pasta de destino, criando-a se necessário.
+ * Se já existir um arquivo com o mesmo nome no destino, adiciona o sufixo "_1", "_2", etc.
  *
- * @param {string} filePath - Caminho para o arquivo HTML.
- * @returns {Array} Array de objetos com os dados extraídos.
+ * @param {string} filePath - Caminho do arquivo.
+ * @param {string} directory - Pasta de destino.
+ * @param {string} fileAction - 'move' ou 'copy'.
+ * @returns {string} Novo caminho do arquivo.
  */
-function scrapeDataFromHtml(filePath) {
-  const html = fs.readFileSync(filePath, 'utf-8'); // Lê o arquivo HTML
-  const $ = cheerio.load(html);
-  const data = [];
+function transferToDirectory(filePath, directory, fileAction) {
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+  const destinationPath = uniquePath(path.join(directory, path.basename(filePath)));
+  if (fileAction === 'copy') {
+    fs.copyFileSync(filePath, destinationPath);
+  } else {
+    fs.renameSync(filePath, destinationPath);
+  }
+  return destinationPath;
+}
 
-  // Identificar o template com base no HTML
-  const template = identifyTemplate(html);
+/**
+ * Função para processar um lote de listas HTML.
+ *
+ * Os arquivos são processados em paralelo por um pool de workers (`jobs`), mas
+ * tratados na ordem de entrada: as linhas de cada arquivo vão para as saídas
+ * assim que ele termina, e o progresso (arquivos, linhas, vazão) vai para o log.
+ *
+ * Opções:
+ * - input: pasta, arquivo ou padrão glob com as listas (padrão: ./html_files);
+ * - inputs: lista explícita de arquivos (substitui `input`);
+ * - checkedDir / unprocessedDir: destino dos arquivos com e sem dados;
+ * - fileAction: 'move' (padrão), 'copy' ou 'leave' para os arquivos de entrada;
+ * - dryRun: apenas processa e informa, sem mexer em arquivos nem gravar o CSV;
+ * - template: força o uso de um template para todos os arquivos;
+ * - outputs: formatos e arquivos de saída, ex.: [{ format: 'xlsx', file: 'saida.xlsx' }];
+ * - outputFile: atalho para gravar só o CSV neste arquivo;
+ * - history: arquivo do histórico de processos; marca cada linha como 'new',
+ *   'relisted' ou 'seen' na coluna 'Status' (null desativa);
+ * - newOnly: exporta apenas as linhas de processos novos desde a última execução;
+ * - quarantineFile: arquivo de revisão para as linhas com confiança abaixo de
+ *   `minConfidence` (padrão: 0.6), que ficam fora da saída; o formato segue a extensão;
+ * - jobs: quantidade de workers (padrão: 1, processa na própria thread);
+ * - setup: configuração dos workers ({ claimants, courts, filters, logger }, ver lib/pool.js);
+ * - keepRows: mantém as linhas no resultado (padrão: true); false economiza memória
+ *   em lotes grandes, já que as linhas vão direto para as saídas;
+ * - progressInterval: intervalo, em milissegundos, entre as mensagens de progresso.
+ *
+ * @param {object} [options] - Opções do processamento.
+ * @returns {Promise<{rows: Array, files: Array, failed: number, quarantined: number, report: object, throughput: object}>}
+ *   Linhas extraídas, resultado por arquivo, total de arquivos sem dados, linhas em quarentena,
+ *   relatório da execução e vazão ({ files, rows, seconds, filesPerSecond, rowsPerSecond }).
+ */
+async function runBatch(options = {}) {
+  const {
+    input = './html_files',
+    inputs = null,
+    checkedDir = path.join(__dirname, 'checked_files'),
+    unprocessedDir = path.join(__dirname, 'unprocessed_files'),
+    fileAction = 'move',
+    dryRun = false,
+    template = null,
+    outputFile = null,
+    outputs = outputFile ? [{ format: 'csv', file: outputFile }] : [],
+    history = null,
+    newOnly = false,
+    quarantineFile = null,
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    jobs = 1,
+    setup = {},
+    keepRows = true,
+    progressInterval,
+  } = options;
+
+  if (newOnly && !history) {
+    throw new Error('The newOnly option requires a history file');
+  }
 
-  if (!template) {
-    console.error('Template não reconhecido para o arquivo:', filePath);
-    return data;
+  if (!['move', 'copy', 'leave'].includes(fileAction)) {
+    throw new Error(`Invalid file action: ${fileAction}`);
   }
 
-  console.log(`Processando o arquivo ${filePath} com o ${template}`);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Invalid number of jobs: ${jobs}`);
+  }
 
-  // Variáveis para armazenar Court Name e Court Date
+  const filePaths = inputs || resolveInputs(input, inputExtensions());
+  const allData = [];
+  const files = [];
+
+  const store = history ? loadHistory(history) : null;
+  const previousRun = store ? store.lastRunAt || undefined : undefined;
+  const markHistory = store ? createRowMarker(store) : null;
+  const statusCounts = { new: 0, relisted: 0, seen: 0 };
+
+  const quarantineExporter = quarantineFile && exporterForFile(quarantineFile);
+  const output = openOutputs(dryRun ? [] : outputs);
+  const quarantine = openOutputs(dryRun || !quarantineFile ? [] : [{ format: quarantineExporter ? quarantineExporter.name : 'csv', file: quarantineFile }]);
+  let quarantined = 0;
+
+  // Com um worker só, o processamento fica na própria thread
+  const pool = jobs > 1 ? createPool({ jobs, setup }) : null;
+  const parse = (filePath) => (pool ? pool.run(filePath, { template }) : parseFile(filePath, { template }));
+
+  // Arquivos em processamento, na ordem de entrada; a janela mantém os workers
+  // ocupados sem acumular os resultados do lote inteiro
+  const window = pool ? jobs * 2 : 1;
+  const inFlight = [];
+  let next = 0;
+  const fill = () => {
+    while (next < filePaths.length && inFlight.length < window) {
+      const filePath = filePaths[next++];
+      const parsed = parse(filePath);
+      parsed.catch(() => {}); // tratada quando chegar a vez do arquivo
+      inFlight.push({ filePath, parsed });
+    }
+  };
 
-  let courtName = '';
-  let courtDate = '';
-  
-  $('p').each((i, elem) => {
-    const text = $(elem).text().trim();
+  const progress = createProgress(filePaths.length, { interval: progressInterval });
 
-    // Lógica original para capturar courtName
-    if (/court at/i.test(text) || /sitting at/i.test(text)) {
-      const parts = text.split(/court at|sitting at/i);
-      if (parts.length > 1) {
-        courtName = parts[1].trim();
-      }
-    }
+  try {
+    fill();
+    while (inFlight.length > 0) {
+      const { filePath, parsed } = inFlight.shift();
+      const { rows, metadata } = await parsed.catch((error) => failedParse(filePath, error));
+      fill();
+
+      const file = path.basename(filePath);
+      const destinationDir = rows.length === 0 ? unprocessedDir : checkedDir;
+      const result = {
+        file: filePath,
+        rows: rows.length,
+        metadata,
+        summary: summarizeFile(filePath, rows, metadata),
+        movedTo: null,
+      };
 
-    // Padrão original para datas com vírgula (mantido)
-    const datePattern = /^(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),\s+\d{1,2}(?:st|nd|rd|th)?\s+\w+\s+\d{4}$/i;
-    if (datePattern.test(text)) {
-      courtDate = text;
-    }
+      // Histórico, quarentena e saídas, arquivo a arquivo
+      let exportData = rows;
+      if (markHistory) {
+        const counts = markHistory(rows);
+        Object.keys(statusCounts).forEach((status) => {
+          statusCounts[status] += counts[status];
+        });
 
-    // Fallback para formato bilíngue com "Monday" (ou outro dia em inglês)
-    if (!courtDate && /Dydd\s+\w+,\s*\d{1,2}/i.test(text) && /(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)/i.test(text)) {
-      const parts = text.split(',').map(part => part.trim());
-      if (parts.length > 3) {
-        let candidate = parts[3]; // Por ex: "18 November 2024"
-        candidate = candidate.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-        const testDate = new Date(candidate);
-        if (!isNaN(testDate)) {
-          courtDate = candidate;
+        if (newOnly) {
+          exportData = rows.filter((row) => row.Status === 'new');
         }
       }
-    }
 
-    // Se ainda está vazio, tenta o fallback para datas sem vírgula em inglês, ex: "Monday 11th November 2024"
-    if (courtDate === '') {
-      // Padrão para datas sem vírgula: "Monday 11th November 2024"
-      const noCommaPattern = /^(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)\s+\d{1,2}(st|nd|rd|th)?\s+\w+\s+\d{4}$/i;
-      if (noCommaPattern.test(text)) {
-        let candidate = text.replace(/(\d+)(st|nd|rd|th)/i, '$1');
-        const testDate = new Date(candidate);
-        if (!isNaN(testDate)) {
-          courtDate = candidate;
-        }
+      if (quarantineFile) {
+        const split = splitQuarantine(exportData, minConfidence);
+        exportData = split.accepted;
+        quarantined += split.quarantined.length;
+        await quarantine.write(split.quarantined);
       }
-    }
-    if (!courtDate) {
-      // Novo fallback para data pura, ex: "15TH November 2024"
-      const pureDatePattern = /^\d{1,2}(st|nd|rd|th)?\s+\w+\s+\d{4}$/i;
-      if (pureDatePattern.test(text)) {
-        let candidate = text.replace(/(\d+)(st|nd|rd|th)/i, '$1'); // Remove sufixos ordinais
-    
-        // Agora candidate é algo como "15 November 2024"
-        // O new Date() pode não reconhecer bem "DD Month YYYY" sem vírgula.
-        // Vamos reformatar para "Month DD, YYYY" antes de criar a data.
-        candidate = candidate.replace(/^(\d{1,2})\s+(\w+)\s+(\d{4})$/i, (match, d, mon, y) => `${mon} ${d}, ${y}`);
-    
-        const testDate = new Date(candidate);
-        if (!isNaN(testDate)) {
-          courtDate = candidate; // agora temos uma data válida
-        }
-      }
-    }
-  });
-
-  // Limpar Court Name para evitar duplicações
-  courtName = courtName
-    .split(' ')
-    .filter((item, pos, self) => self.indexOf(item) === pos)
-    .join(' ');
-
-  let tables = [];
-  if (template === 'template4') {
-    tables = $('table').filter(function () {
-      const tableText = $(this).text().toLowerCase();
-      return (
-        /claim\s*number/i.test(tableText) &&
-        /(claimant|applicant|petitioner)/i.test(tableText)
-      );
-    });
-  } else if (template === 'template4a') {
-    // Altere o seletor para que reconheça o cabeçalho agrupado
-    tables = $('table').filter(function () {
-      const tableText = normalizeText($(this).text());
-
-      // Ajuste para detectar um número de processo com pelo menos quatro caracteres seguido de nomes
-      const hasClaimPattern = /\b[a-z0-9]{4,}\b\s+[a-z]+\s+[a-z]+/i.test(tableText);
-      return (
-        /time\s+claim\s*number\s+claimant\s+defendant/i.test(tableText) ||
-        hasClaimPattern
-      );
-    });
-  } else if (template === 'template7') {
-    tables = $('table').filter(function () {
-      const tableText = $(this).text().toLowerCase();
-      return (
-        /case\s*ref/i.test(tableText) && /case\s*name/i.test(tableText)
-      );
-    });
-  } else if (template === 'template5') {
-    tables = $('table').filter(function () {
-      const tableText = $(this).text().toLowerCase().replace(/\s+/g, ' ');
-  
-      return (
-        /(amser\s*cychwyn\s*,\s*)?start\s*time/i.test(tableText) &&
-        /(hyd,\s*)?duration/i.test(tableText) &&
-        /(manylion\s*yr\s*achos,\s*)?case\s*detail(s)?/i.test(tableText) &&
-        /(math\s*o\s*wrandawiad,\s*)?hearing\s*type/i.test(tableText) &&
-        /(sianel\s*clyw,\s*)?hearing\s*channel/i.test(tableText)
-      );
-    });
-  }
-
-  if (tables.length === 0) {
-    console.error('Nenhuma tabela encontrada no arquivo:', filePath);
-    return data;
-  }
-
-  console.log(
-    `Total de tabelas encontradas no arquivo ${filePath}: ${tables.length}`
-  );
-
-  const processedTables = new Set();
-  const processedClaimNumbers = new Set();
 
-  tables.each((tableIndex, tableElem) => {
-    if (!processedTables.has(tableElem)) {
-      processedTables.add(tableElem);
-      console.log(`Processando tabela ${tableIndex + 1} de ${tables.length}`);
-      const table = $(tableElem);
-
-      let extractedData = [];
+      await output.write(exportData);
 
-      if (template === 'template4') {
-        extractedData = extractDataTemplate4($, table, courtName, courtDate);
-      } else if (template === 'template4a') {
-        extractedData = extractDataTemplate4a($, table, courtName, courtDate);
-      } else if (template === 'template7') {
-        extractedData = extractDataTemplate7($, table, courtName, courtDate);
-      } else if (template === 'template5') {
-        extractedData = extractDataTemplate5($, table, courtName, courtDate);
-      } else {
-        // Para outros templates, implementar conforme necessário
-        extractedData = extractDataTemplateOther(
-          $,
-          table,
-          template,
-          courtName,
-          courtDate
-        );
+      if (keepRows) {
+        allData.push(...rows);
       }
 
-      extractedData.forEach((row) => {
-        if (!processedClaimNumbers.has(row['Claim Number'])) {
-          processedClaimNumbers.add(row['Claim Number']);
-          data.push(row);
+      if (dryRun) {
+        if (fileAction !== 'leave') {
+          logger.info(`Dry run: file would be ${fileAction === 'copy' ? 'copied' : 'moved'}`, { file, to: destinationDir });
         }
-      });
-    }
-  });
-
-  return data;
-}
-
-/**
- * Função para salvar dados em um arquivo CSV.
- *
- * @param {Array} data - Array de objetos com os dados a serem salvos.
- */
-function saveToCsv(data) {
-  try {
-    const headers = [
-      'Court Name',
-      'Court Date',
-      'Claim Number',
-      'Claimant',
-      'Defendant',
-      'Duration',
-      'Hearing Type',
-      'Hearing Channel',
-      'Title',
-    ];
+      } else if (fileAction !== 'leave') {
+        result.movedTo = transferToDirectory(filePath, destinationDir, fileAction);
+        logger.debug(`File ${fileAction === 'copy' ? 'copied' : 'moved'}`, { file, to: result.movedTo });
+      }
 
-    if (data.length === 0) {
-      console.warn('Nenhum dado para salvar no arquivo CSV.');
-      return;
+      files.push(result);
+      progress.update(rows.length);
+    }
+  } finally {
+    if (pool) {
+      await pool.close();
     }
 
-    // Prepara o conteúdo CSV
-    const csvContent = [headers.join(',')]
-      .concat(
-        data.map((row) => {
-          const formattedRow = headers.map((header) => {
-            const cellData = (row[header] || '').toString().trim();
-            return `"${cellData.replace(/"/g, '""')}"`;
-          });
-          return formattedRow.join(',');
-        })
-      )
-      .join('\n');
-
-    // Adiciona a data atual ao nome do arquivo
-    const now = new Date();
-    const dateSuffix = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-    const outputFileName = `output_${dateSuffix}.csv`;
-
-    fs.writeFileSync(outputFileName, csvContent);
-    console.log(`Dados salvos em ${outputFileName}`);
-  } catch (error) {
-    console.error(`Erro ao salvar o arquivo CSV: ${error.message}`);
-  }
-}
-
-/**
- * Função principal para executar a extração e salvamento.
- */
-async function main() {
-  const inputDirectory = './html_files';
-  const allData = [];
-
-  // Verificar se o diretório de entrada existe
-  if (!fs.existsSync(inputDirectory)) {
-    console.error(`Diretório de entrada não encontrado: ${inputDirectory}`);
-    return;
-  }
-
-  fs.readdirSync(inputDirectory).forEach((file) => {
-    if (path.extname(file).toLowerCase() === '.html') {
-      const filePath = path.join(inputDirectory, file);
-
-      // Extrai dados do arquivo HTML
-      const fileData = scrapeDataFromHtml(filePath);
-
-      if (fileData.length === 0) {
-        console.warn(`Nenhum dado extraído de ${file}. Movendo para a pasta 'unprocessed_files'.`);
-        const unprocessedDir = path.join(__dirname, 'unprocessed_files');
-        if (!fs.existsSync(unprocessedDir)) {
-          fs.mkdirSync(unprocessedDir);
-        }
-        const destinationPath = path.join(unprocessedDir, file);
-        fs.renameSync(filePath, destinationPath);
-        console.log(`Arquivo movido para ${destinationPath}`);
-      } else {
-        allData.push(...fileData);
+    // Mesmo se o lote parar no meio, o que já foi processado fica no histórico e nas saídas
+    if (store) {
+      logger.info('History updated', { file: history, previousRun, ...statusCounts });
+      if (!dryRun) {
+        saveHistory(store, history);
+      }
+    }
 
-        // Move o arquivo processado para a pasta 'checked_files'
-        const checkedFilesDir = path.join(__dirname, 'checked_files');
-        if (!fs.existsSync(checkedFilesDir)) {
-          fs.mkdirSync(checkedFilesDir);
-        }
-        const destinationPath = path.join(checkedFilesDir, file);
-        fs.renameSync(filePath, destinationPath);
-        console.log(`Arquivo ${file} movido para ${destinationPath}`);
+    if (quarantineFile) {
+      logger.info(dryRun ? 'Dry run: low-confidence rows would be quarantined' : 'Low-confidence rows quarantined', {
+        file: quarantineFile,
+        rows: quarantined,
+        minConfidence,
+      });
+      if (quarantined > 0) {
+        await quarantine.close();
       }
     }
-  });
 
-  // Salva todos os dados no arquivo CSV final
-  if (allData.length > 0) {
-    saveToCsv(allData);
-  } else {
-    console.log('Nenhum dado extraído de nenhum arquivo.');
+    if (outputs.length > 0 && !dryRun) {
+      await output.close();
+    }
   }
+
+  return {
+    rows: allData,
+    files,
+    failed: files.filter((result) => result.rows === 0).length,
+    quarantined,
+    report: buildReport(files.map((result) => result.summary)),
+    throughput: progress.finish(),
+  };
 }
 
-main(); // Executa a função principal
+module.exports = {
+  parseCauseList,
+  parseFile,
+  runBatch,
+  identifyTemplate,
+  scrapeDataFromHtml,
+  formatCsv,
+  saveToCsv,
+  defaultOutputFileName,
+  transferToDirectory,
+  CSV_HEADERS: COLUMNS,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  require('./lib/cli')
+    .runCli(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      logger.error('Run failed', { error: error.message });
+      process.exitCode = 1;
+    });
+}
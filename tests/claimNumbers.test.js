@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeClaimNumber, claimNumberColumns } = require('../lib/claimNumbers');
+
+test('decodeClaimNumber classifica o processo pelo formato e pelo centro emissor', () => {
+  assert.deepStrictEqual(
+    ['L4PP1591', 'K00CL327', 'C3BM895A', 'A1QZ123B', 'F0YJ1234', '000MC001', 'SW24F00315', 'VARIOUS'].map((number) => decodeClaimNumber(number, 2024)),
+    [
+      { type: 'pcol', centre: 'PP', year: null },
+      { type: 'county', centre: 'CL', year: null },
+      { type: 'county', centre: 'BM', year: null },
+      { type: 'mcol', centre: 'QZ', year: null },
+      { type: 'ccmcc', centre: 'YJ', year: null },
+      { type: 'mcol', centre: '', year: null },
+      { type: 'family', centre: 'SW', year: 2024 },
+      { type: null, centre: '', year: null },
+    ]
+  );
+});
+
+test('decodeClaimNumber completa o ano do formato antigo com o ano da lista', () => {
+  assert.deepStrictEqual(decodeClaimNumber('8PA03414', 2024), { type: 'county', centre: 'PA', year: 2018 });
+  assert.deepStrictEqual(decodeClaimNumber('4PB04055', 2024), { type: 'county', centre: 'PB', year: 2024 });
+  assert.deepStrictEqual(decodeClaimNumber('5A393374', 2024), { type: 'county', centre: 'A', year: 2015 });
+});
+
+test('claimNumberColumns monta as colunas exportadas', () => {
+  assert.deepStrictEqual(claimNumberColumns('8PA03414', '26/11/2024'), { 'Claim Type': 'County Court', 'Issuing Centre': 'PA', 'Claim Year': '2018' });
+  assert.deepStrictEqual(claimNumberColumns('L4PP1591', '26/11/2024'), { 'Claim Type': 'PCOL', 'Issuing Centre': 'PP', 'Claim Year': '' });
+  assert.deepStrictEqual(claimNumberColumns('Not Provided'), { 'Claim Type': 'Unknown', 'Issuing Centre': '', 'Claim Year': '' });
+});
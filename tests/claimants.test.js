@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { matchClaimant, configureClaimants } = require('../lib/claimants');
+
+test('matchClaimant junta as formas de escrever a mesma prefeitura', () => {
+  ['London Borough of Waltham Forest', 'LB Waltham Forest', 'Waltham Forest Council'].forEach((name) => {
+    assert.deepStrictEqual(matchClaimant(name), {
+      canonical: 'London Borough of Waltham Forest',
+      type: 'local-authority',
+      method: name === 'Waltham Forest Council' ? 'authority' : 'alias',
+    });
+  });
+});
+
+test('matchClaimant ignora sufixos, "t/a" e erros de digitação', () => {
+  assert.strictEqual(matchClaimant('Bank of Scotland Plc t/a Birmingham Midshires').canonical, 'Bank of Scotland plc');
+  assert.strictEqual(matchClaimant('Aldmore Bank PLC').canonical, 'Aldermore Bank plc');
+  assert.strictEqual(matchClaimant('Estuary Housing Association').canonical, '');
+});
+
+test('matchClaimant estima o tipo dos nomes fora do dicionário', () => {
+  assert.deepStrictEqual(matchClaimant('Mr J Smith'), { canonical: '', type: 'private-landlord', method: null });
+  assert.strictEqual(matchClaimant('Morag Finance Limited').type, 'lender');
+  assert.strictEqual(matchClaimant('Merlin Housing Society').type, 'housing-association');
+});
+
+test('configureClaimants troca o dicionário', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'claimants-'));
+  const file = path.join(directory, 'claimants.json');
+  fs.writeFileSync(file, JSON.stringify({
+    organisations: [{ name: 'Winmore Properties Limited', type: 'private-landlord', aliases: [] }],
+  }));
+
+  try {
+    configureClaimants(file);
+    assert.strictEqual(matchClaimant('WINMORE PROPERTIES LTD').canonical, 'Winmore Properties Limited');
+    assert.strictEqual(matchClaimant('Peabody Trust').canonical, '');
+  } finally {
+    configureClaimants();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { parseArgs, resolveDownloadDir, defaultJobs, UsageError } = require('../lib/cli');
+
+test('parseArgs interpreta comando, opções e flags', () => {
+  const args = parseArgs(['download', '-i', 'arquivo/**/*.html', '--output=saida/', '--files', 'copy', '-n', '-t', 'template5']);
+
+  assert.strictEqual(args.command, 'download');
+  assert.strictEqual(args.input, 'arquivo/**/*.html');
+  assert.strictEqual(args.output, 'saida/');
+  assert.strictEqual(args.fileAction, 'copy');
+  assert.strictEqual(args.dryRun, true);
+  assert.strictEqual(args.template, 'template5');
+});
+
+test('parseArgs rejeita argumentos inválidos', () => {
+  assert.throws(() => parseArgs(['--files', 'delete']), UsageError);
+  assert.throws(() => parseArgs(['--template', 'template99']), UsageError);
+  assert.throws(() => parseArgs(['--output']), UsageError);
+  assert.throws(() => parseArgs(['--desconhecida']), UsageError);
+  assert.throws(() => parseArgs(['--filters', 'regras.json', '--no-filters']), UsageError);
+});
+
+test('parseArgs aceita o comando watch só com formatos que acrescentam linhas', () => {
+  const args = parseArgs(['watch', '--state', 'estado.json', '-o', 'saida.ndjson']);
+  assert.strictEqual(args.command, 'watch');
+  assert.strictEqual(args.stateFile, 'estado.json');
+
+  assert.throws(() => parseArgs(['watch', '-f', 'xlsx']), UsageError);
+  assert.throws(() => parseArgs(['watch', '-n']), UsageError);
+  assert.throws(() => parseArgs(['--state', 'estado.json']), UsageError);
+});
+
+test('parseArgs aceita --port e --host só com o comando serve', () => {
+  const args = parseArgs(['serve', '--port', '8080', '--host', '0.0.0.0']);
+  assert.deepStrictEqual([args.command, args.port, args.host], ['serve', '8080', '0.0.0.0']);
+
+  assert.throws(() => parseArgs(['--port', '8080']), UsageError);
+  assert.throws(() => parseArgs(['serve', '--port', 'oito']), UsageError);
+});
+
+test('parseArgs aceita o comando diff com dois arquivos ou duas datas', () => {
+  assert.deepStrictEqual(parseArgs(['diff', 'ontem.csv', 'hoje.csv']).files, ['ontem.csv', 'hoje.csv']);
+  assert.deepStrictEqual(parseArgs(['diff', '--dates', '2024-11-18,2024-11-19']).diffDates, ['2024-11-18', '2024-11-19']);
+
+  assert.throws(() => parseArgs(['diff', 'ontem.csv']), UsageError);
+  assert.throws(() => parseArgs(['diff', 'ontem.csv', 'hoje.csv', '--dates', '2024-11-18,2024-11-19']), UsageError);
+  assert.throws(() => parseArgs(['diff', '--dates', '18/11/2024,19/11/2024']), UsageError);
+  assert.throws(() => parseArgs(['ontem.csv']), UsageError);
+});
+
+test('parseArgs aceita --min-confidence só com --quarantine e entre 0 e 1', () => {
+  const args = parseArgs(['--quarantine', 'revisar.csv', '--min-confidence', '0.75']);
+  assert.strictEqual(args.quarantine, 'revisar.csv');
+  assert.strictEqual(args.minConfidence, 0.75);
+
+  assert.throws(() => parseArgs(['--min-confidence', '0.5']), /needs --quarantine/);
+  assert.throws(() => parseArgs(['--quarantine', 'revisar.csv', '--min-confidence', '80']), UsageError);
+  assert.throws(() => parseArgs(['watch', '--quarantine', 'revisar.xlsx']), /cannot append to: xlsx/);
+  assert.throws(() => parseArgs(['serve', '--quarantine', 'revisar.csv']), UsageError);
+});
+
+test('parseArgs aceita --jobs só com um número inteiro e fora dos modos contínuos', () => {
+  assert.strictEqual(parseArgs(['-j', '4']).jobs, 4);
+  assert.strictEqual(parseArgs(['download', '--jobs=2']).jobs, 2);
+
+  assert.throws(() => parseArgs(['--jobs', '0']), /Invalid value for --jobs/);
+  assert.throws(() => parseArgs(['--jobs', 'dois']), UsageError);
+  assert.throws(() => parseArgs(['watch', '--jobs', '2']), /cannot be used with the watch command/);
+});
+
+test('defaultJobs usa o paralelismo disponível', () => {
+  assert.strictEqual(defaultJobs(), Math.max(1, os.availableParallelism()));
+  assert.ok(defaultJobs() >= 1);
+});
+
+test('resolveDownloadDir usa --download-dir ou a pasta de --input, mas não um arquivo ou glob', () => {
+  assert.strictEqual(resolveDownloadDir(parseArgs(['download'])), './html_files');
+  assert.strictEqual(resolveDownloadDir(parseArgs(['download', '-i', 'listas'])), 'listas');
+  assert.strictEqual(resolveDownloadDir(parseArgs(['download', '-i', __dirname])), __dirname);
+  assert.strictEqual(resolveDownloadDir(parseArgs(['download', '-i', 'arquivo/**/*.html', '--download-dir', 'baixadas'])), 'baixadas');
+
+  assert.throws(() => resolveDownloadDir(parseArgs(['download', '-i', 'arquivo/**/*.html'])), UsageError);
+  assert.throws(() => resolveDownloadDir(parseArgs(['download', '-i', __filename])), /--input is not a directory/);
+  assert.throws(() => resolveDownloadDir(parseArgs(['download', '-i', 'lista.mhtml'])), /use --download-dir/);
+  assert.throws(() => parseArgs(['--download-dir', 'baixadas']), /only be used with the download command/);
+});
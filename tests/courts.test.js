@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { courtKey, venueFromText, loadCourtDirectory, configureCourts, resolveCourt } = require('../lib/courts');
+
+test('venueFromText lê o local da audiência, inclusive "sitting at" e textos bilíngues', () => {
+  assert.strictEqual(venueFromText('In the County Court at Worcester sitting at Kidderminster'), 'Kidderminster');
+  assert.strictEqual(venueFromText('In the County Court at The Mayors and City of London Court'), 'The Mayors and City of London Court');
+  assert.strictEqual(
+    venueFromText('Yn Llys Sirol a Llys Teulu Casnewydd (Gwent), In The County Court and The Family Court at Newport (Gwent)'),
+    'Newport (Gwent)'
+  );
+  assert.strictEqual(venueFromText('In the St Helens County Court'), 'St Helens');
+  assert.strictEqual(venueFromText('DAILY CAUSE LIST'), '');
+});
+
+test('courtKey ignora pontuação, "&" e o tipo do tribunal', () => {
+  assert.strictEqual(courtKey("The Mayor's and City of London Court"), courtKey('Mayors and City of London'));
+  assert.strictEqual(courtKey('Clerkenwell and Shoreditch'), courtKey('Clerkenwell & Shoreditch'));
+  assert.strictEqual(courtKey('Canterbury Magistrates Court'), 'canterbury');
+});
+
+test('resolveCourt prefere o local da audiência e a lista do título ao tribunal do título', () => {
+  assert.deepStrictEqual(
+    resolveCourt({
+      title: 'CourtServe: Central London County Court, Daily Mayors & City 18/11/24',
+      venue: 'The Mayors and City of London Court',
+    }),
+    {
+      name: "Mayor's and City of London",
+      region: 'London',
+      address: 'Guildhall Buildings, Basinghall Street, London',
+      postcode: 'EC2V 5AR',
+      known: true,
+      method: 'venue',
+    }
+  );
+
+  const stratford = resolveCourt({ title: 'CourtServe: Clerkenwell & Shoreditch County Court, Stratford Housing Centre 21/11/24' });
+  assert.strictEqual(stratford.name, 'Stratford Housing Centre');
+  assert.strictEqual(stratford.method, 'list');
+
+  const slough = resolveCourt({ title: 'CourtServe: Slough County Court, PCOL 10.30 Dep. DJ Cheeseman 21/11/24' });
+  assert.deepStrictEqual([slough.name, slough.region, slough.postcode, slough.method], ['Slough', 'South East', 'SL1 2HE', 'title']);
+});
+
+test('resolveCourt mantém o nome do título quando o tribunal não está no diretório', () => {
+  assert.deepStrictEqual(resolveCourt({ title: 'CourtServe: Mockton County Court, Daily Cause 18/11/24' }), {
+    name: 'Mockton',
+    region: '',
+    address: '',
+    postcode: '',
+    known: false,
+    method: null,
+  });
+});
+
+test('configureCourts troca o diretório e loadCourtDirectory rejeita apelidos repetidos', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'courts-'));
+  t.after(() => {
+    configureCourts();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const file = path.join(dir, 'courts.json');
+  fs.writeFileSync(file, JSON.stringify({ courts: [{ name: 'Mockton', aliases: ['Mock Town'], region: 'Midlands', postcode: 'MK1 1AA' }] }));
+  configureCourts(file);
+  assert.strictEqual(resolveCourt({ title: 'CourtServe: Mockton County Court 18/11/24' }).postcode, 'MK1 1AA');
+  assert.strictEqual(resolveCourt({ title: 'CourtServe: Slough County Court 18/11/24' }).known, false);
+
+  fs.writeFileSync(file, JSON.stringify({ courts: [
+    { name: 'Mockton', aliases: ['Mock Town'], region: 'Midlands' },
+    { name: 'Mock Town', aliases: [], region: 'Wales' },
+  ] }));
+  assert.throws(() => loadCourtDirectory(file), /Duplicate court alias/);
+});
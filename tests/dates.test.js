@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { parseCourtDate, findCourtDate, parseStartTime } = require('../lib/dates');
+
+const iso = (text, options) => parseCourtDate(text, options).iso;
+
+test('parseCourtDate entende datas em inglês, com ordinais e formatos numéricos', () => {
+  assert.deepStrictEqual(parseCourtDate('Monday, 18th November 2024'), {
+    ok: true,
+    iso: '2024-11-18',
+    display: '18/11/2024',
+    input: 'Monday, 18th November 2024',
+  });
+  assert.strictEqual(iso('1st of Dec. 2024'), '2024-12-01');
+  assert.strictEqual(iso('November 22nd, 2024'), '2024-11-22');
+  assert.strictEqual(iso('Tues 3rd Sept 2024'), '2024-09-03');
+  assert.strictEqual(iso('18/11/2024'), '2024-11-18');
+  assert.strictEqual(iso('8.11.24'), '2024-11-08');
+});
+
+test('parseCourtDate entende meses e ordinais em galês e cabeçalhos bilíngues', () => {
+  assert.strictEqual(iso('Dydd Llun, 18 Tachwedd 2024'), '2024-11-18');
+  assert.strictEqual(iso('Dydd Gwener 1af Mawrth 2024'), '2024-03-01');
+  assert.strictEqual(iso('2il Ionawr 2025'), '2025-01-02');
+  assert.strictEqual(iso('3ydd Rhagfyr 2024'), '2024-12-03');
+  assert.strictEqual(iso('21ain Fehefin 2024'), '2024-06-21');
+
+  const bilingual = 'Dydd Llun, 18 Tachwedd 2024, Monday, 18 November 2024';
+  assert.strictEqual(iso(bilingual), '2024-11-18');
+  assert.strictEqual(iso(bilingual, { strict: true }), '2024-11-18');
+});
+
+test('parseCourtDate informa o motivo da falha', () => {
+  assert.strictEqual(parseCourtDate('').reason, 'empty');
+  assert.strictEqual(parseCourtDate('Daily Cause List').reason, 'no-date');
+  assert.deepStrictEqual(parseCourtDate('31/02/2024'), { ok: false, iso: null, display: '', reason: 'invalid-date', input: '31/02/2024' });
+
+  // No modo estrito, uma data no meio de uma frase não vale
+  assert.strictEqual(iso('Hearing adjourned to 18 November 2024'), '2024-11-18');
+  assert.strictEqual(parseCourtDate('Hearing adjourned to 18 November 2024', { strict: true }).reason, 'no-date');
+});
+
+test('findCourtDate usa o primeiro parágrafo que é só uma data', () => {
+  const $ = cheerio.load(`
+    <p>Before: District Judge Mantle</p>
+    <p>Hearings listed after 18 November 2024 are adjourned</p>
+    <p>Dydd Mawrth, 19eg Tachwedd 2024, Tuesday, 19th November 2024</p>
+    <p>20/11/2024</p>`);
+
+  const result = findCourtDate($);
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.iso, '2024-11-19');
+});
+
+test('findCourtDate informa a data inválida ou a ausência de data', () => {
+  assert.strictEqual(findCourtDate(cheerio.load('<p>Monday 31st June 2024</p><p>Courtroom 3</p>')).reason, 'invalid-date');
+  assert.deepStrictEqual(findCourtDate(cheerio.load('<p>Daily Cause List</p><p>Courtroom 3</p>')), {
+    ok: false,
+    iso: null,
+    display: '',
+    reason: 'not-found',
+    input: '',
+  });
+});
+
+test('parseStartTime normaliza o horário para HH:MM (24 horas)', () => {
+  assert.strictEqual(parseStartTime('10.30'), '10:30');
+  assert.strictEqual(parseStartTime('2:00 PM'), '14:00');
+  assert.strictEqual(parseStartTime('12:00 PM'), '12:00');
+  assert.strictEqual(parseStartTime('2.15'), '14:15');
+  assert.strictEqual(parseStartTime('14.00 | L4PP7624'), '14:00');
+  assert.strictEqual(parseStartTime('Not Provided'), '');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readRows, rowsFromHistory, diffRows, formatDiffCsv, formatDiffHtml } = require('../lib/diff');
+const { formatCsv, parseCsv } = require('../lib/exporters/csv');
+
+const row = (claim, fields = {}) => ({
+  'Court Name': 'Slough',
+  'Court Date': '18/11/2024',
+  'Claim Number': claim,
+  'Claimant': 'Peabody Trust',
+  'Defendant': 'Smith',
+  'Hearing Type': 'Possession',
+  'Start Time': '10:00',
+  ...fields,
+});
+
+test('diffRows separa processos novos, removidos, remarcados e atualizados', () => {
+  const before = [row('K00SL001'), row('K00SL002'), row('K00SL003'), row('K00SL004')];
+  const after = [
+    row('K00SL002', { 'Start Time': '14:00' }),
+    row('k00sl003', { 'Hearing Type': 'Directions' }),
+    row('K00SL004'),
+    row('K00SL005'),
+  ];
+
+  const { changes, totals } = diffRows(before, after);
+
+  assert.deepStrictEqual(totals, { new: 1, removed: 1, moved: 1, updated: 1, unchanged: 1 });
+  assert.deepStrictEqual(
+    changes.map(({ change, claimNumber, fields }) => [change, claimNumber, fields]),
+    [
+      ['removed', 'K00SL001', []],
+      ['moved', 'K00SL002', ['Start Time']],
+      ['updated', 'k00sl003', ['Hearing Type']],
+      ['new', 'K00SL005', []],
+    ]
+  );
+});
+
+test('readRows lê de volta o CSV gravado pelo scraper, com aspas e vírgulas', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const file = path.join(directory, 'output.csv');
+  fs.writeFileSync(file, formatCsv([row('K00SL001', { Claimant: 'Acme "Homes", Ltd' })]));
+
+  const [read] = readRows(file);
+  assert.strictEqual(read.Claimant, 'Acme "Homes", Ltd');
+  assert.strictEqual(read['Start Time'], '10:00');
+  assert.deepStrictEqual(parseCsv('A,B\r\n"1\n2",3\r\n'), [{ A: '1\n2', B: '3' }]);
+});
+
+test('rowsFromHistory monta as linhas de uma data e campos vazios não contam como mudança', () => {
+  const history = {
+    claims: {
+      K00SL001: { hearings: [{ date: '2024-11-18', court: 'Slough', hearingType: 'Possession' }] },
+      K00SL002: { hearings: [{ date: '2024-11-19', court: 'Slough', hearingType: 'Possession' }] },
+    },
+  };
+
+  assert.deepStrictEqual(rowsFromHistory(history, '2024-11-18'), [
+    { 'Claim Number': 'K00SL001', 'Court Name': 'Slough', 'Court Date': '18/11/2024', 'Hearing Type': 'Possession' },
+  ]);
+
+  // A linha do histórico não tem horário: só a data mudou
+  const { changes } = diffRows(rowsFromHistory(history, '2024-11-18'), [row('K00SL001', { 'Court Date': '19/11/2024' })]);
+  assert.deepStrictEqual(changes[0].fields, ['Court Date']);
+});
+
+test('relatório de mudanças em CSV e HTML', () => {
+  const diff = diffRows([row('K00SL001')], [row('K00SL001', { 'Court Name': 'Reading' }), row('K00SL002', { Claimant: '<Acme>' })]);
+
+  const csv = parseCsv(formatDiffCsv(diff));
+  assert.deepStrictEqual(
+    csv.map((line) => [line.Change, line['Claim Number'], line['Court Before'], line['Court After']]),
+    [['moved', 'K00SL001', 'Slough', 'Reading'], ['new', 'K00SL002', '', 'Slough']]
+  );
+
+  const html = formatDiffHtml(diff, { before: 'a.csv', after: 'b.csv' });
+  assert.match(html, /Hearings that moved court, date or time \(1\)/);
+  assert.match(html, /&lt;Acme&gt;/);
+  assert.doesNotMatch(html, /Hearings that disappeared/);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const cheerio = require('cheerio');
+const { collectListLinks, buildOutputPath, login, downloadCauseLists } = require('../lib/download');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const MOCK_DIR = path.join(__dirname, '..', 'mock', 'courtserve');
+const LOGIN_URL = pathToFileURL(path.join(MOCK_DIR, 'login.html')).href;
+const INDEX_URL = pathToFileURL(path.join(MOCK_DIR, 'courtlists', 'current', 'county', 'indexv2county.html')).href;
+
+/**
+ * Função para criar uma página falsa com a parte da API do puppeteer usada pelo
+ * download, lendo as páginas estáticas do mock.
+ *
+ * @param {Function} [submit] - Recebe o formulário enviado ({ action, values }) e
+ *   retorna a URL seguinte (padrão: o `action` do formulário).
+ * @returns {object} Página falsa; `submitted()` retorna os campos enviados.
+ */
+function mockPage(submit = (form) => form.action) {
+  const state = { url: '', $: null, submitted: null, navigated: null };
+
+  const load = (url) => {
+    state.url = url;
+    state.$ = cheerio.load(fs.readFileSync(fileURLToPath(url), 'utf-8'));
+    if (state.navigated) state.navigated();
+  };
+
+  return {
+    submitted: () => state.submitted,
+    async goto(url) {
+      load(url);
+    },
+    async content() {
+      return state.$.html();
+    },
+    url() {
+      return state.url;
+    },
+    async title() {
+      return state.$('title').text();
+    },
+    waitForNavigation() {
+      return new Promise((resolve) => {
+        state.navigated = resolve;
+      });
+    },
+    async $(selector) {
+      const field = state.$(selector).first();
+      if (field.length === 0) return null;
+
+      return {
+        async type(text) {
+          field.attr('value', text);
+        },
+        async press(key) {
+          if (key !== 'Enter') return;
+          const form = field.closest('form');
+          const inputs = form.find('input').toArray().map((input) => state.$(input));
+          state.submitted = Object.fromEntries(inputs.map((input) => [input.attr('name'), input.attr('value')]));
+          load(new URL(submit({ action: form.attr('action'), values: state.submitted }), state.url).href);
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Função para criar um `launch` falso, que abre páginas do mock.
+ *
+ * @param {Array<string>} [failing] - Nomes das páginas cujo carregamento falha.
+ * @returns {Function} `launch`; `launch.browser` é o último navegador aberto ({ closed }).
+ */
+function mockLaunch(failing = []) {
+  const launch = async () => {
+    launch.browser = {
+      closed: false,
+      async newPage() {
+        const page = mockPage();
+        const goto = page.goto;
+        page.goto = async (url) => {
+          if (failing.includes(path.basename(new URL(url).pathname))) {
+            throw new Error(`net::ERR_FAILED at ${url}`);
+          }
+          await goto(url);
+        };
+        return page;
+      },
+      async close() {
+        this.closed = true;
+      },
+    };
+    return launch.browser;
+  };
+  return launch;
+}
+
+test('collectListLinks lê os links das listas da página índice do mock', () => {
+  const html = fs.readFileSync(fileURLToPath(INDEX_URL), 'utf-8');
+  const links = collectListLinks(html, INDEX_URL);
+
+  // O link de logout e as âncoras ficam de fora; o link repetido com #top aparece uma vez
+  assert.deepStrictEqual(
+    links.map((link) => path.basename(fileURLToPath(link))),
+    ['mockton-daily-cause.html', 'mockton-pcol.html']
+  );
+  assert.ok(links.every((link) => link.startsWith('file://')));
+  assert.deepStrictEqual(collectListLinks(html, INDEX_URL, /\/nothing\//), []);
+});
+
+test('buildOutputPath nomeia o arquivo pelo título da lista sem sobrescrever os existentes', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'download-'));
+
+  try {
+    const html = fs.readFileSync(path.join(MOCK_DIR, 'courtlists', 'current', 'county', 'lists', 'mockton-pcol.html'), 'utf-8');
+    const title = cheerio.load(html)('title').text();
+    const file = buildOutputPath(title, directory);
+    assert.strictEqual(path.basename(file), 'CourtServe Mockton County Court, PCOL 10.30 Dep. DJ Example 181124.html');
+
+    fs.writeFileSync(file, '');
+    assert.strictEqual(path.basename(buildOutputPath(title, directory)), 'CourtServe Mockton County Court, PCOL 10.30 Dep. DJ Example 181124_1.html');
+    assert.strictEqual(path.basename(buildOutputPath(' <?> ', directory)), 'CourtServe list.html');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('login preenche o formulário do mock e segue para a página índice', async () => {
+  const page = mockPage();
+  await login(page, { loginUrl: LOGIN_URL, username: 'user@example.com', password: 'secret' });
+
+  assert.deepStrictEqual(page.submitted(), { username: 'user@example.com', password: 'secret' });
+});
+
+test('login sem formulário continua sem autenticação', async () => {
+  const page = mockPage();
+  await login(page, { loginUrl: INDEX_URL, username: '', password: '' });
+
+  assert.strictEqual(page.submitted(), null);
+});
+
+test('login falha sem credenciais ou quando a página de login volta', async () => {
+  await assert.rejects(login(mockPage(), { loginUrl: LOGIN_URL, username: '', password: '' }), /Missing credentials/);
+
+  const rejected = mockPage(() => LOGIN_URL);
+  await assert.rejects(login(rejected, { loginUrl: LOGIN_URL, username: 'user@example.com', password: 'wrong' }), /Login failed/);
+});
+
+test('downloadCauseLists entra, lê a página índice e salva cada lista do mock', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const launch = mockLaunch();
+  const saved = await downloadCauseLists({ loginUrl: LOGIN_URL, indexUrl: INDEX_URL, username: 'user@example.com', password: 'secret', outputDir, launch });
+
+  assert.deepStrictEqual(fs.readdirSync(outputDir).sort(), [
+    'CourtServe Mockton County Court, Daily Cause 181124.html',
+    'CourtServe Mockton County Court, PCOL 10.30 Dep. DJ Example 181124.html',
+  ]);
+  assert.deepStrictEqual(saved.map((file) => path.basename(file)).sort(), fs.readdirSync(outputDir).sort());
+  assert.match(fs.readFileSync(saved[0], 'utf-8'), /<title>CourtServe: Mockton County Court/);
+  assert.strictEqual(launch.browser.closed, true);
+});
+
+test('downloadCauseLists pula a lista que falha e fecha o navegador quando o login falha', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+  const options = { loginUrl: LOGIN_URL, indexUrl: INDEX_URL, username: 'user@example.com', password: 'secret', outputDir };
+
+  const partial = mockLaunch(['mockton-daily-cause.html']);
+  const saved = await downloadCauseLists({ ...options, launch: partial });
+  assert.deepStrictEqual(saved.map((file) => path.basename(file)), ['CourtServe Mockton County Court, PCOL 10.30 Dep. DJ Example 181124.html']);
+  assert.strictEqual(partial.browser.closed, true);
+
+  const noCredentials = mockLaunch();
+  await assert.rejects(downloadCauseLists({ ...options, username: '', password: '', launch: noCredentials }), /Missing credentials/);
+  assert.strictEqual(noCredentials.browser.closed, true);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { exportRows, appendRows, getExporter, openExport } = require('../lib/exporters');
+const { resolveOutputs } = require('../lib/cli');
+const { COLUMNS, toRecord } = require('../lib/columns');
+
+const ROWS = [
+  { 'Court Name': 'Mockton', 'Court Date': '18/11/2024', 'Claim Number': 'K00MK001', Claimant: 'Acme "Homes"', Defendant: 'Doe' },
+  { 'Court Name': 'Slough', 'Court Date': '28/10/2024', 'Claim Number': 'L4PP0423', Claimant: 'Radia', Defendant: 'Dundon' },
+];
+
+test('exportador CSV mantém o cabeçalho e escapa as aspas', () => {
+  const csv = getExporter('csv').formatCsv(ROWS).split('\n');
+
+  assert.strictEqual(csv[0], COLUMNS.join(','));
+  assert.ok(csv[0].startsWith('Court Name,Court Date,Claim Number,Claimant,Defendant,Duration,Hearing Type,Hearing Channel,Title'));
+  assert.ok(csv[1].startsWith('"Mockton","18/11/2024","K00MK001","Acme ""Homes""","Doe","","","",""'));
+});
+
+test('confiança 0 é exportada como "0", e não como campo vazio', () => {
+  const row = { ...ROWS[0], 'Confidence': 0, 'Warnings': 'claim-number-format' };
+  const index = COLUMNS.indexOf('Confidence');
+
+  assert.strictEqual(toRecord(row).Confidence, '0');
+  assert.strictEqual(getExporter('csv').formatCsv([row]).split('\n')[1].split('","')[index], '0');
+});
+
+test('append do CSV acrescenta sem repetir o cabeçalho e recusa um arquivo com outras colunas', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exporters-'));
+  const file = path.join(directory, 'rows.csv');
+  const old = path.join(directory, 'old.csv');
+
+  try {
+    await appendRows(ROWS.slice(0, 1), 'csv', file);
+    await appendRows(ROWS.slice(1), 'csv', file);
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), getExporter('csv').formatCsv(ROWS));
+
+    fs.writeFileSync(old, getExporter('csv').formatCsv(ROWS, COLUMNS.slice(0, 9)));
+    await assert.rejects(appendRows(ROWS, 'csv', old), /CSV header does not match the current columns/);
+    assert.strictEqual(fs.readFileSync(old, 'utf-8').split('\n').length, ROWS.length + 1);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('exportador SQLite acumula as execuções sem duplicar linhas', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exporters-'));
+  const file = path.join(directory, 'cause_lists.sqlite');
+
+  try {
+    await exportRows(ROWS, 'sqlite', file);
+    await exportRows(ROWS.slice(0, 1), 'sqlite', file);
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(file));
+    const [result] = db.exec('SELECT claim_number, court_date_iso FROM hearings ORDER BY court_date_iso');
+    db.close();
+
+    assert.deepStrictEqual(result.values, [['L4PP0423', '2024-10-28'], ['K00MK001', '2024-11-18']]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('open grava o JSON e o SQLite em blocos, com o mesmo conteúdo de uma gravação única', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exporters-'));
+  const json = path.join(directory, 'rows.json');
+  const sqlite = path.join(directory, 'cause_lists.sqlite');
+
+  try {
+    await exportRows(ROWS, 'json', path.join(directory, 'expected.json'));
+    for (const [format, file] of [['json', json], ['sqlite', sqlite]]) {
+      const output = await openExport(format, file);
+      output.write(ROWS.slice(0, 1));
+      output.write(ROWS.slice(1));
+      output.close();
+    }
+
+    assert.strictEqual(fs.readFileSync(json, 'utf-8'), fs.readFileSync(path.join(directory, 'expected.json'), 'utf-8'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(json, 'utf-8')).map((row) => row['Claim Number']), ['K00MK001', 'L4PP0423']);
+
+    const empty = await openExport('json', json);
+    empty.close();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(json, 'utf-8')), []);
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(sqlite));
+    const [result] = db.exec('SELECT claim_number FROM hearings ORDER BY claim_number');
+    db.close();
+
+    assert.deepStrictEqual(result.values, [['K00MK001'], ['L4PP0423']]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('getExporter("xlsx").sheetName gera nomes válidos e únicos', () => {
+  const { sheetName } = getExporter('xlsx');
+  const used = new Set();
+
+  assert.strictEqual(sheetName('Barnstaple: [Family]', used), 'Barnstaple Family');
+  assert.strictEqual(sheetName('Barnstaple Family', used), 'Barnstaple Family (1)');
+  assert.strictEqual(sheetName('A'.repeat(40), used).length, 31);
+});
+
+test('resolveOutputs deduz o formato pela extensão e troca a extensão por formato', () => {
+  assert.deepStrictEqual(resolveOutputs('saida.xlsx'), [{ format: 'xlsx', file: 'saida.xlsx' }]);
+  assert.deepStrictEqual(resolveOutputs('saida.csv', ['csv', 'json']), [
+    { format: 'csv', file: 'saida.csv' },
+    { format: 'json', file: 'saida.json' },
+  ]);
+  assert.deepStrictEqual(resolveOutputs('pasta/', ['sqlite']), [{ format: 'sqlite', file: path.join('pasta', 'cause_lists.sqlite') }]);
+});
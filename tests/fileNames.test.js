@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFileName, fileNameDate, fileNameMismatches } = require('../lib/fileNames');
+const { parseCauseList } = require('../scraper');
+const { summarizeFile, buildReport, formatHtmlReport } = require('../lib/report');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const FIXTURE = 'CourtServe Birmingham County Court, District Judge Mantle 271124.html';
+const page = () => fs.readFileSync(path.join(__dirname, 'fixtures', FIXTURE), 'utf-8');
+
+test('parseFileName lê tribunal, lista e data dos nomes salvos do CourtServe', () => {
+  assert.deepStrictEqual(parseFileName(`html_files/${FIXTURE}`), {
+    court: 'Birmingham County Court',
+    list: 'District Judge Mantle',
+    date: '2024-11-27',
+  });
+  assert.deepStrictEqual(parseFileName('CourtServe_ Bromley County Court, PCOL 10.30 DJ Brooks 21_10_24_New.html'), {
+    court: 'Bromley County Court',
+    list: 'PCOL 10.30 DJ Brooks',
+    date: '2024-10-21',
+  });
+  assert.deepStrictEqual(parseFileName('CourtServe_ Bromley County Court (2).html'), { court: 'Bromley County Court', list: '', date: null });
+  assert.deepStrictEqual(parseFileName('Table 4.html'), { court: '', list: '', date: null });
+});
+
+test('fileNameDate lê a data do fim do nome do arquivo', () => {
+  assert.strictEqual(fileNameDate('html/CourtServe Aberystwyth County Court, Daily Cause 181124.html'), '2024-11-18');
+  assert.strictEqual(fileNameDate('CourtServe_ Birkenhead County Court, Daily Cause 22_10_24 2.html'), '2024-10-22');
+  assert.strictEqual(fileNameDate('CourtServe Cardiff County Court, Daily Cause 211124_1.html'), '2024-11-21');
+  assert.strictEqual(fileNameDate('CourtServe Cardiff County Court, Daily Cause 311124.html'), null);
+  assert.strictEqual(fileNameDate('CourtServe_ Bromley County Court (2).html'), null);
+});
+
+test('fileNameMismatches aceita rótulos cortados e aponta o que não confere', () => {
+  const fileName = parseFileName('CourtServe_ South Shields County Court, Dep. Dist. Judge M Crowe (o 30_10_24.html');
+  const courtDate = { ok: true, iso: '2024-10-30' };
+  const title = 'CourtServe: South Shields County Court, Dep. Dist. Judge M Crowe (of counsel) 30/10/24';
+  assert.deepStrictEqual(fileNameMismatches(fileName, { title, courtDate }), []);
+
+  assert.deepStrictEqual(
+    fileNameMismatches(fileName, { title: 'CourtServe: Sunderland County Court, Daily Cause 31/10/24', courtDate: { ok: true, iso: '2024-10-31' } }),
+    [
+      { field: 'court', fileName: 'South Shields', page: 'Sunderland' },
+      { field: 'list', fileName: 'Dep. Dist. Judge M Crowe (o', page: 'Daily Cause' },
+      { field: 'date', fileName: '2024-10-30', page: '2024-10-31' },
+    ]
+  );
+});
+
+test('parseCauseList usa o tribunal, a data e a lista do nome do arquivo quando a página não as traz', () => {
+  const html = page()
+    .replace(/<title>[^<]*<\/title>/, '<title></title>')
+    .replace('Wednesday, 27 November 2024', 'Wednesday');
+  const { rows, metadata } = parseCauseList(html, { sourceName: FIXTURE });
+
+  assert.ok(rows.length > 0);
+  assert.ok(rows.every((row) => row['Court Date'] === '27/11/2024'));
+  assert.strictEqual(metadata.courtDate.source, 'file-name');
+  assert.deepStrictEqual(metadata.fallbacks, ['court', 'date', 'list']);
+  assert.strictEqual(metadata.court.method, 'file-name');
+  assert.deepStrictEqual(metadata.mismatches, []);
+
+  const summary = summarizeFile(FIXTURE, rows, metadata);
+  assert.strictEqual(summary.date, '27/11/2024');
+  assert.ok(summary.reasons.includes('file-name-fallback'));
+  assert.ok(!summary.reasons.includes('date-unparseable'));
+  assert.match(formatHtmlReport(buildReport([summary])), /Fields taken from the file name[\s\S]*District Judge Mantle 271124\.html: court, date, list/);
+});
+
+test('relatório aponta o arquivo cujo nome não confere com a página', () => {
+  const renamed = 'CourtServe Bromley County Court, Daily Cause 281124.html';
+  const { rows, metadata } = parseCauseList(page(), { sourceName: renamed });
+
+  assert.strictEqual(rows[0]['Court Name'], 'Birmingham');
+  assert.deepStrictEqual(metadata.mismatches.map((mismatch) => mismatch.field), ['court', 'list', 'date']);
+
+  const summary = summarizeFile(renamed, rows, metadata);
+  assert.strictEqual(summary.status, 'partial');
+  assert.ok(summary.reasons.includes('file-name-mismatch'));
+  assert.match(
+    formatHtmlReport(buildReport([summary])),
+    /File names that do not match the page[\s\S]*<td>date<\/td><td>2024-11-28<\/td><td>2024-11-27<\/td>/
+  );
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, resolveInputs } = require('../lib/files');
+
+test('globToRegExp só usa a vírgula como alternativa dentro das chaves', () => {
+  const matcher = globToRegExp('arquivo/CourtServe_ Wigan County Court, Daily*.{html,mhtml}');
+
+  assert.ok(matcher.test('arquivo/CourtServe_ Wigan County Court, Daily Cause 28_10_24.html'));
+  assert.ok(matcher.test('arquivo/CourtServe_ Wigan County Court, Daily Cause 28_10_24.mhtml'));
+  assert.ok(!matcher.test('arquivo/CourtServe_ Wigan County Court, District Judge Mantle.html'));
+  assert.ok(!matcher.test('arquivo/CourtServe_ Leeds County Court, Daily DJs 17_10_24.html'));
+  assert.ok(globToRegExp('a}b.html').test('a}b.html'));
+});
+
+test('resolveInputs com o nome de uma lista do CourtServe seleciona só os arquivos do padrão', () => {
+  const fixtures = path.join(__dirname, 'fixtures');
+  const pattern = path.join(fixtures, 'CourtServe_ Wigan County Court, Daily*.html');
+  const expected = fs.readdirSync(fixtures).filter((file) => file.startsWith('CourtServe_ Wigan County Court, Daily'));
+
+  assert.ok(expected.length > 0);
+  assert.deepStrictEqual(resolveInputs(pattern).map((file) => path.basename(file)), expected.sort());
+});
+
+test('resolveInputs desce só as pastas que o glob pede e nunca entra em node_modules', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'files-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  ['lista.html', 'sub/lista.html', 'sub/mais/lista.html', 'node_modules/pacote/lista.html'].forEach((file) => {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), '');
+  });
+
+  const relative = (files) => files.map((file) => path.relative(directory, file).split(path.sep).join('/'));
+  assert.deepStrictEqual(relative(resolveInputs(path.join(directory, '*.html'))), ['lista.html']);
+  assert.deepStrictEqual(relative(resolveInputs(path.join(directory, '*/*.html'))), ['sub/lista.html']);
+  assert.deepStrictEqual(relative(resolveInputs(path.join(directory, '**/*.html'))), ['lista.html', 'sub/lista.html', 'sub/mais/lista.html']);
+});
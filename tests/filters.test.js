@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFilters, configureFilters, filterRows } = require('../lib/filters');
+
+const row = (fields) => ({
+  'Claim Number': 'K00MK001',
+  'Case Type': 'Not Provided',
+  'Hearing Type': 'Not Provided',
+  ...fields,
+});
+
+test('filterRows mantém posse pelo tipo do processo ou da audiência', (t) => {
+  t.after(() => configureFilters());
+  configureFilters();
+
+  const rows = [
+    row({ 'Case Type': 'Possession' }),
+    row({ 'Hearing Type': 'Possession Rent (Social)' }),
+    row({ 'Case Type': 'Family', 'Hearing Type': 'Directions' }),
+    row({}),
+    row({ 'Claim Number': 'PCOL', 'Hearing Type': 'Possession Mortgage' }),
+  ];
+  const { kept, filtered } = filterRows(rows);
+
+  assert.deepStrictEqual(kept, [rows[0], rows[1], rows[3]]);
+  assert.deepStrictEqual(filtered.map(({ reason }) => reason), [
+    'include caseType~possess or hearingType~possession',
+    'exclude claimNumber~^PCOL$',
+  ]);
+});
+
+test('regra de include com campo ausente é ignorada', (t) => {
+  t.after(() => configureFilters());
+  configureFilters({ include: [{ caseType: 'possess' }, { hearingType: 'possession' }] });
+
+  // Sem o tipo do processo, só o tipo da audiência decide
+  const { kept } = filterRows([row({ 'Hearing Type': 'Directions' }), row({ 'Case Type': 'Possession', 'Hearing Type': 'Directions' })]);
+  assert.deepStrictEqual(kept.map((item) => item['Case Type']), ['Possession']);
+});
+
+test('configureFilters aceita listas de expressões e null para desligar o filtro', (t) => {
+  t.after(() => configureFilters());
+
+  configureFilters({ include: [{ claimantType: ['lender', 'housing-association'], court: '^Slough$' }] });
+  const { kept } = filterRows([
+    row({ 'Claimant Type': 'lender', 'Court Name': 'Slough' }),
+    row({ 'Claimant Type': 'lender', 'Court Name': 'Reading' }),
+    row({ 'Claimant Type': 'local-authority', 'Court Name': 'Slough' }),
+  ]);
+  assert.strictEqual(kept.length, 1);
+
+  configureFilters(null);
+  assert.strictEqual(filterRows([row({ 'Case Type': 'Family' })]).kept.length, 1);
+});
+
+test('loadFilters rejeita campos desconhecidos e regras vazias', () => {
+  assert.throws(() => loadFilters({ include: [{ judge: 'Smith' }] }), /Unknown filter field/);
+  assert.throws(() => loadFilters({ exclude: [{}] }), /Empty filter rule/);
+});
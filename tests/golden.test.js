@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { listFixtures, snapshotPath, checkAll, formatReport } = require('./helpers/golden');
+
+test('saída do scraper confere com os snapshots das fixtures', () => {
+  const failures = checkAll();
+  assert.ok(failures.length === 0, `\n${formatReport(failures)}\n\nIf the change is intentional, run \`npm run test:bless\`.`);
+});
+
+test('não há snapshots sem fixture correspondente', () => {
+  const expected = new Set(listFixtures().map((fixture) => path.basename(snapshotPath(fixture))));
+  const orphans = fs
+    .readdirSync(path.dirname(snapshotPath('x.html')))
+    .filter((file) => !expected.has(file));
+
+  assert.deepStrictEqual(orphans, []);
+});
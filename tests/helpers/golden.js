@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCauseList } = require('../../scraper');
+const { configureLogger } = require('../../lib/logger');
+
+/**
+ * Harness dos testes de regressão ("golden files").
+ *
+ * Cada arquivo de `tests/fixtures/` é processado pelo `parseCauseList` e o
+ * resultado é comparado com o snapshot JSON correspondente em `tests/snapshots/`.
+ * As fixtures ficam fora de `checked_files/`, que é a pasta para onde o scraper
+ * move as listas processadas.
+ *
+ * Para aceitar intencionalmente uma mudança de saída, regenere os snapshots:
+ *   npm run test:bless
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, '..', 'snapshots');
+
+// Os logs do scraper não interessam aos testes
+configureLogger({ level: 'silent' });
+
+/**
+ * Função para listar os arquivos HTML usados como fixtures.
+ *
+ * @returns {Array<string>} Nomes dos arquivos, em ordem alfabética.
+ */
+function listFixtures() {
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((file) => path.extname(file).toLowerCase() === '.html')
+    .sort();
+}
+
+/**
+ * Função para obter o caminho do snapshot de uma fixture.
+ *
+ * @param {string} fixture - Nome do arquivo HTML.
+ * @returns {string} Caminho do snapshot JSON.
+ */
+function snapshotPath(fixture) {
+  return path.join(SNAPSHOTS_DIR, fixture.replace(/\.html$/i, '.json'));
+}
+
+/**
+ * Função para executar o scraper sobre uma fixture.
+ *
+ * @param {string} fixture - Nome do arquivo HTML.
+ * @returns {object} Resultado no formato do snapshot ({ template, rows }).
+ */
+function runFixture(fixture) {
+  const filePath = path.join(FIXTURES_DIR, fixture);
+  const { rows, metadata } = parseCauseList(fs.readFileSync(filePath), { sourceName: filePath });
+  return { template: metadata.template, rows };
+}
+
+/**
+ * Função para ler o snapshot de uma fixture.
+ *
+ * @param {string} fixture - Nome do arquivo HTML.
+ * @returns {object|null} Snapshot salvo ou null se ainda não existir.
+ */
+function readSnapshot(fixture) {
+  const file = snapshotPath(fixture);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+/**
+ * Função para gravar o snapshot de uma fixture.
+ *
+ * @param {string} fixture - Nome do arquivo HTML.
+ * @param {object} result - Resultado do scraper ({ template, rows }).
+ */
+function writeSnapshot(fixture, result) {
+  if (!fs.existsSync(SNAPSHOTS_DIR)) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  }
+  fs.writeFileSync(snapshotPath(fixture), `${JSON.stringify(result, null, 2)}\n`);
+}
+
+/**
+ * Função para descrever uma linha de forma curta nos diffs.
+ *
+ * @param {object} row - Linha extraída.
+ * @returns {string} Descrição da linha.
+ */
+function describeRow(row) {
+  return `${row['Claim Number'] || '?'} (${row['Claimant'] || '?'} v ${row['Defendant'] || '?'})`;
+}
+
+/**
+ * Função para comparar o resultado atual com o snapshot de uma fixture.
+ * As linhas são comparadas pela posição, listando os campos alterados.
+ *
+ * @param {object|null} expected - Snapshot salvo.
+ * @param {object} actual - Resultado atual.
+ * @returns {Array<string>} Linhas descrevendo as diferenças (vazio se iguais).
+ */
+function compareResult(expected, actual) {
+  if (!expected) {
+    return ['missing snapshot (run `npm run test:bless`)'];
+  }
+
+  const changes = [];
+
+  if (expected.template !== actual.template) {
+    changes.push(`template: ${expected.template} -> ${actual.template}`);
+  }
+
+  const total = Math.max(expected.rows.length, actual.rows.length);
+  for (let i = 0; i < total; i++) {
+    const before = expected.rows[i];
+    const after = actual.rows[i];
+
+    if (!after) {
+      changes.push(`- row ${i + 1} removed: ${describeRow(before)}`);
+    } else if (!before) {
+      changes.push(`+ row ${i + 1} added: ${describeRow(after)}`);
+    } else {
+      const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+      fields.forEach((field) => {
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+          changes.push(
+            `~ row ${i + 1} ${field}: ${JSON.stringify(before[field])} -> ${JSON.stringify(after[field])}`
+          );
+        }
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Função para extrair o tribunal a partir do nome da fixture, para agrupar o relatório.
+ *
+ * @param {string} fixture - Nome do arquivo HTML.
+ * @returns {string} Nome do tribunal (ou o próprio arquivo se não reconhecido).
+ */
+function courtFromFixture(fixture) {
+  const match = fixture.match(/^CourtServe_?\s*(.*?),/i);
+  return match ? match[1].trim() : fixture;
+}
+
+/**
+ * Função para montar o relatório de diferenças agrupado por template e por tribunal.
+ *
+ * @param {Array<object>} failures - Diferenças ({ fixture, template, changes }).
+ * @returns {string} Relatório legível.
+ */
+function formatReport(failures) {
+  const lines = [`${failures.length} fixture(s) differ from their snapshot.`, '', 'By template:'];
+
+  const byTemplate = {};
+  failures.forEach((failure) => {
+    const key = failure.template || 'no template';
+    byTemplate[key] = (byTemplate[key] || 0) + 1;
+  });
+  Object.keys(byTemplate)
+    .sort()
+    .forEach((template) => lines.push(`  ${template}: ${byTemplate[template]} file(s)`));
+
+  lines.push('', 'By court:');
+
+  const byCourt = {};
+  failures.forEach((failure) => {
+    const court = courtFromFixture(failure.fixture);
+    (byCourt[court] = byCourt[court] || []).push(failure);
+  });
+  Object.keys(byCourt)
+    .sort()
+    .forEach((court) => {
+      lines.push(`  ${court}`);
+      byCourt[court].forEach((failure) => {
+        lines.push(`    ${failure.fixture} [${failure.template || 'no template'}]`);
+        failure.changes.forEach((change) => lines.push(`      ${change}`));
+      });
+    });
+
+  return lines.join('\n');
+}
+
+/**
+ * Função para verificar todas as fixtures contra os snapshots.
+ *
+ * @returns {Array<object>} Diferenças encontradas ({ fixture, template, changes }).
+ */
+function checkAll() {
+  return listFixtures()
+    .map((fixture) => {
+      const actual = runFixture(fixture);
+      const changes = compareResult(readSnapshot(fixture), actual);
+      return { fixture, template: actual.template, changes };
+    })
+    .filter((failure) => failure.changes.length > 0);
+}
+
+/**
+ * Função para regenerar todos os snapshots, removendo os que não têm mais fixture.
+ *
+ * @returns {number} Quantidade de snapshots gravados.
+ */
+function blessAll() {
+  const fixtures = listFixtures();
+  const expected = new Set(fixtures.map((fixture) => path.basename(snapshotPath(fixture))));
+
+  if (fs.existsSync(SNAPSHOTS_DIR)) {
+    fs.readdirSync(SNAPSHOTS_DIR)
+      .filter((file) => !expected.has(file))
+      .forEach((file) => fs.unlinkSync(path.join(SNAPSHOTS_DIR, file)));
+  }
+
+  fixtures.forEach((fixture) => writeSnapshot(fixture, runFixture(fixture)));
+  return fixtures.length;
+}
+
+module.exports = {
+  listFixtures,
+  snapshotPath,
+  runFixture,
+  compareResult,
+  formatReport,
+  checkAll,
+  blessAll,
+};
+
+if (require.main === module) {
+  if (process.argv.includes('--bless')) {
+    console.log(`${blessAll()} snapshot(s) written to ${SNAPSHOTS_DIR}`);
+  } else {
+    const failures = checkAll();
+    console.log(failures.length ? formatReport(failures) : 'All snapshots match.');
+    process.exitCode = failures.length ? 1 : 0;
+  }
+}
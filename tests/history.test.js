@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { markRows } = require('../lib/history');
+const { runBatch } = require('../scraper');
+const { getExporter } = require('../lib/exporters');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const row = (claim, date, court = 'Mockton') => ({ 'Claim Number': claim, 'Court Date': date, 'Court Name': court, 'Hearing Type': 'Possession' });
+
+test('markRows marca processos novos, relistados e já vistos entre execuções', () => {
+  const history = { lastRunAt: null, claims: {} };
+
+  const first = [row('K00MK001', '18/11/2024'), row('K00MK001', '25/11/2024'), row('Not Provided', '18/11/2024')];
+  assert.deepStrictEqual(markRows(history, first, '2024-11-18T08:00:00.000Z'), { new: 2, relisted: 0, seen: 0 });
+  assert.deepStrictEqual(first.map((r) => r.Status), ['new', 'new', '']);
+
+  const second = [row('k00mk001', '25/11/2024'), row('K00MK001', '02/12/2024'), row('K00MK002', '02/12/2024')];
+  assert.deepStrictEqual(markRows(history, second, '2024-11-25T08:00:00.000Z'), { new: 1, relisted: 1, seen: 1 });
+  assert.deepStrictEqual(second.map((r) => r.Status), ['seen', 'relisted', 'new']);
+
+  assert.deepStrictEqual(history.claims.K00MK001.hearings.map((hearing) => hearing.date), ['2024-11-18', '2024-11-25', '2024-12-02']);
+  assert.strictEqual(history.claims.K00MK001.hearings[0].row['Claim Number'], 'K00MK001');
+  assert.strictEqual(history.claims.K00MK001.hearings[0].row.Status, 'new');
+  assert.strictEqual(history.lastRunAt, '2024-11-25T08:00:00.000Z');
+});
+
+/**
+ * Função para montar uma lista no formato do template5 com as audiências informadas.
+ *
+ * @param {string} date - Data da lista (DD/MM/YY).
+ * @param {Array<string>} hearings - "Número Requerente v Requerido" de cada audiência.
+ * @returns {string} HTML da lista.
+ */
+function causeList(date, hearings) {
+  const cells = hearings
+    .map((details) => `<tr><td>10:00 AM</td><td>15 minutes</td><td>${details}</td><td>Possession Rent</td><td>In Person</td></tr>`)
+    .join('');
+
+  return `<html><head><title>CourtServe: Huddersfield County Court, Daily Cause ${date}</title></head><body>
+    <p>${date}</p>
+    <table><tr><td>Start Time</td><td>Duration</td><td>Case Details</td><td>Hearing Type</td><td>Hearing Channel</td></tr>${cells}</table>
+  </body></html>`;
+}
+
+test('runBatch com newOnly exporta na segunda execução só os processos novos e marca os relistados', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const history = path.join(directory, 'case_history.json');
+  const list = path.join(directory, 'CourtServe Huddersfield County Court, Daily Cause 181124.html');
+  fs.writeFileSync(list, causeList('18/11/24', ['L4PP0001 Kirklees Council v Smith', 'L4PP0002 Kirklees Council v Jones']));
+
+  const run = async (name) => {
+    const output = path.join(directory, name);
+    const { rows } = await runBatch({ input: directory, fileAction: 'leave', outputFile: output, history, newOnly: true });
+    const exported = fs.existsSync(output) ? getExporter('csv').parseCsv(fs.readFileSync(output, 'utf-8')) : [];
+    return { rows, exported: exported.map((row) => row['Claim Number']) };
+  };
+
+  const first = await run('primeira.csv');
+  assert.deepStrictEqual(first.exported, ['L4PP0001', 'L4PP0002']);
+
+  // Na semana seguinte: a mesma lista, L4PP0002 relistado em outra data e um processo novo
+  fs.writeFileSync(
+    path.join(directory, 'CourtServe Huddersfield County Court, Daily Cause 251124.html'),
+    causeList('25/11/24', ['L4PP0002 Kirklees Council v Jones', 'L4PP0003 Kirklees Council v Brown'])
+  );
+  const second = await run('segunda.csv');
+
+  assert.deepStrictEqual(
+    second.rows.map((row) => [row['Claim Number'], row['Court Date'], row.Status]),
+    [
+      ['L4PP0001', '18/11/2024', 'seen'],
+      ['L4PP0002', '18/11/2024', 'seen'],
+      ['L4PP0002', '25/11/2024', 'relisted'],
+      ['L4PP0003', '25/11/2024', 'new'],
+    ]
+  );
+  assert.deepStrictEqual(second.exported, ['L4PP0003']);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convertInput, inputExtensions } = require('../lib/inputs');
+const { decodeHtml } = require('../lib/inputs/html');
+const { parseCauseList, runBatch } = require('../scraper');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+/**
+ * Função para montar um PDF simples (uma página, Helvetica, sem compressão)
+ * com textos posicionados, como os de uma lista impressa em PDF.
+ *
+ * @param {string} title - Título do documento.
+ * @param {Array<[number, number, string]>} texts - Textos: x, y e conteúdo.
+ * @returns {Buffer} Conteúdo do PDF.
+ */
+function buildPdf(title, texts) {
+  const escape = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+  const stream = texts.map(([x, y, text]) => `BT /F1 10 Tf 1 0 0 1 ${x} ${y} Tm (${escape(text)}) Tj ET`).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 842 595] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    `<< /Title (${escape(title)}) >>`,
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const PDF_LIST = buildPdf('Aberystwyth County Court Daily Cause List', [
+  [40, 560, 'In the County Court at Aberystwyth'],
+  [40, 545, 'Monday 18 November 2024'],
+  [40, 510, 'Before: District Judge Jones'],
+  [40, 490, 'Start Time'],
+  [110, 490, 'Duration'],
+  [200, 490, 'Case Details'],
+  [450, 490, 'Hearing Type'],
+  [600, 490, 'Hearing Channel'],
+  [40, 470, '10:00 AM'],
+  [110, 470, '30 minutes'],
+  [200, 470, 'K00AB123 Smith v Jones'],
+  [450, 470, 'Possession Hearing'],
+  [600, 470, 'In Person'],
+  [200, 455, 'K00AB124 Brown v Green'],
+  [40, 440, '11:00 AM'],
+  [110, 440, '1 hour'],
+  [200, 440, 'L10CD456 Bank Plc v Doe'],
+  [450, 440, 'Possession Review'],
+  [600, 440, 'Video'],
+]);
+
+test('decodeHtml lê UTF-8 mesmo quando a página declara windows-1252', () => {
+  const page = Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=windows-1252"><p>Café – Llanelli</p>', 'utf-8');
+  assert.match(decodeHtml(page), /Café – Llanelli/);
+});
+
+test('decodeHtml lê páginas gravadas em Windows-1252', () => {
+  const page = Buffer.concat([Buffer.from('<p>O'), Buffer.from([0x92]), Buffer.from('Brien v Caf'), Buffer.from([0xe9, 0x20, 0x96, 0x20, 0x80]), Buffer.from('5</p>')]);
+  assert.strictEqual(decodeHtml(page), '<p>O’Brien v Café – €5</p>');
+});
+
+test('decodeHtml respeita o BOM', () => {
+  assert.strictEqual(decodeHtml(Buffer.from('﻿<p>Ynys Môn</p>', 'utf-8')), '<p>Ynys Môn</p>');
+  assert.strictEqual(decodeHtml(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<p>Môn</p>', 'utf16le')])), '<p>Môn</p>');
+});
+
+test('convertInput extrai a página de um MHTML em quoted-printable', async () => {
+  const archive = [
+    'From: <Saved by Blink>',
+    'Subject: CourtServe Aberystwyth',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/related;',
+    '\ttype="text/html";',
+    '\tboundary="----MultipartBoundary--abc123----"',
+    '',
+    '',
+    '------MultipartBoundary--abc123----',
+    'Content-Type: text/html',
+    'Content-ID: <frame-1@mhtml.blink>',
+    'Content-Transfer-Encoding: quoted-printable',
+    'Content-Location: https://www.courtserve.net/courtlists/current/county/indexv2county.php',
+    '',
+    '<html><head><meta http-equiv=3D"Content-Type" content=3D"text/html; charset=3Dwindows=',
+    '-1252"><title>Lista</title></head><body><p>Caf=C3=A9 O=E2=80=99Brien</p></body></html>',
+    '------MultipartBoundary--abc123----',
+    'Content-Type: text/css',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'p { color: red; }',
+    '------MultipartBoundary--abc123------',
+    '',
+  ].join('\r\n');
+
+  const { html, input } = await convertInput(Buffer.from(archive, 'latin1'), 'lista.html');
+  assert.strictEqual(input, 'mhtml');
+  assert.match(html, /<title>Lista<\/title>/);
+  assert.match(html, /charset=windows-1252/);
+  assert.match(html, /Café O’Brien/);
+  assert.doesNotMatch(html, /color: red/);
+});
+
+test('convertInput monta a tabela a partir da camada de texto do PDF e o template extrai as linhas', async () => {
+  const { html, input } = await convertInput(PDF_LIST, 'lista.pdf');
+  assert.strictEqual(input, 'pdf');
+
+  const { rows, metadata } = parseCauseList(html, { sourceName: 'lista.pdf', input });
+  assert.strictEqual(metadata.input, 'pdf');
+  assert.strictEqual(metadata.template, 'template5');
+  assert.strictEqual(metadata.courtName, 'Aberystwyth');
+  assert.strictEqual(metadata.courtDate.iso, '2024-11-18');
+
+  assert.deepStrictEqual(
+    rows.map((row) => [row['Claim Number'], row.Claimant, row.Defendant, row['Start Time'], row['Hearing Type'], row.Judge]),
+    [
+      ['K00AB123', 'Smith', 'Jones', '10:00', 'Possession Hearing', 'Jones'],
+      ['K00AB124', 'Brown', 'Green', '10:00', 'Possession Hearing', 'Jones'],
+      ['L10CD456', 'Bank Plc', 'Doe', '11:00', 'Possession Review', 'Jones'],
+    ]
+  );
+});
+
+test('runBatch processa PDFs da pasta de entrada e envia os ilegíveis para os não processados', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inputs-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const input = path.join(directory, 'html_files');
+  fs.mkdirSync(input);
+  fs.writeFileSync(path.join(input, 'lista.pdf'), PDF_LIST);
+  fs.writeFileSync(path.join(input, 'corrompido.pdf'), '%PDF-1.4\nnada aqui');
+  fs.writeFileSync(path.join(input, 'notas.txt'), 'não é uma lista');
+
+  const { rows, files } = await runBatch({
+    input,
+    checkedDir: path.join(directory, 'checked_files'),
+    unprocessedDir: path.join(directory, 'unprocessed_files'),
+  });
+
+  assert.strictEqual(rows.length, 3);
+  assert.deepStrictEqual(files.map((result) => path.basename(result.file)), ['corrompido.pdf', 'lista.pdf']);
+  assert.deepStrictEqual(files[0].summary.reasons, ['unreadable']);
+  assert.ok(fs.existsSync(path.join(directory, 'unprocessed_files', 'corrompido.pdf')));
+  assert.ok(fs.existsSync(path.join(directory, 'checked_files', 'lista.pdf')));
+  assert.ok(inputExtensions().includes('.mhtml'));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseParties, partyColumns } = require('../lib/parties');
+
+const summary = (text) => parseParties(text).map((party) => [party.title, party.firstName, party.lastName, party.isCompany]);
+
+test('parseParties separa várias partes unidas por & e numeradas', () => {
+  assert.deepStrictEqual(summary('Mr Moise Lonzo & Mrs Floraine Lonzo'), [
+    ['Mr', 'Moise', 'Lonzo', false],
+    ['Mrs', 'Floraine', 'Lonzo', false],
+  ]);
+  assert.deepStrictEqual(summary('1. LONDON BOROUGH OF NEWHAM 2. MISS MARIA DA SILVA'), [
+    ['', '', '', true],
+    ['Miss', 'MARIA', 'DA SILVA', false],
+  ]);
+  assert.deepStrictEqual(summary('EMANUEL SANDOR (1) ANDREEA SANDOR (2)'), [
+    ['', 'EMANUEL', 'SANDOR', false],
+    ['', 'ANDREEA', 'SANDOR', false],
+  ]);
+});
+
+test('parseParties não separa nomes de organizações com & ou "and"', () => {
+  assert.deepStrictEqual(summary('Bath and West Finance Limited'), [['', '', '', true]]);
+  assert.deepStrictEqual(summary('Bank of Scotland PLC T/A Halifax'), [['', '', '', true]]);
+  assert.deepStrictEqual(summary('Kent Disco Supplies Ltd & Mr Michael Duncan Hackwood'), [
+    ['', '', '', true],
+    ['Mr', 'Michael', 'Hackwood', false],
+  ]);
+});
+
+test('parseParties separa o representante e os nomes alternativos', () => {
+  const [party] = parseParties('CURTIS (FKA KIRK) BY LPA RECEIVER GEOFFREY CLIVE DAVIES');
+
+  assert.strictEqual(party.name, 'CURTIS');
+  assert.strictEqual(party.representative, 'BY LPA RECEIVER GEOFFREY CLIVE DAVIES');
+});
+
+test('partyColumns junta os valores de várias partes com "; "', () => {
+  assert.deepStrictEqual(partyColumns('Defendant', 'Awolaja/Awolaja'), {
+    'Defendant Title': '; ',
+    'Defendant First Name': '; ',
+    'Defendant Last Name': 'Awolaja; Awolaja',
+    'Defendant Is Company': 'No; No',
+  });
+  assert.deepStrictEqual(partyColumns('Claimant', 'Not Provided')['Claimant Is Company'], '');
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runBatch } = require('../scraper');
+const { createProgress } = require('../lib/progress');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const FIXTURES = [
+  'CourtServe Birmingham County Court, District Judge Mantle 271124.html',
+  'CourtServe Cardiff County Court, Daily Cause 281124.html',
+  'CourtServe Bromley County Court, PCOL 12.00 Dep. DJ Mohabir 281124.html',
+  'CourtServe_ Bromley County Court, PCOL 10.30 DJ Brooks 21_10_24.html',
+  'CourtServe_ St Helens County Court, Daily Cause 21_10_24.html',
+  'CourtServe_ Walsall County Court, Daily Cause 17_10_24.html',
+  'Table 4.html',
+];
+
+/**
+ * Função para montar uma pasta de entrada com algumas listas das fixtures
+ * e processá-la com a quantidade de workers pedida.
+ *
+ * @param {object} t - Contexto do teste.
+ * @param {number} jobs - Quantidade de workers.
+ * @returns {Promise<object>} Resultado do `runBatch` e arquivos gravados.
+ */
+async function runWith(t, jobs) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const input = path.join(directory, 'html_files');
+  fs.mkdirSync(input);
+  FIXTURES.forEach((fixture) => fs.copyFileSync(path.join(__dirname, 'fixtures', fixture), path.join(input, fixture)));
+  fs.writeFileSync(path.join(input, 'corrompido.pdf'), '%PDF-1.4\nnada aqui');
+
+  const files = {
+    csv: path.join(directory, 'saida.csv'),
+    ndjson: path.join(directory, 'saida.ndjson'),
+    history: path.join(directory, 'historico.json'),
+    quarantine: path.join(directory, 'revisar.csv'),
+  };
+
+  const result = await runBatch({
+    input,
+    fileAction: 'leave',
+    outputs: [{ format: 'csv', file: files.csv }, { format: 'ndjson', file: files.ndjson }],
+    history: files.history,
+    quarantineFile: files.quarantine,
+    minConfidence: 0.9,
+    jobs,
+    setup: { logger: { level: 'silent' } },
+  });
+
+  return { result, files };
+}
+
+test('runBatch com workers produz a mesma saída, na mesma ordem, que o processamento na thread principal', async (t) => {
+  const single = await runWith(t, 1);
+  const parallel = await runWith(t, 3);
+
+  assert.ok(single.result.rows.length > 0);
+  assert.deepStrictEqual(
+    parallel.result.files.map((file) => path.basename(file.file)),
+    single.result.files.map((file) => path.basename(file.file))
+  );
+  assert.deepStrictEqual(parallel.result.report.files.map((file) => file.reasons), single.result.report.files.map((file) => file.reasons));
+  assert.ok(single.result.quarantined > 0);
+  assert.strictEqual(parallel.result.quarantined, single.result.quarantined);
+
+  const read = (file) => fs.readFileSync(file, 'utf-8');
+  assert.strictEqual(read(parallel.files.csv), read(single.files.csv));
+  assert.strictEqual(read(parallel.files.quarantine), read(single.files.quarantine));
+  assert.deepStrictEqual(
+    read(parallel.files.ndjson).trim().split('\n').map((line) => JSON.parse(line).Status),
+    read(single.files.ndjson).trim().split('\n').map((line) => JSON.parse(line).Status)
+  );
+
+  const lines = read(single.files.csv).split('\n').length - 1 + read(single.files.quarantine).split('\n').length - 1;
+  assert.strictEqual(lines, single.result.rows.length);
+  assert.strictEqual(parallel.result.throughput.files, FIXTURES.length + 1);
+  assert.strictEqual(parallel.result.throughput.rows, single.result.rows.length);
+});
+
+test('runBatch com keepRows: false não guarda as linhas, mas as exporta', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const output = path.join(directory, 'saida.ndjson');
+  const { rows, report } = await runBatch({
+    inputs: [path.join(__dirname, 'fixtures', FIXTURES[0])],
+    fileAction: 'leave',
+    outputs: [{ format: 'ndjson', file: output }],
+    keepRows: false,
+  });
+
+  assert.deepStrictEqual(rows, []);
+  assert.ok(report.totals.rows > 0);
+  assert.strictEqual(fs.readFileSync(output, 'utf-8').trim().split('\n').length, report.totals.rows);
+});
+
+test('createProgress calcula a vazão e registra o progresso no intervalo', () => {
+  let time = 0;
+  const progress = createProgress(4, { interval: 1000, now: () => time });
+
+  time = 500;
+  progress.update(10);
+  time = 2000;
+  progress.update(30);
+
+  assert.deepStrictEqual(progress.finish(), { files: 2, rows: 40, seconds: 2, filesPerSecond: 1, rowsPerSecond: 20 });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCauseList } = require('../scraper');
+const { summarizeFile, buildReport, formatHtmlReport } = require('../lib/report');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+test('summarizeFile marca como failed a página sem template', () => {
+  const { rows, metadata } = parseCauseList('<html><body><p>Sem lista</p></body></html>');
+  const summary = summarizeFile('sem-lista.html', rows, metadata);
+
+  assert.strictEqual(summary.status, 'failed');
+  assert.deepStrictEqual(summary.reasons, ['no-template']);
+});
+
+test('summarizeFile diferencia linhas filtradas e campos Not Provided', () => {
+  const metadata = { template: 'template5', reason: 'no-rows', rowsFiltered: 3, tables: 1, courtDate: { ok: false, input: 'x' } };
+  assert.deepStrictEqual(summarizeFile('a.html', [], metadata).reasons, ['all-rows-filtered', 'date-unparseable']);
+
+  const rows = [{ 'Court Name': 'Mockton', 'Court Date': '18/11/2024', 'Claim Number': 'K00MK001', Claimant: 'Not Provided', Defendant: 'B' }];
+  const summary = summarizeFile('b.html', rows, { template: 'template4a', reason: null, courtDate: { ok: true, display: '18/11/2024' } });
+  assert.strictEqual(summary.status, 'partial');
+  assert.deepStrictEqual(summary.notProvided, { Claimant: 1 });
+});
+
+test('formatHtmlReport lista os tribunais que precisam de template e escapa o HTML', () => {
+  const report = buildReport([
+    { file: '<x>.html', status: 'failed', template: null, court: 'Slough', date: '', rows: 0, rowsFiltered: 0, tables: 0, reasons: ['no-template'], notProvided: {} },
+  ]);
+  const html = formatHtmlReport(report);
+
+  assert.strictEqual(report.totals.failed, 1);
+  assert.match(html, /Courts that need a new template[\s\S]*<li>Slough<\/li>/);
+  assert.match(html, /&lt;x&gt;\.html/);
+});
+
+test('buildReport lista os tribunais que não estão no diretório', () => {
+  const html = '<html><head><title>CourtServe: Mockton County Court, Daily Cause 18/11/24</title></head><body></body></html>';
+  const { rows, metadata } = parseCauseList(html);
+  const report = buildReport([summarizeFile('mockton.html', rows, metadata)]);
+
+  assert.strictEqual(metadata.courtName, 'Mockton');
+  assert.deepStrictEqual(report.unknownCourts, [{ name: 'Mockton', files: 1 }]);
+  assert.match(formatHtmlReport(report), /Courts not in the directory[\s\S]*<li>Mockton \(1 file\(s\)\)<\/li>/);
+});
+
+test('buildReport lista os tribunais do diretório que estão sem CEP', () => {
+  const page = (court) => `<html><head><title>CourtServe: ${court} County Court, Daily Cause 18/11/24</title></head><body></body></html>`;
+  const summaries = ['Wakefield', 'Wakefield', 'Huddersfield'].map((court, i) => {
+    const { rows, metadata } = parseCauseList(page(court));
+    return summarizeFile(`${i}.html`, rows, metadata);
+  });
+  const report = buildReport(summaries);
+
+  assert.deepStrictEqual(report.courtsWithoutPostcode, [{ name: 'Wakefield', files: 2 }]);
+  assert.deepStrictEqual(report.unknownCourts, []);
+  assert.match(formatHtmlReport(report), /Courts without a postcode in the directory[\s\S]*<li>Wakefield \(2 file\(s\)\)<\/li>/);
+});
+
+test('relatório marca as listas lidas pelo template genérico e mostra as colunas deduzidas', () => {
+  const metadata = {
+    template: 'heuristic',
+    courtName: 'Mockton',
+    inferredMapping: [{ table: 1, columns: { claimNumber: 0, parties: 2 }, scores: {}, headers: { claimNumber: 'Ref.', parties: '' }, rows: 2 }],
+  };
+  const summary = summarizeFile('mockton.html', [{ 'Court Name': 'Mockton', 'Claim Number': 'K00MK123' }], metadata);
+  assert.strictEqual(summary.status, 'partial');
+  assert.deepStrictEqual(summary.reasons, ['heuristic']);
+
+  const html = formatHtmlReport(buildReport([summary]));
+  assert.match(html, /Courts that need a new template[\s\S]*Mockton/);
+  assert.match(html, /Mockton: table 1: claimNumber = column 1 \(&quot;Ref\.&quot;\), parties = column 3/);
+});
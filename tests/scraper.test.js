@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCauseList, runBatch } = require('../scraper');
+const { registerTemplate } = require('../lib/templates');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const MOCK_LIST = path.join(__dirname, '..', 'mock', 'courtserve', 'courtlists', 'current', 'county', 'lists', 'mockton-pcol.html');
+
+test('parseCauseList aceita string e Buffer com o mesmo resultado', () => {
+  const buffer = fs.readFileSync(MOCK_LIST);
+  const fromBuffer = parseCauseList(buffer, { sourceName: 'mockton-pcol.html' });
+  const fromString = parseCauseList(buffer.toString('utf-8'), { sourceName: 'mockton-pcol.html' });
+
+  assert.deepStrictEqual(fromBuffer, fromString);
+  assert.strictEqual(fromBuffer.rows.length, 2);
+  assert.strictEqual(fromBuffer.metadata.template, 'template4a');
+  assert.strictEqual(fromBuffer.metadata.courtDate.iso, '2024-11-18');
+  assert.strictEqual(fromBuffer.metadata.reason, null);
+});
+
+test('parseCauseList informa o motivo quando não reconhece a página', () => {
+  const { rows, metadata } = parseCauseList('<html><body><p>Sem lista</p></body></html>');
+
+  assert.deepStrictEqual(rows, []);
+  assert.strictEqual(metadata.reason, 'no-template');
+});
+
+test('runBatch continua depois de um arquivo que falha e fecha as saídas e o histórico', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  // Template que falha só na página marcada
+  registerTemplate({
+    name: 'test-failing',
+    detect: ({ text }) => (text.includes('failing-marker') ? 100 : 0),
+    matchesTable: () => true,
+    extractRows: () => {
+      throw new Error('Unexpected layout');
+    },
+  });
+
+  const input = path.join(directory, 'entrada');
+  fs.mkdirSync(input);
+  fs.copyFileSync(MOCK_LIST, path.join(input, 'a.html'));
+  fs.writeFileSync(path.join(input, 'b.html'), '<html><body><p>failing-marker</p><table><tr><td>x</td></tr></table></body></html>');
+  fs.copyFileSync(MOCK_LIST.replace('mockton-pcol', 'mockton-daily-cause'), path.join(input, 'c.html'));
+
+  const output = path.join(directory, 'saida.json');
+  const history = path.join(directory, 'case_history.json');
+  const { files, failed, report } = await runBatch({
+    input,
+    checkedDir: path.join(directory, 'checked'),
+    unprocessedDir: path.join(directory, 'unprocessed'),
+    outputs: [{ format: 'json', file: output }],
+    history,
+  });
+
+  assert.deepStrictEqual(files.map((result) => [path.basename(result.file), result.rows > 0]), [['a.html', true], ['b.html', false], ['c.html', true]]);
+  assert.strictEqual(failed, 1);
+  assert.deepStrictEqual(report.files[1].reasons, ['parse-error']);
+
+  assert.deepStrictEqual(fs.readdirSync(input), []);
+  assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'unprocessed')), ['b.html']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'checked')).sort(), ['a.html', 'c.html']);
+
+  const rows = JSON.parse(fs.readFileSync(output, 'utf-8'));
+  assert.strictEqual(rows.length, files[0].rows + files[2].rows);
+  assert.ok(Object.keys(JSON.parse(fs.readFileSync(history, 'utf-8')).claims).length > 0);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createApiServer } = require('../lib/server');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const LIST = path.join(__dirname, 'fixtures', 'CourtServe Aberystwyth County Court, Daily Cause 181124.html');
+const TOKEN = 'token-de-teste';
+
+/**
+ * Função para iniciar a API em uma porta livre, com um histórico temporário.
+ *
+ * @param {object} t - Contexto do teste.
+ * @returns {Promise<{url: string, request: function}>} Endereço e função para requisições autenticadas.
+ */
+async function start(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+  const server = createApiServer({ token: TOKEN, history: path.join(directory, 'case_history.json') });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const request = (route, options = {}) =>
+    fetch(`${url}${route}`, { ...options, headers: { Authorization: `Bearer ${TOKEN}`, ...options.headers } });
+  return { url, request };
+}
+
+test('API exige o token, exceto em /health', async (t) => {
+  const { url } = await start(t);
+
+  assert.strictEqual((await fetch(`${url}/health`)).status, 200);
+  assert.strictEqual((await fetch(`${url}/hearings`)).status, 401);
+  assert.strictEqual((await fetch(`${url}/hearings`, { headers: { Authorization: 'Bearer errado' } })).status, 401);
+});
+
+test('API recebe uma lista, devolve as linhas e permite baixar o CSV e consultar o histórico', async (t) => {
+  const { request } = await start(t);
+
+  const response = await request('/lists?name=aberystwyth.html', { method: 'POST', body: fs.readFileSync(LIST), headers: { 'Content-Type': 'text/html' } });
+  assert.strictEqual(response.status, 201);
+  const result = await response.json();
+  assert.strictEqual(result.summary.template, 'template5');
+  assert.strictEqual(result.summary.file, 'aberystwyth.html');
+  assert.ok(result.rows.length > 0);
+  assert.strictEqual(result.rows[0]['Court Name'], 'Aberystwyth');
+
+  const csv = await (await request(`/lists/${result.id}/export.csv`)).text();
+  assert.strictEqual(csv.split('\n').length, result.rows.length + 1);
+
+  const { total, hearings } = await (await request('/hearings?from=2024-11-18&to=2024-11-18&court=aberystwyth')).json();
+  assert.strictEqual(total, result.rows.length);
+  assert.strictEqual(hearings[0].court, 'Aberystwyth');
+  assert.deepStrictEqual(
+    hearings.map((hearing) => hearing.row).sort((a, b) => a['Claim Number'].localeCompare(b['Claim Number'])),
+    result.rows.map((row) => ({ ...row, Status: 'new' })).sort((a, b) => a['Claim Number'].localeCompare(b['Claim Number']))
+  );
+
+  const exported = await request('/hearings/export.csv?from=2024-11-18&court=aberystwyth');
+  assert.match(exported.headers.get('content-disposition'), /hearings\.csv/);
+  assert.strictEqual((await exported.text()).split('\n').length, result.rows.length + 1);
+  const rows = await (await request('/hearings/export.json?to=2024-11-17')).json();
+  assert.deepStrictEqual(rows, []);
+
+  assert.strictEqual((await request('/hearings?from=2024-13')).status, 400);
+  assert.strictEqual((await request('/lists/desconhecida')).status, 404);
+});
+
+test('API aceita o arquivo enviado como multipart/form-data', async (t) => {
+  const { request } = await start(t);
+
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(LIST)], { type: 'text/html' }), 'lista.html');
+  const result = await (await request('/lists', { method: 'POST', body: form })).json();
+
+  assert.strictEqual(result.summary.file, 'lista.html');
+  assert.ok(result.rows.length > 0);
+});
+
+test('API responde 400 para uma URL inválida', async (t) => {
+  const { url } = await start(t);
+
+  const status = await new Promise((resolve, reject) => {
+    http.get(url, { path: '//', headers: { Authorization: `Bearer ${TOKEN}` } }, (res) => resolve(res.statusCode)).on('error', reject);
+  });
+  assert.strictEqual(status, 400);
+});
+
+test('createApiServer não inicia sem token', () => {
+  const previous = process.env.API_TOKEN;
+  delete process.env.API_TOKEN;
+  try {
+    assert.throws(() => createApiServer(), /API_TOKEN is not set/);
+  } finally {
+    if (previous !== undefined) process.env.API_TOKEN = previous;
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseJudge, parseCourtroom, sittingFromTitle, updateSitting } = require('../lib/sittings');
+
+test('parseJudge separa o cargo e o nome, inclusive em cabeçalhos bilíngues', () => {
+  assert.deepStrictEqual(parseJudge('Before: District Judge Mantle (P)'), { judge: 'Mantle', rank: 'District Judge' });
+  assert.deepStrictEqual(parseJudge('Dep. DJ Cheeseman'), { judge: 'Cheeseman', rank: 'Deputy District Judge' });
+  assert.deepStrictEqual(parseJudge('BEFORE: DDJ Chohan'), { judge: 'Chohan', rank: 'Deputy District Judge' });
+  assert.deepStrictEqual(
+    parseJudge('Before: Ei Anrhydedd y Barnwr Muzaffer / His Honour Judge Muzaffer (P)'),
+    { judge: 'Muzaffer', rank: 'Circuit Judge' }
+  );
+  assert.deepStrictEqual(
+    parseJudge('Before: District Judge Worthington - sitting in retirement Usher: Mr Walentowicz'),
+    { judge: 'Worthington', rank: 'District Judge' }
+  );
+  assert.strictEqual(parseJudge('Before: TBC'), null);
+});
+
+test('parseCourtroom reconhece salas e usa a parte em inglês', () => {
+  assert.strictEqual(parseCourtroom('Court Room 7, Nottingham Justice Centre,'), 'Court Room 7, Nottingham Justice Centre');
+  assert.strictEqual(parseCourtroom('Ystafell Llys 1 Wrecsam, Wrexham Courtroom 1'), 'Wrexham Courtroom 1');
+  assert.strictEqual(parseCourtroom('Liverpool C&F Sitting in Hearing Room 9'), 'Liverpool C&F Sitting in Hearing Room 9');
+  assert.strictEqual(parseCourtroom('Mr John Chambers'), null);
+});
+
+test('sittingFromTitle lê o juiz e a sessão do título da página', () => {
+  assert.deepStrictEqual(sittingFromTitle('CourtServe: Bromley County Court, PCOL 10.30 Dep. DJ Cheeseman 21/11/24'), {
+    judge: 'Cheeseman',
+    judgeRank: 'Deputy District Judge',
+    session: 'PCOL 10:30',
+  });
+  assert.deepStrictEqual(sittingFromTitle('CourtServe: Leeds County Court, District Judge Shorthose PM 14/11/24'), {
+    judge: 'Shorthose',
+    judgeRank: 'District Judge',
+    session: 'PM',
+  });
+  assert.deepStrictEqual(sittingFromTitle('CourtServe: Slough County Court, Daily Cause 28/10/24'), { judge: '', judgeRank: '', session: '' });
+});
+
+test('updateSitting troca o juiz a cada bloco "Before:" e mantém a sala', () => {
+  let sitting = updateSitting({}, 'Nottingham JC Courtroom 3');
+  sitting = updateSitting(sitting, 'Before: District Judge Mantle');
+  assert.deepStrictEqual(sitting, { courtroom: 'Nottingham JC Courtroom 3', judge: 'Mantle', judgeRank: 'District Judge' });
+
+  sitting = updateSitting(sitting, 'Before: TBC');
+  assert.deepStrictEqual(sitting, { courtroom: 'Nottingham JC Courtroom 3', judge: '', judgeRank: '' });
+  assert.strictEqual(updateSitting(sitting, 'DAILY CAUSE LIST'), sitting);
+});
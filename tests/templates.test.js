@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { parseCauseList } = require('../scraper');
+const { getTemplate, detectTemplate, registerTemplate } = require('../lib/templates');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const page = (title, body) => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+test('template5 lê as colunas pelo cabeçalho galês, com rowspan e colspan de layout', () => {
+  const html = page('CourtServe: Cardiff County Court, Daily Cause 12/11/24', `
+    <table>
+      <tr><td rowspan="4"></td><td></td><td>Amser Cychwyn</td> <td>Hyd</td> <td>Manylion yr Achos</td> <td>Math o Wrandawiad</td> <td>Sianel Clyw</td></tr>
+      <tr><td></td><td>10:00 AM</td><td>15 minutes</td><td>L0CF1234 Cardiff Council v Jones</td><td>Possession Rent (Local Authority)</td><td>In Person</td></tr>
+      <tr><td colspan="2">11:00 AM</td><td>30 minutes</td><td>L0CF5678 Bank of Wales plc v Evans</td><td>Possession Mortgage</td><td>Video</td></tr>
+      <tr><td></td><td colspan="5">Hearing Room 2</td></tr>
+    </table>`);
+
+  const { rows, metadata } = parseCauseList(html);
+
+  assert.strictEqual(metadata.template, 'template5');
+  assert.deepStrictEqual(
+    rows.map((row) => [row['Claim Number'], row.Claimant, row.Defendant, row.Duration, row['Hearing Type'], row['Hearing Channel']]),
+    [
+      ['L0CF1234', 'Cardiff Council', 'Jones', '15 minutes', 'Possession Rent (Local Authority)', 'In Person'],
+      ['L0CF5678', 'Bank of Wales plc', 'Evans', '30 minutes', 'Possession Mortgage', 'Video'],
+    ]
+  );
+});
+
+test('template5 usa o cabeçalho de uma tabela aninhada, os títulos dos blocos e repete a audiência dos processos vinculados', () => {
+  const html = page('CourtServe: Nottingham County Court, Daily Cause 28/10/24', `
+    <table>
+      <tr><td></td><td colspan="5">DAILY CAUSE LIST</td></tr>
+      <tr><td></td><td colspan="5">Nottingham JC Courtroom 3</td></tr>
+      <tr><td></td><td colspan="5">Before: District Judge Mantle<table><tr>
+        <td>Start Time</td><td>Duration</td><td>Case Details</td><td>Hearing Type</td><td>Hearing Channel</td>
+      </tr></table></td></tr>
+      <tr><td></td><td>10:30 AM</td><td>15 minutes</td><td>L01NG160 Nottingham City Council v Smith</td><td>Possession Rent (Local Authority)</td><td>In Person</td></tr>
+      <tr><td></td><td></td><td></td><td>L01NG161 Nottingham City Council v Brown</td><td></td><td></td></tr>
+    </table>`);
+
+  const { rows } = parseCauseList(html);
+
+  assert.deepStrictEqual(
+    rows.map((row) => [row['Claim Number'], row['Start Time'], row.Duration, row['Hearing Type'], row.Judge, row.Courtroom]),
+    [
+      ['L01NG160', '10:30', '15 minutes', 'Possession Rent (Local Authority)', 'Mantle', 'Nottingham JC Courtroom 3'],
+      ['L01NG161', '10:30', '15 minutes', 'Possession Rent (Local Authority)', 'Mantle', 'Nottingham JC Courtroom 3'],
+    ]
+  );
+});
+
+test('template5 separa as audiências de uma célula com um parágrafo por processo', () => {
+  const html = page('CourtServe: Huddersfield County Court, Daily Cause 17/10/24', `
+    <table>
+      <tr><td>Start Time</td><td>Duration</td><td>Case Details</td><td>Hearing Type</td><td>Hearing Channel</td></tr>
+      <tr>
+        <td><p>2:00 PM</p><p>&nbsp;</p><p>&nbsp;</p><p>2:15 PM</p></td>
+        <td><p>15 Minutes</p><p>15 Minutes</p></td>
+        <td><p>L4PP3047 Principality Building Society v Smith</p><p>&nbsp;</p><p>L4PP3053 Leeds Building Society v Ellis</p></td>
+        <td><p>Possession</p><p>(Mortgage)</p><p>&nbsp;</p><p>Possession</p></td>
+        <td><p>In Person</p></td>
+      </tr>
+    </table>`);
+
+  const { rows } = parseCauseList(html);
+
+  assert.deepStrictEqual(
+    rows.map((row) => [row['Claim Number'], row.Defendant, row['Start Time'], row.Duration, row['Hearing Type'], row['Hearing Channel']]),
+    [
+      ['L4PP3047', 'Smith', '14:00', '15 Minutes', 'Possession (Mortgage)', 'In Person'],
+      ['L4PP3053', 'Ellis', '14:15', '15 Minutes', 'Possession', 'In Person'],
+    ]
+  );
+});
+
+test('template7 lê cada campo pela coluna do cabeçalho', () => {
+  const html = page('CourtServe: Slough County Court, Daily Cause 21/10/24', `
+    <table>
+      <tr><td colspan="3">Time</td><td>Case Ref</td><td>Case Name</td><td>Case Type</td><td>Hearing Type</td><td>Hearing Platform</td><td>Duration</td></tr>
+      <tr><td colspan="3" rowspan="2">10:30 AM</td><td>L4PP3832</td><td>Peabody Trust v Jamaal</td><td>PCOL</td><td>Possession Rent (Social)</td><td>In Person</td><td>15 minutes</td></tr>
+      <tr><td>L4PP3833</td><td>Peabody Trust v Smith</td><td>PCOL</td><td>Possession Rent (Social)</td><td>In Person</td><td>15 minutes</td></tr>
+    </table>`);
+
+  const { rows, metadata } = parseCauseList(html);
+
+  assert.strictEqual(metadata.template, 'template7');
+  assert.deepStrictEqual(rows[0], {
+    ...rows[0],
+    'Claim Number': 'L4PP3832',
+    Claimant: 'Peabody Trust',
+    Defendant: 'Jamaal',
+    Duration: '15 minutes',
+    'Hearing Type': 'Possession Rent (Social)',
+    'Hearing Channel': 'In Person',
+    'Case Type': 'PCOL',
+  });
+  assert.strictEqual(rows[1]['Claim Number'], 'L4PP3833');
+});
+
+test('layout desconhecido é lido pelo template genérico, que deduz as colunas pelo conteúdo', () => {
+  const html = page('CourtServe: Mockton County Court, Daily Cause 18/11/24', `
+    <p>In the County Court at Mockton</p>
+    <p>Monday 18 November 2024</p>
+    <table>
+      <tr><td>Ref.</td><td>Listed</td><td>Matter</td><td>Type of hearing</td></tr>
+      <tr><td colspan="4">Before: District Judge Mantle</td></tr>
+      <tr><td>K00MK123</td><td>10.30</td><td>Mockton Homes Ltd v Smith</td><td>Possession Rent</td></tr>
+      <tr><td>L4PP1591</td><td>11.00</td><td>Bank plc -v- Brown</td><td>Possession Mortgage</td></tr>
+      <tr><td>Lunch</td><td>13.00</td><td></td><td></td></tr>
+    </table>`);
+
+  const { rows, metadata } = parseCauseList(html);
+
+  assert.strictEqual(metadata.template, 'heuristic');
+  assert.deepStrictEqual(metadata.inferredMapping, [{
+    table: 1,
+    columns: { claimNumber: 0, startTime: 1, parties: 2, hearingType: 3 },
+    scores: { claimNumber: 1, startTime: 1, parties: 1, hearingType: 1 },
+    headers: { claimNumber: 'Ref.', startTime: 'Listed', parties: 'Matter', hearingType: 'Type of hearing' },
+    rows: 2,
+  }]);
+  assert.deepStrictEqual(
+    rows.map((row) => [row['Claim Number'], row.Claimant, row.Defendant, row['Start Time'], row['Hearing Type'], row.Judge, row.Extraction]),
+    [
+      ['K00MK123', 'Mockton Homes Ltd', 'Smith', '10:30', 'Possession Rent', 'Mantle', 'heuristic'],
+      ['L4PP1591', 'Bank plc', 'Brown', '11:00', 'Possession Mortgage', 'Mantle', 'heuristic'],
+    ]
+  );
+});
+
+test('template genérico lê as partes pelo cabeçalho quando ficam em colunas separadas', () => {
+  const html = page('CourtServe: Mockton County Court, Daily Cause 18/11/24', `
+    <table>
+      <tr><th>Case No</th><th>Claimant</th><th>Defendant</th><th>Hearing</th></tr>
+      <tr><td>3QT12345</td><td>Mockton Council</td><td>Green</td><td>Possession Hearing</td></tr>
+    </table>`);
+
+  const { rows, metadata } = parseCauseList(html);
+
+  assert.strictEqual(metadata.template, 'heuristic');
+  assert.deepStrictEqual(rows.map((row) => [row['Claim Number'], row.Claimant, row.Defendant]), [['3QT12345', 'Mockton Council', 'Green']]);
+});
+
+test('página sem números de processo continua sem template', () => {
+  const { rows, metadata } = parseCauseList(page('Lista', '<table><tr><td>10.30</td><td>Smith v Jones</td></tr></table>'));
+
+  assert.strictEqual(metadata.template, null);
+  assert.strictEqual(metadata.reason, 'no-template');
+  assert.strictEqual(rows.length, 0);
+});
+
+test('detectTemplate escolhe a maior pontuação quando mais de um template reconhece a página', () => {
+  const template5Page = page('CourtServe: Cardiff County Court, Daily Cause 12/11/24', `
+    <p>Please quote the claim number in all correspondence</p>
+    <table>
+      <tr><td>Start Time</td><td>Duration</td><td>Case Details</td><td>Hearing Type</td><td>Hearing Channel</td></tr>
+      <tr><td>10:00 AM</td><td>15 minutes</td><td>L0CF1234 Cardiff Council v Jones</td><td>Possession Rent</td><td>In Person</td></tr>
+    </table>`);
+  const template7Page = page('CourtServe: Mockton County Court, Daily Cause 18/11/24', `
+    <table>
+      <tr><td>Case Ref</td><td>Case Name</td><td>Case Type</td><td>Hearing Platform</td><td>Claim Number</td></tr>
+      <tr><td>K00MK123</td><td>Mockton Homes Ltd v Smith</td><td>Possession</td><td>In Person</td><td>K00MK123</td></tr>
+    </table>`);
+
+  // O template4a reconhece as duas páginas pela menção a 'claim number', mas com pontuação menor
+  [[template5Page, 'template5'], [template7Page, 'template7']].forEach(([html, expected]) => {
+    const $ = cheerio.load(html);
+    const context = { $, text: $('body').text().toLowerCase().replace(/\s+/g, ' ') };
+
+    assert.ok(getTemplate('template4a').detect(context) > 0);
+    assert.ok(getTemplate(expected).detect(context) > getTemplate('template4a').detect(context));
+    assert.strictEqual(detectTemplate(html).name, expected);
+    assert.strictEqual(parseCauseList(html).metadata.template, expected);
+  });
+});
+
+test('detectTemplate desempata pela ordem de registro e aceita templates registrados depois', () => {
+  const html = page('CourtServe: Mockton County Court, Daily Cause 18/11/24', '<p>registry-marker</p>');
+  const template = (name, score) => ({
+    name,
+    detect: ({ text }) => (text.includes('registry-marker') ? score : 0),
+    matchesTable: () => false,
+    extractRows: () => [],
+  });
+
+  registerTemplate(template('registry-first', 10));
+  registerTemplate(template('registry-tie', 10));
+  assert.strictEqual(detectTemplate(html).name, 'registry-first');
+
+  registerTemplate(template('registry-best', 11));
+  assert.strictEqual(detectTemplate(html).name, 'registry-best');
+
+  assert.throws(() => registerTemplate(template('registry-best', 1)), /already registered/);
+  assert.throws(() => registerTemplate({ name: 'registry-invalid', detect: () => 0 }), /missing matchesTable, extractRows/);
+});
+
+test('a opção template força o template, sem detecção nem template genérico', () => {
+  const html = page('CourtServe: Cardiff County Court, Daily Cause 12/11/24', `
+    <table>
+      <tr><td>Start Time</td><td>Duration</td><td>Case Details</td><td>Hearing Type</td><td>Hearing Channel</td></tr>
+      <tr><td>10:00 AM</td><td>15 minutes</td><td>L0CF1234 Cardiff Council v Jones</td><td>Possession Rent</td><td>In Person</td></tr>
+    </table>`);
+
+  assert.strictEqual(parseCauseList(html).metadata.template, 'template5');
+
+  // O template7 não tem tabela nessa página: sem linhas, e o genérico não entra no lugar
+  const forced = parseCauseList(html, { template: 'template7' });
+  assert.strictEqual(forced.metadata.template, 'template7');
+  assert.strictEqual(forced.rows.length, 0);
+
+  assert.throws(() => parseCauseList(html, { template: 'template99' }), /Unknown template: template99/);
+});
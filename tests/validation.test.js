@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateRow, validateRows, splitQuarantine } = require('../lib/validation');
+const { runBatch } = require('../scraper');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const row = (fields = {}) => ({
+  'Court Date': '18/11/2024',
+  'Claim Number': 'K00MK123',
+  'Claimant': 'Mockton Homes Ltd',
+  'Defendant': 'Smith',
+  'Title': 'CourtServe: Mockton County Court, Daily Cause 18/11/24',
+  ...fields,
+});
+
+test('validateRow dá confiança total a uma linha sem problemas', () => {
+  assert.deepStrictEqual(validateRow(row(), { fileDate: '2024-11-18' }), { confidence: 1, warnings: [] });
+});
+
+test('validateRow aponta cada problema e desconta a confiança', () => {
+  const result = validateRow(
+    row({ 'Claim Number': 'K00MK123', 'Title': 'CourtServe: Mockton County Court, PCOL 10.30 DJ Smith 18/11/24', 'Claimant': 'Start Time', 'Defendant': '10:30 AM' }),
+    { fileDate: '2024-11-25' }
+  );
+  assert.deepStrictEqual(result.warnings, ['claim-number-court-type', 'date-mismatch', 'claimant-looks-like-header', 'defendant-looks-like-time']);
+  assert.strictEqual(result.confidence, 0);
+
+  assert.deepStrictEqual(validateRow(row({ 'Defendant': 'MOCKTON HOMES LTD', 'Court Date': '' })).warnings, ['date-missing', 'parties-duplicated']);
+  assert.deepStrictEqual(validateRow(row({ 'Claim Number': 'WORCESTER', 'Claimant': 'Not Provided', 'Extraction': 'heuristic' })), {
+    confidence: 0.1,
+    warnings: ['claim-number-format', 'claimant-missing', 'heuristic-extraction'],
+  });
+});
+
+test('validateRow desconta as linhas que juntam várias audiências', () => {
+  const merged = row({
+    'Defendant': 'Mr Christian Armitage L4PP3053 Principality Building Society v Miss Katie Bailey',
+    'Duration': '15 Minutes 15 Minutes',
+  });
+  assert.deepStrictEqual(validateRow(merged, { fileDate: '2024-11-18' }), { confidence: 0.5, warnings: ['merged-hearings'] });
+  assert.deepStrictEqual(validateRow(row({ 'Hearing Channel': 'In Person In Person' })).warnings, ['merged-hearings']);
+
+  // Nomes e durações comuns não são audiências juntadas
+  assert.deepStrictEqual(validateRow(row({ 'Defendant': 'Flat 2B Smith', 'Duration': '1 hour 30 minutes' })).warnings, []);
+});
+
+test('validateRows acrescenta as colunas e splitQuarantine separa as linhas de baixa confiança', () => {
+  const rows = validateRows([row(), row({ 'Claim Number': 'VARIOUS' })], 'Mockton County Court, Daily Cause 181124.html');
+  assert.deepStrictEqual(rows.map((item) => [item.Confidence, item.Warnings]), [[1, ''], [0.6, 'claim-number-format']]);
+
+  const { accepted, quarantined } = splitQuarantine(rows, 0.7);
+  assert.deepStrictEqual(accepted.map((item) => item['Claim Number']), ['K00MK123']);
+  assert.deepStrictEqual(quarantined.map((item) => item['Claim Number']), ['VARIOUS']);
+});
+
+test('runBatch grava as linhas de baixa confiança no arquivo de revisão, fora da saída', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const fixture = path.join(__dirname, 'fixtures', 'CourtServe_ Wakefield County Court, Daily Cause 28_10_24.html');
+  const output = path.join(directory, 'saida.csv');
+  const review = path.join(directory, 'revisar.csv');
+
+  const { rows, quarantined } = await runBatch({ input: fixture, fileAction: 'leave', outputFile: output, quarantineFile: review, minConfidence: 0.7 });
+
+  const lines = (file) => fs.readFileSync(file, 'utf-8').trim().split('\n');
+  assert.ok(quarantined > 0);
+  assert.strictEqual(lines(review).length, quarantined + 1);
+  assert.strictEqual(lines(output).length, rows.length - quarantined + 1);
+  assert.match(lines(review)[1], /WFPCOL/);
+});
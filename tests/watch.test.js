@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatcher } = require('../lib/watch');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'silent' });
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const LISTS = [
+  'CourtServe Aberystwyth County Court, Daily Cause 181124.html',
+  'CourtServe Birkenhead County Court, Daily Cause 121124 2.html',
+];
+
+/**
+ * Função para preparar as pastas de um teste do modo watch.
+ *
+ * @param {object} t - Contexto do teste.
+ * @returns {object} Pastas e opções do monitor.
+ */
+function setup(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const options = {
+    input: path.join(directory, 'html_files'),
+    checkedDir: path.join(directory, 'checked_files'),
+    unprocessedDir: path.join(directory, 'unprocessed_files'),
+    output: path.join(directory, 'saida.csv'),
+    stateFile: path.join(directory, 'watch_state.json'),
+    settleMs: 0,
+  };
+  fs.mkdirSync(options.input);
+  return options;
+}
+
+const csvLines = (file) => fs.readFileSync(file, 'utf-8').split('\n');
+
+test('watch só processa o arquivo quando ele para de mudar e acrescenta as linhas à saída', async (t) => {
+  const options = setup(t);
+  const watcher = createWatcher(options);
+
+  fs.copyFileSync(path.join(FIXTURES, LISTS[0]), path.join(options.input, LISTS[0]));
+  await watcher.scan();
+  assert.strictEqual(fs.existsSync(options.output), false);
+
+  await watcher.scan();
+  const first = csvLines(options.output);
+  assert.ok(first.length > 1);
+  assert.ok(fs.existsSync(path.join(options.checkedDir, LISTS[0])));
+
+  fs.copyFileSync(path.join(FIXTURES, LISTS[1]), path.join(options.input, LISTS[1]));
+  await watcher.scan();
+  await watcher.scan();
+  await watcher.close();
+
+  const second = csvLines(options.output);
+  assert.deepStrictEqual(second.slice(0, first.length), first);
+  assert.ok(second.length > first.length);
+  assert.strictEqual(second.filter((line) => line.startsWith('Court Name,')).length, 1);
+});
+
+test('watch não acrescenta de novo um arquivo já processado depois de reiniciar', async (t) => {
+  const options = { ...setup(t), fileAction: 'leave' };
+  fs.copyFileSync(path.join(FIXTURES, LISTS[0]), path.join(options.input, LISTS[0]));
+
+  const watcher = createWatcher(options);
+  await watcher.scan();
+  await watcher.scan();
+  await watcher.scan();
+  await watcher.close();
+  const lines = csvLines(options.output).length;
+
+  const restarted = createWatcher(options);
+  await restarted.scan();
+  await restarted.scan();
+  await restarted.close();
+
+  assert.strictEqual(csvLines(options.output).length, lines);
+  assert.ok(fs.existsSync(path.join(options.input, LISTS[0])));
+});
+
+test('watch rejeita formatos que não aceitam acrescentar linhas', (t) => {
+  const options = setup(t);
+  assert.throws(() => createWatcher({ ...options, formats: ['xlsx'] }), /does not support appending: xlsx/);
+});
+
+test('watch não grava o histórico quando falha ao acrescentar as linhas', async (t) => {
+  const options = setup(t);
+  const blocked = path.join(path.dirname(options.input), 'bloqueado');
+  fs.writeFileSync(blocked, '');
+  const history = path.join(path.dirname(options.input), 'case_history.json');
+
+  const watcher = createWatcher({ ...options, output: path.join(blocked, 'saida.csv'), history });
+  fs.copyFileSync(path.join(FIXTURES, LISTS[0]), path.join(options.input, LISTS[0]));
+  await watcher.scan();
+  await watcher.scan();
+  await watcher.close();
+
+  assert.strictEqual(fs.existsSync(history), false);
+  assert.strictEqual(fs.existsSync(options.stateFile), false);
+  assert.ok(fs.existsSync(path.join(options.input, LISTS[0])));
+});